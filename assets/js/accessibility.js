@@ -45,7 +45,7 @@ function initHighContrastToggle(buttonId, stylesheetId) {
     }
     
     // Announce change to screen readers
-    announceToScreenReader(`High contrast mode ${!isEnabled ? 'enabled' : 'disabled'}`);
+    announceToScreenReader(translate(!isEnabled ? 'highContrastEnabled' : 'highContrastDisabled'));
   });
   
   // Add keyboard shortcut (Alt+C)
@@ -127,7 +127,7 @@ function initFontSizeControls(decreaseButtonId, resetButtonId, increaseButtonId)
     localStorage.setItem('preferredFontSize', size.toString());
     
     // Announce change to screen readers
-    announceToScreenReader(`Font size changed to ${size} percent`);
+    announceToScreenReader(translate('fontSizeChanged', { size }));
   }
 }
 
@@ -160,103 +160,95 @@ function initThemeSelector(selectorId) {
     localStorage.setItem('preferredTheme', theme);
     
     // Announce change to screen readers
-    announceToScreenReader(`Theme changed to ${theme}`);
+    const themeName = selector.options[selector.selectedIndex].textContent;
+    announceToScreenReader(translate('themeChanged', { theme: themeName }));
   });
 }
 
 /**
- * Generate table of contents from headings
- * @param {string} headingSelector - CSS selector for headings
- * @param {string} containerSelector - CSS selector for TOC container
+ * Initialize the version selector. The page only changes when the form is
+ * submitted, not when an option is chosen (WCAG 3.2.2).
+ * @param {string} formId - ID of the version selector form
+ * @param {string} selectorId - ID of the version selector
  */
-function generateTableOfContents(headingSelector, containerSelector) {
-  const headings = document.querySelectorAll(headingSelector);
-  const container = document.querySelector(containerSelector);
-  
-  if (!container || headings.length === 0) return;
-  
-  const toc = document.createElement('ul');
-  toc.setAttribute('role', 'list');
-  toc.setAttribute('aria-label', 'Table of contents');
-  
-  // Track heading levels and their lists
-  const lists = {
-    'main': toc
-  };
-  let lastLevel = 0;
-  let currentList = toc;
-  
-  // Process each heading
-  headings.forEach((heading) => {
-    // Get heading level from tag name (h1 = 1, h2 = 2, etc.)
-    let level = parseInt(heading.tagName.charAt(1));
-    
-    // Skip h1 if we're only capturing subheadings
-    if (headingSelector.indexOf('h1') === -1 && level === 1) {
-      return;
-    }
+function initVersionSelector(formId, selectorId) {
+  const form = document.getElementById(formId);
+  const selector = document.getElementById(selectorId);
+  
+  if (!form || !selector) return;
+  
+  form.addEventListener('submit', (event) => {
+    event.preventDefault();
     
-    // Normalize levels (make first level in selector the top level)
-    if (lastLevel === 0) {
-      lastLevel = level;
-      level = 2; // Start at level 2 for nested lists
-    } else {
-      level = level - lastLevel + 2;
-    }
+    const version = selector.options[selector.selectedIndex].textContent;
+    announceToScreenReader(translate('loadingVersion', { version }));
+    window.location.href = selector.value;
+  });
+}
+
+/**
+ * Initialize the language selector. Like the version selector, the page
+ * only changes when the form is submitted.
+ * @param {string} formId - ID of the language selector form
+ * @param {string} selectorId - ID of the language selector
+ */
+function initLanguageSelector(formId, selectorId) {
+  const form = document.getElementById(formId);
+  const selector = document.getElementById(selectorId);
+  
+  if (!form || !selector) return;
+  
+  form.addEventListener('submit', (event) => {
+    event.preventDefault();
     
-    // Ensure heading has ID for linking
-    if (!heading.id) {
-      const headingText = heading.textContent.trim();
-      const id = headingText
-        .toLowerCase()
-        .replace(/[^\w\s-]/g, '')
-        .replace(/\s+/g, '-')
-        .replace(/-+/g, '-');
-      
-      heading.id = id;
-    }
+    const language = selector.options[selector.selectedIndex].textContent;
+    announceToScreenReader(translate('loadingLanguage', { language }));
+    window.location.href = selector.value;
+  });
+}
+
+/**
+ * Initialize keyboard shortcuts for the previous/next page links, if the
+ * site enabled them
+ * @param {string} navSelector - CSS selector for the pagination navigation
+ */
+function initPaginationShortcuts(navSelector) {
+  const nav = document.querySelector(navSelector);
+  
+  if (!nav || nav.dataset.shortcuts !== 'true') return;
+  
+  const previousLink = nav.querySelector('[data-pagination="previous"]');
+  const nextLink = nav.querySelector('[data-pagination="next"]');
+  
+  // List the shortcuts in the help dialog
+  const helpTable = document.querySelector('#keyboard-shortcuts-dialog tbody');
+  if (helpTable) {
+    helpTable.insertAdjacentHTML('afterbegin', `
+      <tr>
+        <td><kbd>Alt</kbd> + <kbd>N</kbd></td>
+        <td>${translate('nextPage')}</td>
+      </tr>
+      <tr>
+        <td><kbd>Alt</kbd> + <kbd>P</kbd></td>
+        <td>${translate('previousPage')}</td>
+      </tr>
+    `);
+  }
+  
+  // Add keyboard shortcuts (Alt+N and Alt+P)
+  document.addEventListener('keydown', (event) => {
+    if (!event.altKey) return;
     
-    // Create list item with link
-    const listItem = document.createElement('li');
-    const link = document.createElement('a');
-    link.href = `#${heading.id}`;
-    link.textContent = heading.textContent;
-    link.setAttribute('class', 'toc-link');
-    link.setAttribute('data-level', level);
-    
-    // Create or get appropriate list for this level
-    if (level > 2) {
-      // We need a nested list
-      if (!lists[level]) {
-        // Create new nested list if it doesn't exist
-        const newList = document.createElement('ul');
-        newList.setAttribute('role', 'list');
-        lists[level - 1].lastChild.appendChild(newList);
-        lists[level] = newList;
-      }
-      
-      lists[level].appendChild(listItem);
-    } else {
-      // Reset nested lists
-      Object.keys(lists).forEach(key => {
-        if (parseInt(key) > level) {
-          delete lists[key];
-        }
-      });
-      
-      // Add to main list
-      lists[2] = toc;
-      lists[2].appendChild(listItem);
-    }
+    const link = event.key.toLowerCase() === 'n' ? nextLink
+      : event.key.toLowerCase() === 'p' ? previousLink
+      : null;
     
-    listItem.appendChild(link);
+    if (link) {
+      announceToScreenReader(translate('loadingPage', { title: link.textContent.trim().replace(/\s+/g, ' ') }));
+      window.location.href = link.href;
+      event.preventDefault();
+    }
   });
-  
-  // Add to container
-  container.appendChild(toc);
-  
-  // Make TOC focusable for keyboard users
-  container.tabIndex = 0;
 }
 
 /**
@@ -274,8 +266,8 @@ function highlightCodeBlocks() {
       const button = document.createElement('button');
       button.className = 'copy-code-button';
       button.type = 'button';
-      button.textContent = 'Copy';
-      button.setAttribute('aria-label', 'Copy code to clipboard');
+      button.textContent = translate('copy');
+      button.setAttribute('aria-label', translate('copyCode'));
       
       // Add button to pre element
       const pre = block.parentNode;
@@ -287,18 +279,18 @@ function highlightCodeBlocks() {
         const code = block.textContent;
         navigator.clipboard.writeText(code).then(() => {
           // Update button text temporarily
-          button.textContent = 'Copied!';
+          button.textContent = translate('copied');
           setTimeout(() => {
-            button.textContent = 'Copy';
+            button.textContent = translate('copy');
           }, 2000);
           
           // Announce to screen readers
-          announceToScreenReader('Code copied to clipboard');
+          announceToScreenReader(translate('codeCopied'));
         }).catch((error) => {
           console.error('Error copying code:', error);
-          button.textContent = 'Error';
+          button.textContent = translate('copyFailed');
           setTimeout(() => {
-            button.textContent = 'Copy';
+            button.textContent = translate('copy');
           }, 2000);
         });
       });
@@ -307,13 +299,15 @@ function highlightCodeBlocks() {
 }
 
 /**
- * Initialize simplified view toggle for cognitive accessibility
+ * Initialize simplified view toggle for cognitive accessibility. Pages built
+ * with a simplified version link to it, and the toggle moves between the two;
+ * other pages only get the simplified styles.
  */
 function initSimplifiedView() {
   // Create toggle button
   const button = document.createElement('button');
   button.id = 'toggle-simplified-view';
-  button.textContent = 'Simplified View';
+  button.textContent = translate('simplifiedView');
   button.setAttribute('aria-pressed', 'false');
   
   // Add to accessibility controls
@@ -325,33 +319,60 @@ function initSimplifiedView() {
   // Check saved preference
   const simplified = localStorage.getItem('simplifiedView') === 'true';
   
-  // Set initial state
-  button.setAttribute('aria-pressed', simplified.toString());
-  
-  if (simplified) {
-    document.documentElement.classList.add('simplified-view');
-  }
+  // The other version of this page, if it has one
+  const alternate = document.querySelector('link[rel="alternate"][data-variant]');
   
-  // Add event listener
-  button.addEventListener('click', () => {
-    const isEnabled = document.documentElement.classList.contains('simplified-view');
+  if (alternate) {
+    const isSimplifiedPage = alternate.getAttribute('data-variant') === 'full';
     
-    // Toggle class
-    if (isEnabled) {
-      document.documentElement.classList.remove('simplified-view');
-    } else {
-      document.documentElement.classList.add('simplified-view');
+    // Readers who chose the simplified view get it on every page
+    if (simplified && !isSimplifiedPage) {
+      window.location.replace(alternate.href + window.location.hash);
+      return;
     }
     
-    // Update button state
-    button.setAttribute('aria-pressed', (!isEnabled).toString());
+    button.setAttribute('aria-pressed', isSimplifiedPage.toString());
     
-    // Save preference
-    localStorage.setItem('simplifiedView', (!isEnabled).toString());
+    button.addEventListener('click', () => {
+      localStorage.setItem('simplifiedView', (!isSimplifiedPage).toString());
+      window.location.href = alternate.href + window.location.hash;
+    });
     
-    // Announce change to screen readers
-    announceToScreenReader(`Simplified view ${!isEnabled ? 'enabled' : 'disabled'}`);
-  });
+    // The notice's link to the full page turns the preference off too
+    document.querySelectorAll('a[data-variant-link="full"]').forEach(link => {
+      link.addEventListener('click', () => {
+        localStorage.setItem('simplifiedView', 'false');
+      });
+    });
+  } else {
+    // Set initial state
+    button.setAttribute('aria-pressed', simplified.toString());
+    
+    if (simplified) {
+      document.documentElement.classList.add('simplified-view');
+    }
+    
+    // Add event listener
+    button.addEventListener('click', () => {
+      const isEnabled = document.documentElement.classList.contains('simplified-view');
+      
+      // Toggle class
+      if (isEnabled) {
+        document.documentElement.classList.remove('simplified-view');
+      } else {
+        document.documentElement.classList.add('simplified-view');
+      }
+      
+      // Update button state
+      button.setAttribute('aria-pressed', (!isEnabled).toString());
+      
+      // Save preference
+      localStorage.setItem('simplifiedView', (!isEnabled).toString());
+      
+      // Announce change to screen readers
+      announceToScreenReader(translate(!isEnabled ? 'simplifiedViewEnabled' : 'simplifiedViewDisabled'));
+    });
+  }
   
   // Add keyboard shortcut (Alt+S)
   document.addEventListener('keydown', (event) => {
@@ -373,54 +394,54 @@ function initKeyboardShortcutsHelp() {
   
   dialog.innerHTML = `
     <div class="dialog-content">
-      <h2 id="dialog-title">Keyboard Shortcuts</h2>
+      <h2 id="dialog-title">${translate('keyboardShortcuts')}</h2>
       <table>
         <thead>
           <tr>
-            <th>Shortcut</th>
-            <th>Action</th>
+            <th>${translate('shortcut')}</th>
+            <th>${translate('action')}</th>
           </tr>
         </thead>
         <tbody>
           <tr>
             <td><kbd>Alt</kbd> + <kbd>C</kbd></td>
-            <td>Toggle high contrast mode</td>
+            <td>${translate('toggleHighContrast')}</td>
           </tr>
           <tr>
             <td><kbd>Alt</kbd> + <kbd>S</kbd></td>
-            <td>Toggle simplified view</td>
+            <td>${translate('toggleSimplifiedView')}</td>
           </tr>
           <tr>
             <td><kbd>Alt</kbd> + <kbd>+</kbd></td>
-            <td>Increase font size</td>
+            <td>${translate('increaseFontSize')}</td>
           </tr>
           <tr>
             <td><kbd>Alt</kbd> + <kbd>-</kbd></td>
-            <td>Decrease font size</td>
+            <td>${translate('decreaseFontSize')}</td>
           </tr>
           <tr>
             <td><kbd>Alt</kbd> + <kbd>0</kbd></td>
-            <td>Reset font size</td>
+            <td>${translate('resetFontSize')}</td>
           </tr>
           <tr>
             <td><kbd>Alt</kbd> + <kbd>A</kbd></td>
-            <td>Run accessibility check</td>
+            <td>${translate('runAccessibilityCheck')}</td>
           </tr>
           <tr>
             <td><kbd>Alt</kbd> + <kbd>H</kbd></td>
-            <td>Show/hide this help</td>
+            <td>${translate('toggleHelp')}</td>
           </tr>
           <tr>
             <td><kbd>F2</kbd></td>
-            <td>Show/hide this help</td>
+            <td>${translate('toggleHelp')}</td>
           </tr>
           <tr>
             <td><kbd>Esc</kbd></td>
-            <td>Close this dialog</td>
+            <td>${translate('closeDialog')}</td>
           </tr>
         </tbody>
       </table>
-      <button id="close-dialog">Close</button>
+      <button id="close-dialog">${translate('close')}</button>
     </div>
   `;
   
@@ -461,8 +482,8 @@ function initAccessibilityTesting() {
   // Create accessibility test button
   const button = document.createElement('button');
   button.id = 'run-accessibility-test';
-  button.textContent = 'Check Accessibility';
-  button.setAttribute('aria-label', 'Run accessibility test on this page');
+  button.textContent = translate('checkAccessibility');
+  button.setAttribute('aria-label', translate('checkAccessibilityLabel'));
   
   // Add to accessibility controls
   const controlsContainer = document.querySelector('.a11y-controls');
@@ -481,7 +502,7 @@ function initAccessibilityTesting() {
   button.addEventListener('click', () => {
     // Show loading state
     button.disabled = true;
-    button.textContent = 'Checking...';
+    button.textContent = translate('checking');
     
     // Get current page HTML
     const html = document.documentElement.outerHTML;
@@ -494,7 +515,7 @@ function initAccessibilityTesting() {
   socket.on('accessibility-results', (issues) => {
     // Reset button
     button.disabled = false;
-    button.textContent = 'Check Accessibility';
+    button.textContent = translate('checkAccessibility');
     
     // Display results
     displayAccessibilityResults(issues);
@@ -521,12 +542,12 @@ function initAccessibilityTesting() {
     
     // Create header
     const header = document.createElement('h2');
-    header.textContent = 'Accessibility Check Results';
+    header.textContent = translate('accessibilityResults');
     resultsContainer.appendChild(header);
     
     // Create close button
     const closeButton = document.createElement('button');
-    closeButton.textContent = 'Close';
+    closeButton.textContent = translate('close');
     closeButton.className = 'close-results';
     closeButton.addEventListener('click', () => {
       resultsContainer.style.display = 'none';
@@ -536,7 +557,7 @@ function initAccessibilityTesting() {
     // Check if there are issues
     if (issues.length === 0) {
       const message = document.createElement('p');
-      message.textContent = 'No accessibility issues found!';
+      message.textContent = translate('noIssuesFound');
       message.className = 'success-message';
       resultsContainer.appendChild(message);
       return;
@@ -553,7 +574,10 @@ function initAccessibilityTesting() {
     
     // Create summary
     const summary = document.createElement('p');
-    summary.textContent = `Found ${issues.length} accessibility ${issues.length === 1 ? 'issue' : 'issues'}:`;
+    const issueCount = issues.length === 1
+      ? translate('issueCountOne')
+      : translate('issueCountMany', { count: issues.length });
+    summary.textContent = translate('issuesFound', { issues: issueCount });
     resultsContainer.appendChild(summary);
     
     // Create issues list
@@ -599,7 +623,7 @@ function initAccessibilityTesting() {
     resultsContainer.scrollIntoView({ behavior: 'smooth' });
     
     // Announce to screen readers
-    announceToScreenReader(`Accessibility check complete. Found ${issues.length} ${issues.length === 1 ? 'issue' : 'issues'}.`);
+    announceToScreenReader(translate('checkComplete', { issues: issueCount }));
   }
 }
 
@@ -612,7 +636,7 @@ function initDocumentOutline() {
   outlineContainer.id = 'document-outline';
   outlineContainer.className = 'sr-only';
   outlineContainer.setAttribute('role', 'navigation');
-  outlineContainer.setAttribute('aria-label', 'Document Outline');
+  outlineContainer.setAttribute('aria-label', translate('documentOutline'));
   
   // Add to body
   document.body.appendChild(outlineContainer);
@@ -652,6 +676,33 @@ function initDocumentOutline() {
   }
 }
 
+/**
+ * Announce that the page is an unpublished draft, so screen reader users
+ * hear it even if they skip straight to the content
+ * @param {string} bannerSelector - CSS selector for the draft banner
+ */
+function announceDraftBanner(bannerSelector) {
+  const banner = document.querySelector(bannerSelector);
+  
+  if (banner) {
+    announceToScreenReader(banner.textContent.trim().replace(/\s+/g, ' '));
+  }
+}
+
+/**
+ * Get an interface string in the language of the page. The strings are
+ * written into the page as `window.ACCESSDOCS_STRINGS` by the template.
+ * @param {string} key - String key
+ * @param {Object} values - Values for placeholders such as `{size}`
+ * @returns {string} Translated string, or the key if there is none
+ */
+function translate(key, values = {}) {
+  const strings = window.ACCESSDOCS_STRINGS || {};
+  const template = strings[key] || key;
+  
+  return template.replace(/\{(\w+)\}/g, (match, name) => (name in values ? values[name] : match));
+}
+
 /**
  * Announce message to screen readers
  * @param {string} message - Message to announce
@@ -684,16 +735,14 @@ document.addEventListener('DOMContentLoaded', () => {
   initHighContrastToggle('toggle-high-contrast', 'high-contrast-stylesheet');
   initFontSizeControls('decrease-font', 'reset-font', 'increase-font');
   initThemeSelector('theme-selector');
+  initVersionSelector('version-selector-form', 'version-selector');
+  initLanguageSelector('language-selector-form', 'language-selector');
   initKeyboardShortcutsHelp();
+  initPaginationShortcuts('nav.pagination');
+  announceDraftBanner('.draft-banner');
   
   // Initialize advanced features
   initSimplifiedView();
   initAccessibilityTesting();
   initDocumentOutline();
-  
-  // Page-specific features
-  const tocContainer = document.getElementById('toc');
-  if (tocContainer) {
-    generateTableOfContents('main h2, main h3, main h4', '#toc');
-  }
 });
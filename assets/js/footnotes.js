@@ -0,0 +1,37 @@
+/**
+ * Footnotes
+ * Moves focus to a note when its reference is followed, and points the
+ * note's "Back to content" link at that same reference, so readers return
+ * to where they were when a note is referenced more than once.
+ */
+
+/**
+ * Connect footnote references and their notes' back links
+ * @param {string} refSelector - CSS selector for footnote reference links
+ * @param {string} backrefSelector - CSS selector for the notes' back links
+ */
+function initFootnotes(refSelector, backrefSelector) {
+  document.querySelectorAll(refSelector).forEach(ref => {
+    ref.addEventListener('click', () => {
+      const note = document.getElementById(ref.hash.slice(1));
+      if (!note) return;
+      
+      const backref = note.querySelector(backrefSelector);
+      if (backref) backref.setAttribute('href', `#${ref.id}`);
+      
+      note.focus();
+    });
+  });
+  
+  document.querySelectorAll(backrefSelector).forEach(backref => {
+    backref.addEventListener('click', () => {
+      const ref = document.getElementById(backref.hash.slice(1));
+      if (ref) ref.focus();
+    });
+  });
+}
+
+// Initialize footnotes when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  initFootnotes('a[data-footnote-ref]', 'a[data-footnote-backref]');
+});
@@ -0,0 +1,126 @@
+/**
+ * Glossary
+ * Shows the definition of a glossary term in a popup when the term is
+ * hovered or focused. Following WCAG 1.4.13, the popup can be dismissed
+ * with Escape, can be hovered without disappearing, and stays until the
+ * pointer or focus leaves.
+ */
+
+/**
+ * Delay before a popup hides once the pointer leaves, so it can be reached
+ */
+const GLOSSARY_HIDE_DELAY = 300;
+
+/**
+ * Attach a definition popup to each glossary term link. The popup is also
+ * the link's description, so screen readers read the definition on focus.
+ * @param {string} termSelector - CSS selector for glossary term links
+ */
+function initGlossaryPopups(termSelector) {
+  const terms = Array.from(document.querySelectorAll(termSelector));
+  
+  terms.forEach((term, index) => {
+    const definition = term.getAttribute('data-glossary-definition');
+    const abbreviation = term.querySelector('abbr[title]');
+    
+    if (!definition && !abbreviation) return;
+    
+    const popup = document.createElement('div');
+    popup.id = `glossary-popup-${index + 1}`;
+    popup.className = 'glossary-popup';
+    popup.setAttribute('role', 'tooltip');
+    popup.hidden = true;
+    
+    if (abbreviation) {
+      const expansion = document.createElement('strong');
+      expansion.textContent = abbreviation.title;
+      
+      // The space keeps the words apart in the description read aloud
+      popup.append(expansion, ' ');
+    }
+    
+    if (definition) {
+      const text = document.createElement('span');
+      text.textContent = definition;
+      popup.appendChild(text);
+    }
+    
+    document.body.appendChild(popup);
+    term.setAttribute('aria-describedby', popup.id);
+    
+    let hideTimer = null;
+    let hovered = false;
+    
+    const show = () => {
+      clearTimeout(hideTimer);
+      
+      // Only one popup at a time
+      document.querySelectorAll('.glossary-popup:not([hidden])').forEach(other => {
+        if (other !== popup) other.hidden = true;
+      });
+      
+      popup.hidden = false;
+      positionPopup(popup, term);
+    };
+    
+    const hide = () => {
+      clearTimeout(hideTimer);
+      popup.hidden = true;
+    };
+    
+    // Hide once neither the term nor the popup is hovered or focused
+    const hideLater = () => {
+      clearTimeout(hideTimer);
+      hideTimer = setTimeout(() => {
+        if (!hovered && document.activeElement !== term) hide();
+      }, GLOSSARY_HIDE_DELAY);
+    };
+    
+    term.addEventListener('mouseenter', () => {
+      hovered = true;
+      show();
+    });
+    term.addEventListener('mouseleave', () => {
+      hovered = false;
+      hideLater();
+    });
+    term.addEventListener('focus', show);
+    term.addEventListener('blur', hideLater);
+    
+    popup.addEventListener('mouseenter', () => {
+      hovered = true;
+      clearTimeout(hideTimer);
+    });
+    popup.addEventListener('mouseleave', () => {
+      hovered = false;
+      hideLater();
+    });
+  });
+  
+  // Escape dismisses the popup without moving focus or the pointer
+  document.addEventListener('keydown', (event) => {
+    if (event.key !== 'Escape') return;
+    
+    document.querySelectorAll('.glossary-popup:not([hidden])').forEach(popup => {
+      popup.hidden = true;
+    });
+  });
+}
+
+/**
+ * Place a popup below its term, inside the viewport
+ * @param {HTMLElement} popup - Popup element
+ * @param {HTMLElement} term - Term link
+ */
+function positionPopup(popup, term) {
+  const rect = term.getBoundingClientRect();
+  const maxLeft = document.documentElement.clientWidth - popup.offsetWidth - 8;
+  
+  popup.style.top = `${rect.bottom + window.scrollY + 4}px`;
+  popup.style.left = `${Math.max(8, Math.min(rect.left, maxLeft)) + window.scrollX}px`;
+}
+
+// Initialize glossary popups when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  initGlossaryPopups('.glossary-term');
+});
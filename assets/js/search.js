@@ -0,0 +1,300 @@
+/**
+ * Offline Search
+ * Searches the index generated at build time, with suggestions in an
+ * ARIA 1.2 combobox and a results page for readers who prefer no popups
+ */
+
+/**
+ * Maximum number of suggestions shown in the combobox
+ */
+const MAX_SUGGESTIONS = 8;
+
+/**
+ * Load the search index script once
+ * @param {string} indexUrl - URL of the search index script
+ * @returns {Promise<Object>} Search index
+ */
+function loadSearchIndex(indexUrl) {
+  if (!loadSearchIndex.promise) {
+    loadSearchIndex.promise = new Promise((resolve, reject) => {
+      // A script element works when the site is opened from disk, unlike fetch()
+      const script = document.createElement('script');
+      script.src = indexUrl;
+      script.onload = () => resolve(window.ACCESSDOCS_SEARCH_INDEX || { pages: [] });
+      script.onerror = () => {
+        loadSearchIndex.promise = null;
+        reject(new Error(translate('searchIndexError')));
+      };
+      document.head.appendChild(script);
+    });
+  }
+  
+  return loadSearchIndex.promise;
+}
+
+/**
+ * Search the index. Every term must appear in the page; matches in the
+ * title, headings and keywords rank higher than matches in the text.
+ * @param {Object} index - Search index
+ * @param {string} query - Search terms
+ * @returns {Array<Object>} Matching pages, best first, as `{ page, heading, score }`
+ */
+function searchIndex(index, query) {
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+  
+  if (terms.length === 0) return [];
+  
+  const results = [];
+  
+  index.pages.forEach(page => {
+    const title = page.title.toLowerCase();
+    const keywords = page.keywords.join(' ').toLowerCase();
+    const text = page.text.toLowerCase();
+    let score = 0;
+    
+    for (const term of terms) {
+      const inTitle = title.includes(term);
+      const inKeywords = keywords.includes(term);
+      const inHeadings = page.headings.some(heading => heading.text.toLowerCase().includes(term));
+      const inText = text.includes(term);
+      
+      if (!inTitle && !inKeywords && !inHeadings && !inText) return;
+      
+      score += (inTitle ? 10 : 0) + (inKeywords ? 5 : 0) + (inHeadings ? 3 : 0) + (inText ? 1 : 0);
+    }
+    
+    // Link straight to the first heading that mentions a term
+    const heading = page.headings.find(item => item.id &&
+      terms.some(term => item.text.toLowerCase().includes(term)));
+    
+    results.push({ page, heading, score });
+  });
+  
+  return results.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Describe the number of search results, e.g. "3 results"
+ * @param {number} count - Number of results
+ * @returns {string} Translated result count
+ */
+function formatResultCount(count) {
+  return count === 1 ? translate('searchResultOne') : translate('searchResultMany', { count });
+}
+
+/**
+ * Build the URL of a search result
+ * @param {Object} result - Search result
+ * @param {string} siteRoot - URL of the site root, ending with a slash or empty
+ * @returns {string} URL
+ */
+function getResultUrl(result, siteRoot) {
+  const fragment = result.heading ? `#${encodeURIComponent(result.heading.id)}` : '';
+  return siteRoot + encodeURI(result.page.path) + fragment;
+}
+
+/**
+ * Get a short extract of the page text around the first search term
+ * @param {string} text - Page text
+ * @param {string} query - Search terms
+ * @returns {string} Extract
+ */
+function getExcerpt(text, query) {
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+  const lowerText = text.toLowerCase();
+  const position = Math.max(0, Math.min(...terms.map(term => {
+    const index = lowerText.indexOf(term);
+    return index < 0 ? Infinity : index;
+  })));
+  const start = Number.isFinite(position) ? Math.max(0, position - 60) : 0;
+  
+  return (start > 0 ? '…' : '') + text.slice(start, start + 160).trim() + (start + 160 < text.length ? '…' : '');
+}
+
+/**
+ * Initialize the search combobox in the page header
+ * @param {string} inputId - ID of the combobox input
+ */
+function initSearchCombobox(inputId) {
+  const input = document.getElementById(inputId);
+  
+  if (!input) return;
+  
+  const listbox = document.getElementById(input.getAttribute('aria-controls'));
+  const form = input.form;
+  const indexUrl = form.dataset.index;
+  const siteRoot = indexUrl.replace(/search-index\.js$/, '');
+  let options = [];
+  let activeIndex = -1;
+  
+  const close = () => {
+    listbox.hidden = true;
+    input.setAttribute('aria-expanded', 'false');
+    input.removeAttribute('aria-activedescendant');
+    activeIndex = -1;
+  };
+  
+  const setActive = (index) => {
+    options.forEach((option, i) => option.setAttribute('aria-selected', (i === index).toString()));
+    activeIndex = index;
+    
+    if (index < 0) {
+      input.removeAttribute('aria-activedescendant');
+    } else {
+      input.setAttribute('aria-activedescendant', options[index].id);
+      options[index].scrollIntoView({ block: 'nearest' });
+    }
+  };
+  
+  const update = async () => {
+    const query = input.value.trim();
+    
+    if (!query) {
+      close();
+      return;
+    }
+    
+    let index;
+    try {
+      index = await loadSearchIndex(indexUrl);
+    } catch (error) {
+      announceToScreenReader(error.message);
+      return;
+    }
+    
+    // Ignore results for a query the user has already changed
+    if (input.value.trim() !== query) return;
+    
+    const results = searchIndex(index, query);
+    
+    listbox.innerHTML = '';
+    options = results.slice(0, MAX_SUGGESTIONS).map((result, i) => {
+      const option = document.createElement('li');
+      option.id = `${listbox.id}-option-${i}`;
+      option.setAttribute('role', 'option');
+      option.setAttribute('aria-selected', 'false');
+      option.dataset.url = getResultUrl(result, siteRoot);
+      option.textContent = result.heading && result.heading.text !== result.page.title
+        ? `${result.page.title} – ${result.heading.text}`
+        : result.page.title;
+      
+      // Keep focus in the input while choosing with the mouse
+      option.addEventListener('mousedown', event => event.preventDefault());
+      option.addEventListener('click', () => {
+        window.location.href = option.dataset.url;
+      });
+      
+      listbox.appendChild(option);
+      return option;
+    });
+    
+    activeIndex = -1;
+    input.removeAttribute('aria-activedescendant');
+    listbox.hidden = options.length === 0;
+    input.setAttribute('aria-expanded', (options.length > 0).toString());
+    
+    const count = formatResultCount(results.length);
+    announceToScreenReader(results.length > MAX_SUGGESTIONS
+      ? translate('searchResultsTruncated', { results: count, max: MAX_SUGGESTIONS })
+      : translate('searchResultsAvailable', { results: count }));
+  };
+  
+  input.addEventListener('input', update);
+  input.addEventListener('blur', close);
+  
+  input.addEventListener('keydown', (event) => {
+    const isOpen = !listbox.hidden;
+    
+    if (event.key === 'ArrowDown') {
+      if (!isOpen) {
+        update();
+      } else {
+        setActive(activeIndex < options.length - 1 ? activeIndex + 1 : 0);
+      }
+      event.preventDefault();
+    } else if (event.key === 'ArrowUp' && isOpen) {
+      setActive(activeIndex > 0 ? activeIndex - 1 : options.length - 1);
+      event.preventDefault();
+    } else if (event.key === 'Enter' && isOpen && activeIndex >= 0) {
+      // Without an active option, Enter submits the form to the results page
+      window.location.href = options[activeIndex].dataset.url;
+      event.preventDefault();
+    } else if (event.key === 'Escape') {
+      if (isOpen) {
+        close();
+      } else {
+        input.value = '';
+      }
+      event.preventDefault();
+    }
+  });
+}
+
+/**
+ * Render the full list of results on the search results page
+ * @param {string} containerSelector - CSS selector for the results container
+ */
+async function initSearchResultsPage(containerSelector) {
+  const container = document.querySelector(containerSelector);
+  
+  if (!container) return;
+  
+  const query = (new URLSearchParams(window.location.search).get('q') || '').trim();
+  const input = document.getElementById('search-page-input');
+  
+  if (input) {
+    input.value = query;
+  }
+  
+  if (!query) return;
+  
+  let index;
+  try {
+    index = await loadSearchIndex(container.dataset.index);
+  } catch (error) {
+    container.innerHTML = '';
+    const message = document.createElement('p');
+    message.textContent = error.message;
+    container.appendChild(message);
+    return;
+  }
+  
+  const siteRoot = container.dataset.index.replace(/search-index\.js$/, '');
+  const results = searchIndex(index, query);
+  const heading = document.createElement('h2');
+  const count = formatResultCount(results.length);
+  
+  heading.id = 'search-results-heading';
+  heading.textContent = translate('searchResultsFor', { results: count, query });
+  container.innerHTML = '';
+  container.appendChild(heading);
+  
+  if (results.length > 0) {
+    const list = document.createElement('ol');
+    list.setAttribute('aria-labelledby', heading.id);
+    
+    results.forEach(result => {
+      const item = document.createElement('li');
+      const link = document.createElement('a');
+      const excerpt = document.createElement('p');
+      
+      link.href = getResultUrl(result, siteRoot);
+      link.textContent = result.page.title;
+      excerpt.textContent = getExcerpt(result.page.text, query);
+      
+      item.appendChild(link);
+      item.appendChild(excerpt);
+      list.appendChild(item);
+    });
+    
+    container.appendChild(list);
+  }
+  
+  announceToScreenReader(heading.textContent);
+}
+
+// Initialize search when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  initSearchCombobox('site-search-input');
+  initSearchResultsPage('[data-search-results]');
+});
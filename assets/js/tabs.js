@@ -0,0 +1,204 @@
+/**
+ * Tabs
+ * Turns the headed sections of tab groups into WAI-ARIA tabs
+ */
+
+/**
+ * Storage key for the tab chosen in each group key, e.g. `{ "os": "Linux" }`
+ */
+const TABS_STORAGE_KEY = 'preferredTabs';
+
+/**
+ * Initialize all tab groups. Each section heading becomes a tab; the
+ * sections become tab panels. Groups sharing a `data-tabs-key` show the
+ * same tab, and the choice is saved for the next page.
+ * @param {string} groupSelector - CSS selector for tab groups
+ */
+function initTabs(groupSelector) {
+  const groups = Array.from(document.querySelectorAll(groupSelector))
+    .map(createTabGroup)
+    .filter(Boolean);
+  
+  if (groups.length === 0) return;
+  
+  const preferredTabs = getPreferredTabs();
+  
+  groups.forEach(group => {
+    const preferred = group.key ? group.names.indexOf(preferredTabs[group.key]) : -1;
+    selectTab(group, Math.max(preferred, 0));
+    
+    group.tabs.forEach((tab, index) => {
+      tab.addEventListener('click', () => chooseTab(groups, group, index));
+    });
+    
+    group.tablist.addEventListener('keydown', (event) => {
+      const current = group.tabs.indexOf(document.activeElement);
+      
+      if (current === -1) return;
+      
+      // Arrow keys follow the visual order, which is reversed right to left
+      const step = getComputedStyle(group.tablist).direction === 'rtl' ? -1 : 1;
+      const count = group.tabs.length;
+      let index;
+      
+      switch (event.key) {
+        case 'ArrowRight':
+          index = (current + step + count) % count;
+          break;
+        case 'ArrowLeft':
+          index = (current - step + count) % count;
+          break;
+        case 'Home':
+          index = 0;
+          break;
+        case 'End':
+          index = count - 1;
+          break;
+        default:
+          return;
+      }
+      
+      event.preventDefault();
+      chooseTab(groups, group, index);
+      group.tabs[index].focus();
+    });
+  });
+  
+  // Show the tab holding the target of a link, e.g. a search result
+  const showLinkTarget = () => {
+    const target = window.location.hash && document.getElementById(decodeURIComponent(window.location.hash.slice(1)));
+    
+    if (!target) return;
+    
+    groups.forEach(group => {
+      const index = group.panels.findIndex((panel, i) => panel.contains(target) || group.tabs[i] === target);
+      
+      if (index !== -1 && index !== group.selected) {
+        selectTab(group, index);
+        target.scrollIntoView();
+      }
+    });
+  };
+  
+  showLinkTarget();
+  window.addEventListener('hashchange', showLinkTarget);
+}
+
+/**
+ * Build the tab list of a tab group from its section headings
+ * @param {HTMLElement} container - Tab group element
+ * @returns {Object|null} Tab group as `{ key, names, tablist, tabs, panels }`,
+ * or null if it has no sections
+ */
+function createTabGroup(container) {
+  const panels = Array.from(container.children).filter(child => child.classList.contains('tab-panel'));
+  
+  if (panels.length === 0) return null;
+  
+  const tablist = document.createElement('div');
+  tablist.setAttribute('role', 'tablist');
+  tablist.className = 'tab-list';
+  
+  const tabs = panels.map(panel => {
+    const heading = panel.querySelector(':scope > .tab-heading');
+    const tab = document.createElement('button');
+    
+    tab.type = 'button';
+    tab.className = 'tab';
+    tab.setAttribute('role', 'tab');
+    tab.setAttribute('aria-controls', panel.id);
+    
+    // The tab takes over the heading's text and ID, so links to it still work
+    if (heading) {
+      tab.id = heading.id;
+      while (heading.firstChild) {
+        tab.appendChild(heading.firstChild);
+      }
+      heading.remove();
+    } else {
+      tab.id = `${panel.id}-tab`;
+      tab.textContent = panel.getAttribute('data-tab');
+    }
+    
+    panel.setAttribute('role', 'tabpanel');
+    panel.setAttribute('aria-labelledby', tab.id);
+    panel.tabIndex = 0;
+    
+    tablist.appendChild(tab);
+    return tab;
+  });
+  
+  container.insertBefore(tablist, container.firstChild);
+  container.classList.add('tabs-enhanced');
+  
+  return {
+    key: container.getAttribute('data-tabs-key'),
+    names: panels.map(panel => panel.getAttribute('data-tab')),
+    tablist,
+    tabs,
+    panels,
+    selected: -1
+  };
+}
+
+/**
+ * Show a tab of a group and hide the others
+ * @param {Object} group - Tab group from `createTabGroup`
+ * @param {number} index - Index of the tab to show
+ */
+function selectTab(group, index) {
+  group.tabs.forEach((tab, i) => {
+    const selected = i === index;
+    
+    tab.setAttribute('aria-selected', selected.toString());
+    tab.tabIndex = selected ? 0 : -1;
+    group.panels[i].hidden = !selected;
+  });
+  
+  group.selected = index;
+}
+
+/**
+ * Show a tab the reader chose, in every group sharing its key, and save the
+ * choice
+ * @param {Array<Object>} groups - All tab groups on the page
+ * @param {Object} group - Tab group the tab belongs to
+ * @param {number} index - Index of the chosen tab
+ */
+function chooseTab(groups, group, index) {
+  selectTab(group, index);
+  
+  if (!group.key) return;
+  
+  const name = group.names[index];
+  
+  groups.forEach(other => {
+    const otherIndex = other.names.indexOf(name);
+    
+    if (other !== group && other.key === group.key && otherIndex !== -1) {
+      selectTab(other, otherIndex);
+    }
+  });
+  
+  // Save preference
+  const preferredTabs = getPreferredTabs();
+  preferredTabs[group.key] = name;
+  localStorage.setItem(TABS_STORAGE_KEY, JSON.stringify(preferredTabs));
+}
+
+/**
+ * Get the saved tab of each group key
+ * @returns {Object} Tab names by group key
+ */
+function getPreferredTabs() {
+  try {
+    return JSON.parse(localStorage.getItem(TABS_STORAGE_KEY)) || {};
+  } catch (error) {
+    return {};
+  }
+}
+
+// Initialize tabs when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  initTabs('.tabs');
+});
@@ -1,23 +1,19 @@
 /**
- * Table of Contents Generator
- * Creates an accessible table of contents from document headings
+ * Table of Contents
+ * The table of contents is rendered when the site is built. This adds arrow
+ * key navigation between its links and marks the link of the section being read.
  */
 
 /**
- * Generate table of contents from document headings
- * @param {string} headingSelector - CSS selector for headings to include
+ * Enhance the table of contents with keyboard navigation and scroll tracking
  * @param {string} containerSelector - CSS selector for container element
  * @param {Object} options - Configuration options
+ * @returns {Object|null} `{ container, links, update }`, or null if the page
+ * has no table of contents
  */
-function generateTableOfContents(headingSelector, containerSelector, options = {}) {
+function initTableOfContents(containerSelector, options = {}) {
   // Default options
   const defaults = {
-    title: 'Table of Contents',
-    listType: 'ul',
-    includeTitle: true,
-    skipTopLevel: false,
-    maxLevel: 0,
-    minLevel: 0,
     linkClass: 'toc-link',
     activeLinkClass: 'toc-link-active',
     updateOnScroll: true,
@@ -27,180 +23,46 @@ function generateTableOfContents(headingSelector, containerSelector, options = {
   // Merge options
   const settings = { ...defaults, ...options };
   
-  // Get container
+  // Pages with few headings have no table of contents
   const container = document.querySelector(containerSelector);
-  if (!container) {
-    console.warn(`TOC container not found: ${containerSelector}`);
-    return;
-  }
-  
-  // Get headings
-  const headings = document.querySelectorAll(headingSelector);
-  if (headings.length === 0) {
-    console.warn(`No headings found matching: ${headingSelector}`);
-    container.style.display = 'none';
-    return;
-  }
-  
-  // Create TOC header if requested
-  if (settings.includeTitle) {
-    const tocTitle = document.createElement('h2');
-    tocTitle.textContent = settings.title;
-    tocTitle.id = 'toc-title';
-    container.appendChild(tocTitle);
-  }
-  
-  // Add ARIA attributes to container
-  container.setAttribute('role', 'navigation');
-  container.setAttribute('aria-labelledby', 'toc-title');
+  if (!container) return null;
   
-  // Create list
-  const list = document.createElement(settings.listType);
-  list.setAttribute('role', 'list');
-  container.appendChild(list);
+  const tocLinks = Array.from(container.querySelectorAll(`a.${settings.linkClass}`)).map(link => ({
+    link: link,
+    // IDs of headings with punctuation keep their percent-encoding
+    targetId: link.getAttribute('href').slice(1),
+    level: parseInt(link.getAttribute('data-level'), 10)
+  }));
   
-  // Track heading levels and their lists
-  const levels = {};
-  levels[settings.listType] = list;
-  let currentLevel = 0;
-  let minFoundLevel = 10; // Initialize with a high number
-  let tocLinks = [];
+  if (tocLinks.length === 0) return null;
   
-  // Process each heading
-  headings.forEach((heading) => {
-    // Get heading level
-    const level = parseInt(heading.tagName.substring(1), 10);
-    
-    // Track minimum level found
-    if (level < minFoundLevel) {
-      minFoundLevel = level;
+  // Arrow keys move between the links; Tab still leaves the list
+  container.addEventListener('keydown', (event) => {
+    if (!['ArrowUp', 'ArrowDown', 'Home', 'End'].includes(event.key)) return;
+    
+    const focusedIndex = tocLinks.findIndex(item => item.link === document.activeElement);
+    if (focusedIndex === -1) return;
+    
+    event.preventDefault();
+    
+    // Navigate based on key
+    let newIndex = focusedIndex;
+    
+    if (event.key === 'ArrowUp' && focusedIndex > 0) {
+      newIndex = focusedIndex - 1;
+    } else if (event.key === 'ArrowDown' && focusedIndex < tocLinks.length - 1) {
+      newIndex = focusedIndex + 1;
+    } else if (event.key === 'Home') {
+      newIndex = 0;
+    } else if (event.key === 'End') {
+      newIndex = tocLinks.length - 1;
     }
     
-    // Skip if outside specified levels
-    if (settings.minLevel > 0 && level < settings.minLevel) return;
-    if (settings.maxLevel > 0 && level > settings.maxLevel) return;
-    
-    // Skip top level if specified
-    if (settings.skipTopLevel && level === minFoundLevel) return;
-    
-    // Ensure heading has an ID
-    if (!heading.id) {
-      const headingText = heading.textContent.trim();
-      const id = headingText
-        .toLowerCase()
-        .replace(/[^\w\s-]/g, '')
-        .replace(/\s+/g, '-')
-        .replace(/-+/g, '-');
-      
-      heading.id = id;
-    }
-    
-    // Determine parent list for this heading
-    let parentLevel = level - 1;
-    let parentList = list;
-    
-    // Find closest parent list or create if needed
-    while (parentLevel > minFoundLevel) {
-      if (levels[parentLevel]) {
-        parentList = levels[parentLevel];
-        break;
-      }
-      parentLevel--;
-    }
-    
-    // Create a nested list if this level doesn't exist
-    if (!levels[level] && level > minFoundLevel) {
-      const lastItem = parentList.lastElementChild;
-      
-      if (lastItem) {
-        const nestedList = document.createElement(settings.listType);
-        nestedList.setAttribute('role', 'list');
-        lastItem.appendChild(nestedList);
-        levels[level] = nestedList;
-        parentList = nestedList;
-      }
-    }
-    
-    // Create list item
-    const listItem = document.createElement('li');
-    
-    // Create link
-    const link = document.createElement('a');
-    link.textContent = heading.textContent;
-    link.href = `#${heading.id}`;
-    link.classList.add(settings.linkClass);
-    link.setAttribute('data-level', level);
-    link.setAttribute('aria-describedby', `toc-desc-${heading.id}`);
-    
-    // Add screen reader description
-    const srDescription = document.createElement('span');
-    srDescription.id = `toc-desc-${heading.id}`;
-    srDescription.className = 'sr-only';
-    srDescription.textContent = `Jump to section: ${heading.textContent}`;
-    link.appendChild(srDescription);
-    
-    // Store for scroll tracking
-    tocLinks.push({
-      link: link,
-      targetId: heading.id,
-      level: level
-    });
-    
-    // Add to list
-    listItem.appendChild(link);
-    
-    // Add to appropriate list
-    if (level === minFoundLevel || !levels[level]) {
-      list.appendChild(listItem);
-      levels[level] = list;
-    } else {
-      parentList.appendChild(listItem);
+    if (newIndex !== focusedIndex) {
+      tocLinks[newIndex].link.focus();
     }
   });
   
-  // Make the TOC keyboard accessible
-  if (tocLinks.length > 0) {
-    container.tabIndex = 0;
-    
-    // Add keyboard event handling
-    container.addEventListener('keydown', (event) => {
-      // Handle navigation keys
-      if (['ArrowUp', 'ArrowDown', 'Home', 'End'].includes(event.key)) {
-        event.preventDefault();
-        
-        // Find currently focused link
-        const focusedElement = document.activeElement;
-        let focusedIndex = -1;
-        
-        if (focusedElement && focusedElement.classList.contains(settings.linkClass)) {
-          tocLinks.forEach((item, index) => {
-            if (item.link === focusedElement) {
-              focusedIndex = index;
-            }
-          });
-        }
-        
-        // Navigate based on key
-        let newIndex = focusedIndex;
-        
-        if (event.key === 'ArrowUp' && focusedIndex > 0) {
-          newIndex = focusedIndex - 1;
-        } else if (event.key === 'ArrowDown' && focusedIndex < tocLinks.length - 1) {
-          newIndex = focusedIndex + 1;
-        } else if (event.key === 'Home') {
-          newIndex = 0;
-        } else if (event.key === 'End') {
-          newIndex = tocLinks.length - 1;
-        }
-        
-        // Focus the new item
-        if (newIndex !== focusedIndex && newIndex >= 0) {
-          tocLinks[newIndex].link.focus();
-        }
-      }
-    });
-  }
-  
   // Update active link on scroll
   if (settings.updateOnScroll) {
     // Throttle scroll event
@@ -230,47 +92,41 @@ function generateTableOfContents(headingSelector, containerSelector, options = {
     // Calculate positions
     const scrollPosition = window.scrollY + settings.scrollOffset;
     
-    // Find visible headings
-    const visibleHeadings = [];
+    // Find the last heading above the reading position
+    let activeItem = null;
+    let activePosition = -Infinity;
     
     tocLinks.forEach((item) => {
       const target = document.getElementById(item.targetId);
-      if (target) {
-        const position = target.getBoundingClientRect().top + window.scrollY;
-        
-        if (position <= scrollPosition) {
-          visibleHeadings.push({
-            id: item.targetId,
-            position: position,
-            level: item.level
-          });
-        }
+      if (!target) return;
+      
+      const position = target.getBoundingClientRect().top + window.scrollY;
+      
+      if (position <= scrollPosition && position >= activePosition) {
+        activeItem = item;
+        activePosition = position;
       }
     });
     
-    // Sort by position (closest to top of viewport)
-    visibleHeadings.sort((a, b) => b.position - a.position);
-    
-    // Get active heading (first one that's visible)
-    const activeHeading = visibleHeadings.length > 0 ? visibleHeadings[0] : null;
-    
-    // Update class on links
+    // Update class on links; the current section is also announced
     tocLinks.forEach((item) => {
       item.link.classList.remove(settings.activeLinkClass);
-      
-      if (activeHeading && item.targetId === activeHeading.id) {
-        item.link.classList.add(settings.activeLinkClass);
-        
-        // Ensure parent items are also highlighted
-        let parent = item.link.parentElement.parentElement;
-        while (parent && parent !== container) {
-          if (parent.previousElementSibling && parent.previousElementSibling.tagName === 'A') {
-            parent.previousElementSibling.classList.add(settings.activeLinkClass);
-          }
-          parent = parent.parentElement;
-        }
-      }
+      item.link.removeAttribute('aria-current');
     });
+    
+    if (!activeItem) return;
+    
+    activeItem.link.classList.add(settings.activeLinkClass);
+    activeItem.link.setAttribute('aria-current', 'location');
+    
+    // Ensure parent items are also highlighted
+    let parent = activeItem.link.parentElement.parentElement;
+    while (parent && parent !== container) {
+      if (parent.previousElementSibling && parent.previousElementSibling.tagName === 'A') {
+        parent.previousElementSibling.classList.add(settings.activeLinkClass);
+      }
+      parent = parent.parentElement;
+    }
   }
   
   return {
@@ -281,4 +137,4 @@ function generateTableOfContents(headingSelector, containerSelector, options = {
 }
 
 // Make the function globally available
-window.generateTableOfContents = generateTableOfContents;
+window.initTableOfContents = initTableOfContents;
@@ -148,8 +148,9 @@ function addDocumentLandmarks(parsedHtml) {
     footerElement.setAttribute('role', 'contentinfo');
   }
   
-  // Add complementary landmarks for asides
-  const asideElements = parsedHtml.querySelectorAll('aside');
+  // Add complementary landmarks for asides, leaving asides that already have
+  // a role alone (admonitions are notes, not landmarks)
+  const asideElements = parsedHtml.querySelectorAll('aside').filter(aside => !aside.hasAttribute('role'));
   for (let i = 0; i < asideElements.length; i++) {
     const aside = asideElements[i];
     aside.setAttribute('role', 'complementary');
@@ -227,13 +228,15 @@ function enhanceLinks(parsedHtml) {
       const targetElement = parsedHtml.getElementById(targetId);
       
       if (targetElement) {
-        // If target doesn't have a tabindex, add one to make it focusable
-        if (!targetElement.hasAttribute('tabindex')) {
+        // If target doesn't have a tabindex, add one to make it focusable;
+        // links already are, e.g. footnote references, and would leave the tab order
+        if (!targetElement.hasAttribute('tabindex') && !(targetElement.tagName === 'A' && targetElement.hasAttribute('href'))) {
           targetElement.setAttribute('tabindex', '-1');
         }
         
-        // If link doesn't have an aria-label, add one
-        if (!link.getAttribute('aria-label')) {
+        // If link doesn't have an aria-label, add one; footnote back links
+        // already say where they lead
+        if (!link.getAttribute('aria-label') && !link.hasAttribute('data-footnote-backref')) {
           link.setAttribute('aria-label', `Jump to ${link.textContent}`);
         }
       }
@@ -3,14 +3,22 @@ const { JSDOM } = require('jsdom');
 const wcagContrast = require('wcag-contrast');
 const htmlValidator = require('html-validator');
 const { getConfig } = require('../config');
+const { RTL_CHARACTERS, LTR_CHARACTERS, getTextDirection } = require('../i18n/direction');
+const { SOURCE_LINE_ATTRIBUTE, stripSourceLines } = require('../markdown/includes');
+const { parseReadabilityTarget, scoreReadability, checkReadability } = require('./readability');
 
 /**
  * Runs accessibility checks on HTML content
  * @param {string} html - HTML content to check
+ * @param {Object} config - Configuration options, loaded from the config file if omitted
+ * @param {Array<Object>} customRules - Additional rules, e.g. contributed by plugins
+ * @param {Object} page - Page being checked
+ * @param {string} page.language - Language of the content, for HTML without an `<html lang>`
+ * @param {Array<Object>} page.sourceMap - Source file and line of each markdown
+ * line, from `expandIncludes`, to point issues at the file they came from
  * @returns {Array} Array of accessibility issues
  */
-async function checkAccessibility(html) {
-  const config = getConfig();
+async function checkAccessibility(html, config = getConfig(), customRules = [], page = {}) {
   const issues = [];
   
   try {
@@ -60,9 +68,45 @@ async function checkAccessibility(html) {
       issues.push(...srIssues);
     }
     
+    // 8. Check for mixed-direction text
+    if (config.checkTextDirection) {
+      const direction = getTextDirection(page.language || document.documentElement.getAttribute('lang') || config.locale);
+      const directionIssues = checkTextDirection(document, document.documentElement.getAttribute('dir') || direction);
+      issues.push(...directionIssues);
+    }
+    
+    // 9. Check for formulas delivered as images
+    if (config.checkMathImages) {
+      const mathImageIssues = checkMathImages(document);
+      issues.push(...mathImageIssues);
+    }
+    
+    // 10. Check for footnotes without a note or without a reference
+    if (config.checkFootnotes) {
+      const footnoteIssues = checkFootnotes(document);
+      issues.push(...footnoteIssues);
+    }
+    
+    // 11. Check the reading level of each section against the target
+    const readabilityTarget = parseReadabilityTarget(config.readabilityTarget);
+    if (readabilityTarget !== null) {
+      const score = scoreReadability(document.body, page.language || document.documentElement.getAttribute('lang') || config.locale);
+      issues.push(...checkReadability(score, readabilityTarget));
+    }
+    
+    // 12. Run custom rules
+    if (customRules.length > 0) {
+      const customIssues = await runCustomRules(document, customRules, config);
+      issues.push(...customIssues);
+    }
+    
+    if (page.sourceMap) {
+      locateIssues(document, issues, page.sourceMap);
+    }
+    
     return issues;
   } catch (error) {
-    console.error('Error during accessibility check:', error);
+    // Reported as an issue rather than logged so parallel builds stay ordered
     return [{ 
       type: 'error', 
       message: `Accessibility check failed: ${error.message}` 
@@ -107,7 +151,6 @@ async function runAxeChecks(document) {
       elements: violation.nodes.map(node => node.html)
     }));
   } catch (error) {
-    console.error('Error running axe checks:', error);
     return [{ 
       type: 'wcag', 
       rule: 'axe-error', 
@@ -182,7 +225,7 @@ function checkColorContrast(document) {
   const textElements = document.querySelectorAll('p, h1, h2, h3, h4, h5, h6, li, td, th, label');
   
   for (const element of textElements) {
-    const style = getComputedStyle(element);
+    const style = document.defaultView.getComputedStyle(element);
     
     if (!style.color || !style.backgroundColor) {
       // Skip elements with undefined colors (will inherit)
@@ -286,7 +329,6 @@ async function validateHTML(html) {
         column: msg.column
       }));
   } catch (error) {
-    console.warn('HTML validation failed:', error.message);
     return [{ 
       type: 'html', 
       message: `HTML validation failed: ${error.message}` 
@@ -499,6 +541,228 @@ function checkScreenReaderAnnouncements(document) {
   return issues;
 }
 
+/**
+ * Elements whose text is checked for mixed directions
+ */
+const TEXT_BLOCKS = 'p, li, dt, dd, td, th, caption, figcaption, h1, h2, h3, h4, h5, h6';
+
+/**
+ * Check for text that mixes right-to-left and left-to-right scripts without
+ * marking up the direction of the embedded run. Without `<bdi>` or a `dir`
+ * attribute, punctuation and numbers next to the run can be displayed in
+ * the wrong order, and screen readers may read it in the wrong language.
+ * @param {Document} document - DOM document
+ * @param {string} baseDirection - Direction of the page, "ltr" or "rtl"
+ * @returns {Array} Array of text direction issues
+ */
+function checkTextDirection(document, baseDirection) {
+  const issues = [];
+  
+  for (const block of document.querySelectorAll(TEXT_BLOCKS)) {
+    const directionElement = block.closest('[dir]');
+    const direction = directionElement ? directionElement.getAttribute('dir') : baseDirection;
+    const opposite = direction === 'rtl' ? LTR_CHARACTERS : RTL_CHARACTERS;
+    
+    if (opposite.test(getUnmarkedText(block))) {
+      issues.push({
+        type: 'direction',
+        message: 'Text mixes right-to-left and left-to-right scripts without direction markup; wrap the embedded run in <bdi> or give it a dir attribute',
+        element: block.outerHTML
+      });
+    }
+  }
+  
+  return issues;
+}
+
+/**
+ * Get the text of an element, leaving out runs with their own direction
+ * markup and nested text blocks, which are checked separately
+ * @param {Element} element - Element to read
+ * @returns {string} Text without direction markup
+ */
+function getUnmarkedText(element) {
+  let text = '';
+  
+  for (const node of element.childNodes) {
+    if (node.nodeType === node.TEXT_NODE) {
+      text += node.textContent;
+    } else if (node.nodeType === node.ELEMENT_NODE &&
+               node.tagName !== 'BDI' &&
+               !node.hasAttribute('dir') &&
+               !node.matches(TEXT_BLOCKS)) {
+      text += getUnmarkedText(node);
+    }
+  }
+  
+  return text;
+}
+
+/**
+ * Image sources that render formulas: TeX rendering services, and file
+ * names such as "equation-2.png"
+ */
+const MATH_IMAGE_SOURCES = /latex\.codecogs\.com|chart\.googleapis\.com\/chart\?.*cht=tx|i\.upmath\.me|math\.now\.sh|latex\.vercel\.app|quicklatex\.com|render\.githubusercontent\.com\/render\/math|[/_.-](equation|formula|math|latex|tex)s?\b/i;
+
+/**
+ * Class names marking an image as a formula
+ */
+const MATH_IMAGE_CLASSES = ['math', 'equation', 'formula', 'latex', 'tex'];
+
+/**
+ * Alt text that names an image without stating the formula
+ */
+const GENERIC_MATH_ALT = /^(image|img|equation|formula|math|latex|tex|[\w-]+\.(png|jpe?g|gif|svg|webp))$/i;
+
+/**
+ * Check for formulas delivered as images without a text alternative. Screen
+ * readers can't read an image of an equation, so it needs alt text stating
+ * the formula, or better, to be written as TeX and rendered to MathML.
+ * @param {Document} document - DOM document
+ * @returns {Array} Array of math image issues
+ */
+function checkMathImages(document) {
+  const issues = [];
+  
+  for (const image of document.querySelectorAll('img, svg')) {
+    const isMath = MATH_IMAGE_CLASSES.some(name => image.classList.contains(name)) ||
+      (image.tagName === 'IMG' && MATH_IMAGE_SOURCES.test(image.getAttribute('src') || ''));
+    
+    if (!isMath) continue;
+    
+    const title = image.tagName === 'IMG' ? null : image.querySelector('title');
+    const alternative = (image.getAttribute('alt') || image.getAttribute('aria-label') || (title && title.textContent) || '').trim();
+    
+    if (!alternative || GENERIC_MATH_ALT.test(alternative)) {
+      issues.push({
+        type: 'math',
+        message: 'Formula is an image without a text alternative; write it as $...$ or $$...$$ to render it as MathML, or give the image alt text stating the formula',
+        element: image.outerHTML
+      });
+    }
+  }
+  
+  return issues;
+}
+
+/**
+ * Check footnotes for references to notes that don't exist, and for notes
+ * nothing refers to, which readers only come across at the end of the page
+ * @param {Document} document - DOM document
+ * @returns {Array} Array of footnote issues
+ */
+function checkFootnotes(document) {
+  const issues = [];
+  
+  // Labels without a definition are left as text by the footnotes plugin
+  for (const missing of document.querySelectorAll('[data-footnote-missing]')) {
+    const label = missing.getAttribute('data-footnote-missing');
+    
+    issues.push({
+      type: 'footnote',
+      message: `Footnote reference [^${label}] has no note; add "[^${label}]: ..." or remove the reference`,
+      element: missing.outerHTML
+    });
+  }
+  
+  const refs = [...document.querySelectorAll('.footnote-ref a[href^="#"]')];
+  const targets = new Set();
+  
+  for (const ref of refs) {
+    const target = ref.getAttribute('href').slice(1);
+    targets.add(target);
+    
+    if (!document.getElementById(target)) {
+      issues.push({
+        type: 'footnote',
+        message: `Footnote reference ${ref.textContent.trim()} links to a note that doesn't exist`,
+        element: ref.outerHTML
+      });
+    }
+  }
+  
+  for (const note of document.querySelectorAll('.footnote-item[id]')) {
+    if (targets.has(note.id)) continue;
+    
+    const label = note.getAttribute('data-footnote-label');
+    
+    issues.push({
+      type: 'footnote',
+      message: `Footnote ${label ? `[^${label}]` : note.id} is never referenced; refer to it or remove it`,
+      element: note.outerHTML,
+      // Located at its definition by the generator
+      label
+    });
+  }
+  
+  return issues;
+}
+
+/**
+ * Add the source file and line to issues found on elements rendered from
+ * markdown, using the line each block was marked with while rendering
+ * @param {Document} document - DOM document
+ * @param {Array<Object>} issues - Issues to locate, updated in place
+ * @param {Array<Object>} sourceMap - Source `{ file, line }` of each markdown line
+ */
+function locateIssues(document, issues, sourceMap) {
+  const elements = [...document.body.querySelectorAll('*')];
+  const selector = `[${SOURCE_LINE_ATTRIBUTE}]`;
+  
+  for (const issue of issues) {
+    const html = issue.element || (issue.elements && issue.elements[0]);
+    const element = html && !issue.line ? elements.find(candidate => candidate.outerHTML === html) : null;
+    const block = element && (element.closest(selector) || element.querySelector(selector));
+    const location = block && sourceMap[Number(block.getAttribute(SOURCE_LINE_ATTRIBUTE))];
+    
+    if (location) {
+      issue.file = location.file;
+      issue.line = location.line;
+    }
+    
+    // The markers are an implementation detail, so leave them out of reports
+    if (issue.element) {
+      issue.element = stripSourceLines(issue.element);
+    }
+    if (issue.elements) {
+      issue.elements = issue.elements.map(stripSourceLines);
+    }
+  }
+}
+
+/**
+ * Run custom checker rules
+ *
+ * Each rule has an `id` and a `check(document, context)` function returning
+ * (or resolving to) an array of issues in the same format as the built-in
+ * checks. Issues default to type "custom" and the rule's id.
+ * @param {Document} document - DOM document
+ * @param {Array<Object>} rules - Custom rules
+ * @param {Object} config - Configuration options
+ * @returns {Array} Array of issues reported by the rules
+ */
+async function runCustomRules(document, rules, config) {
+  const issues = [];
+  
+  for (const rule of rules) {
+    try {
+      const ruleIssues = await rule.check(document, { config });
+      
+      for (const issue of ruleIssues || []) {
+        issues.push({ type: 'custom', rule: rule.id, ...issue });
+      }
+    } catch (error) {
+      issues.push({
+        type: 'custom',
+        rule: rule.id,
+        message: `Custom rule "${rule.id}" failed: ${error.message}`
+      });
+    }
+  }
+  
+  return issues;
+}
+
 module.exports = {
   checkAccessibility
 };
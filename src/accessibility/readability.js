@@ -0,0 +1,277 @@
+const { INLINE_ELEMENTS } = require('../navigation/search');
+
+/**
+ * Reading speed used for the reading time, in words per minute
+ */
+const WORDS_PER_MINUTE = 200;
+
+/**
+ * Words longer than this many letters count as long, as in the LIX score
+ */
+const LONG_WORD_LENGTH = 6;
+
+/**
+ * Sections with fewer words are too short for a meaningful grade
+ */
+const MIN_SECTION_WORDS = 30;
+
+/**
+ * Hardest sentences quoted in each readability issue
+ */
+const MAX_REPORTED_SENTENCES = 3;
+
+// Content that isn't prose: code blocks, tables, formulas and diagrams
+const SKIPPED_ELEMENTS = new Set(['pre', 'table', 'math', 'svg', 'script', 'style', 'figure']);
+const SKIPPED_CLASSES = ['header-anchor', 'footnote-ref'];
+
+// Inline code stays in the quoted sentences, but counts as a single short
+// word, as identifiers would skew the syllable and long word counts
+const INLINE_CODE_ELEMENTS = new Set(['code', 'kbd', 'samp']);
+const CODE_START = '\uE000';
+const CODE_END = '\uE001';
+const INLINE_CODE = /\uE000[^\uE001]*\uE001/g;
+const CODE_PLACEHOLDER = ' code ';
+
+// A sentence ends at ".", "!" or "?" followed by a capital, a digit or
+// inline code, so abbreviations such as "e.g. the" don't end one
+const SENTENCE_END = /(?<=[.!?…])["')\]’”]*\s+(?=\uE000|["'(\[‘“¿¡]?[\p{Lu}\p{N}])/u;
+const WORD = /[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu;
+const VOWEL_GROUP = /[aeiouyàáâäèéêëìíîïòóôöùúûüÿæœ]+/g;
+
+/**
+ * Read the `readabilityTarget` option: a grade such as `'grade8'`, or a number
+ * @param {string|number|null} target - Option value
+ * @returns {number|null} Target grade, or null if readability isn't checked
+ */
+function parseReadabilityTarget(target) {
+  if (target === null || target === undefined || target === false) return null;
+  if (typeof target === 'number') return target;
+  
+  const match = String(target).trim().match(/^grade\s*(\d+(?:\.\d+)?)$/i);
+  if (!match) {
+    throw new Error(`Unknown readabilityTarget "${target}"; use a grade such as 'grade8'`);
+  }
+  
+  return Number(match[1]);
+}
+
+/**
+ * Score the reading level of a page and of each of its sections, a section
+ * being the text from one heading to the next. Code blocks, tables, formulas
+ * and diagrams are left out; inline code counts as one short word.
+ *
+ * The Flesch–Kincaid grade counts syllables the English way, so it is only
+ * given for English; the average sentence length and the share of long words
+ * apply to any language.
+ * @param {Node} root - Page content, from jsdom or node-html-parser
+ * @param {string} language - Language of the content
+ * @returns {Object} Page score with `sections`, each a score with its
+ * `heading` element (null before the first heading) and scored `sentences`
+ */
+function scoreReadability(root, language) {
+  const english = !language || /^en\b/i.test(language);
+  const sections = collectSections(root).map(section => ({
+    heading: section.heading,
+    sentences: section.blocks.flatMap(splitSentences).map(text => ({
+      text: text.replace(/[\uE000\uE001]/g, ''),
+      ...countText(text.replace(INLINE_CODE, CODE_PLACEHOLDER))
+    }))
+  }));
+  
+  return {
+    ...summarize(sections.flatMap(section => section.sentences), english),
+    sections: sections.filter(section => section.sentences.length > 0).map(section => ({
+      heading: section.heading,
+      ...summarize(section.sentences, english),
+      sentences: section.sentences.map(sentence => ({ text: sentence.text, grade: english ? gradeOf(sentence) : null }))
+    }))
+  };
+}
+
+/**
+ * Summarize a page's readability for its metadata
+ * @param {Object} score - Score from `scoreReadability`
+ * @returns {Object} `{ grade, words, averageSentenceLength, longWordRatio, readingTime }`,
+ * with the reading time in minutes
+ */
+function summarizeReadability(score) {
+  const { grade, words, averageSentenceLength, longWordRatio, readingTime } = score;
+  return { grade, words, averageSentenceLength, longWordRatio, readingTime };
+}
+
+/**
+ * Find the sections of a page that read above the target grade
+ * (WCAG 3.1.5 Reading Level)
+ * @param {Object} score - Score from `scoreReadability`
+ * @param {number} target - Target grade
+ * @returns {Array} Array of readability issues, quoting the hardest sentences
+ */
+function checkReadability(score, target) {
+  const issues = [];
+  
+  for (const section of score.sections) {
+    if (section.grade === null || section.words < MIN_SECTION_WORDS || section.grade <= target) continue;
+    
+    const name = section.heading ? `Section "${getText(section.heading)}"` : 'The introduction';
+    const sentences = section.sentences
+      .filter(sentence => sentence.grade > target)
+      .sort((a, b) => b.grade - a.grade)
+      .slice(0, MAX_REPORTED_SENTENCES)
+      .map(sentence => sentence.text);
+    
+    issues.push({
+      type: 'readability',
+      message: `${name} reads at grade ${section.grade}, above the target of grade ${target} (average sentence length ${section.averageSentenceLength} words, ${Math.round(section.longWordRatio * 100)}% long words); use shorter sentences and simpler words`,
+      element: section.heading ? section.heading.outerHTML : undefined,
+      sentences
+    });
+  }
+  
+  return issues;
+}
+
+/**
+ * Split content into sections at each heading, collecting the text of each
+ * block (paragraph, list item, ...) separately so blocks without a full stop
+ * don't run together
+ * @param {Node} root - Page content
+ * @returns {Array<Object>} Sections as `{ heading, blocks }`
+ */
+function collectSections(root) {
+  const sections = [{ heading: null, blocks: [] }];
+  let parts = [];
+  
+  const flush = () => {
+    const text = parts.join('').replace(/\s+/g, ' ').trim();
+    if (text) sections[sections.length - 1].blocks.push(text);
+    parts = [];
+  };
+  
+  const walk = (node) => {
+    if (node.nodeType === 3) {
+      parts.push(node.textContent);
+      return;
+    }
+    if (node.nodeType !== 1) return;
+    
+    const tag = node.tagName.toLowerCase();
+    
+    if (SKIPPED_ELEMENTS.has(tag) || SKIPPED_CLASSES.some(name => node.classList.contains(name))) return;
+    if (node.getAttribute('aria-hidden') === 'true') return;
+    
+    if (INLINE_CODE_ELEMENTS.has(tag)) {
+      parts.push(CODE_START + node.textContent + CODE_END);
+      return;
+    }
+    
+    if (/^h[1-6]$/.test(tag)) {
+      flush();
+      sections.push({ heading: node, blocks: [] });
+      return;
+    }
+    
+    const inline = INLINE_ELEMENTS.has(tag);
+    if (!inline) flush();
+    node.childNodes.forEach(walk);
+    if (!inline) flush();
+  };
+  
+  root.childNodes.forEach(walk);
+  flush();
+  
+  return sections;
+}
+
+/**
+ * Split a block of text into sentences
+ * @param {string} text - Text of a block
+ * @returns {Array<string>} Sentences that contain words
+ */
+function splitSentences(text) {
+  return text.split(SENTENCE_END).map(sentence => sentence.trim()).filter(sentence => /[\p{L}\p{N}\uE000]/u.test(sentence));
+}
+
+/**
+ * Count the words, syllables and long words of a sentence
+ * @param {string} text - Sentence
+ * @returns {Object} `{ words, syllables, longWords }`
+ */
+function countText(text) {
+  const words = text.match(WORD) || [];
+  
+  return {
+    words: words.length,
+    syllables: words.reduce((total, word) => total + countSyllables(word), 0),
+    longWords: words.filter(word => word.length > LONG_WORD_LENGTH).length
+  };
+}
+
+/**
+ * Estimate the syllables of an English word from its groups of vowels
+ * @param {string} word - Word
+ * @returns {number} Syllables, at least 1
+ */
+function countSyllables(word) {
+  const lower = word.toLowerCase();
+  if (lower.length <= 3) return 1;
+  
+  // Silent endings: "make", "makes", "used", but not "table", "boxes" or "wanted"
+  const trimmed = lower.replace(/(?:[^laeiouysxzh]es|[^laeiouydt]ed|[^laeiouy]e)$/, match => match.charAt(0)).replace(/^y/, '');
+  const groups = trimmed.match(VOWEL_GROUP);
+  
+  return Math.max(1, groups ? groups.length : 0);
+}
+
+/**
+ * Flesch–Kincaid grade of counted text
+ * @param {Object} counts - `{ words, syllables }` and optionally `sentences` (default 1)
+ * @returns {number} Grade, rounded to one decimal
+ */
+function gradeOf({ words, syllables, sentences = 1 }) {
+  const grade = 0.39 * (words / sentences) + 11.8 * (syllables / words) - 15.59;
+  return Math.max(0, Math.round(grade * 10) / 10);
+}
+
+/**
+ * Combine the counts of sentences into a score
+ * @param {Array<Object>} sentences - Counts from `countText`
+ * @param {boolean} english - Whether to give a grade
+ * @returns {Object} `{ grade, words, sentenceCount, averageSentenceLength, longWordRatio, readingTime }`
+ */
+function summarize(sentences, english) {
+  const words = sentences.reduce((total, sentence) => total + sentence.words, 0);
+  const syllables = sentences.reduce((total, sentence) => total + sentence.syllables, 0);
+  const longWords = sentences.reduce((total, sentence) => total + sentence.longWords, 0);
+  
+  if (words === 0) {
+    return { grade: null, words: 0, sentenceCount: 0, averageSentenceLength: 0, longWordRatio: 0, readingTime: 0 };
+  }
+  
+  return {
+    grade: english ? gradeOf({ words, syllables, sentences: sentences.length }) : null,
+    words,
+    sentenceCount: sentences.length,
+    averageSentenceLength: Math.round((words / sentences.length) * 10) / 10,
+    longWordRatio: Math.round((longWords / words) * 100) / 100,
+    readingTime: Math.ceil(words / WORDS_PER_MINUTE)
+  };
+}
+
+/**
+ * Get the text of a heading, without its permalink
+ * @param {Node} heading - Heading element
+ * @returns {string} Text
+ */
+function getText(heading) {
+  const anchor = heading.querySelector('.header-anchor');
+  const text = heading.textContent.replace(/\s+/g, ' ').trim();
+  
+  return anchor ? text.slice(0, text.length - anchor.textContent.trim().length).trim() : text;
+}
+
+module.exports = {
+  parseReadabilityTarget,
+  scoreReadability,
+  summarizeReadability,
+  checkReadability
+};
@@ -0,0 +1,37 @@
+/**
+ * Get the publishing status of a page from its frontmatter
+ * @param {Object} frontmatter - Page frontmatter
+ * @param {Date} now - Time of the build
+ * @returns {Object|null} `{ type: 'draft' }`, `{ type: 'scheduled', publishDate }`
+ * with the date as YYYY-MM-DD, or null for published pages
+ */
+function getDraftStatus(frontmatter = {}, now = new Date()) {
+  if (frontmatter.draft === true) {
+    return { type: 'draft' };
+  }
+  
+  if (frontmatter.publishDate) {
+    const publishDate = new Date(frontmatter.publishDate);
+    
+    if (!isNaN(publishDate.getTime()) && publishDate > now) {
+      return { type: 'scheduled', publishDate: publishDate.toISOString().slice(0, 10) };
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Filter out drafts and pages scheduled for a later date
+ * @param {Array<Object>} pages - Page records
+ * @param {Date} now - Time of the build
+ * @returns {Array<Object>} Published pages
+ */
+function getPublishedPages(pages, now = new Date()) {
+  return pages.filter(page => !getDraftStatus(page.frontmatter, now));
+}
+
+module.exports = {
+  getDraftStatus,
+  getPublishedPages
+};
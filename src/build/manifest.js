@@ -0,0 +1,175 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const packageJson = require('../../package.json');
+
+/**
+ * Name of the manifest file written to the output directory
+ */
+const MANIFEST_FILE = '.accessdocs-manifest.json';
+
+/**
+ * Bump when the manifest layout changes so old manifests trigger a full build
+ */
+const MANIFEST_VERSION = 1;
+
+/**
+ * Settings that affect how a build runs but not what it outputs
+ */
+const BUILD_ONLY_SETTINGS = ['concurrency', 'watch', 'verbose'];
+
+/**
+ * Hash a string or buffer
+ * @param {string|Buffer} content - Content to hash
+ * @returns {string} Hex encoded SHA-256 hash
+ */
+function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Hash the configuration so any setting change forces a full rebuild
+ * @param {Object} config - Configuration object
+ * @returns {string} Configuration hash
+ */
+function hashConfig(config) {
+  const outputSettings = { ...config };
+
+  for (const setting of BUILD_ONLY_SETTINGS) {
+    delete outputSettings[setting];
+  }
+
+  // The pages of other versions and languages are tracked per page as part of `@nav`
+  delete outputSettings.versioning;
+  delete outputSettings.localization;
+
+  return hashContent(JSON.stringify({ version: packageJson.version, config: outputSettings }));
+}
+
+/**
+ * Build manifest recording what each output was generated from.
+ *
+ * Entries are keyed by output path (relative to the output directory) and
+ * record the source they came from, the source hash and the hashes of every
+ * dependency (included files, or the site navigation as `@nav`) at the time
+ * the output was written.
+ */
+class BuildManifest {
+  constructor(outputDir, data = {}) {
+    this.outputDir = outputDir;
+    this.configHash = data.configHash || null;
+    this.outputs = data.outputs || {};
+  }
+
+  /**
+   * Load the manifest from an output directory
+   * @param {string} outputDir - Output directory
+   * @returns {Promise<BuildManifest>} Loaded manifest, or an empty one if missing or outdated
+   */
+  static async load(outputDir) {
+    try {
+      const content = await fs.readFile(path.join(outputDir, MANIFEST_FILE), 'utf8');
+      const data = JSON.parse(content);
+
+      if (data.version === MANIFEST_VERSION) {
+        return new BuildManifest(outputDir, data);
+      }
+    } catch (error) {
+      // Missing or unreadable manifest means a full build
+    }
+
+    return new BuildManifest(outputDir);
+  }
+
+  /**
+   * Mark all recorded outputs as out of date. Outputs are kept with their
+   * source (null for generated pages), so those left out of the new build
+   * are still removed.
+   * @param {string} configHash - Hash of the configuration for the new build
+   */
+  reset(configHash) {
+    this.configHash = configHash;
+
+    for (const [outputPath, entry] of Object.entries(this.outputs)) {
+      this.outputs[outputPath] = { source: entry.source || null, invalidated: true };
+    }
+  }
+
+  /**
+   * Get the entry for an output
+   * @param {string} outputPath - Output path relative to the output directory
+   * @returns {Object|undefined} Manifest entry
+   */
+  get(outputPath) {
+    return this.outputs[outputPath];
+  }
+
+  /**
+   * Record an output
+   * @param {string} outputPath - Output path relative to the output directory
+   * @param {Object} entry - Source, hash and dependencies of the output
+   */
+  set(outputPath, entry) {
+    this.outputs[outputPath] = entry;
+  }
+
+  /**
+   * Forget an output
+   * @param {string} outputPath - Output path relative to the output directory
+   */
+  delete(outputPath) {
+    delete this.outputs[outputPath];
+  }
+
+  /**
+   * Check whether an output must be regenerated
+   * @param {string} outputPath - Output path relative to the output directory
+   * @param {string|null} hash - Current hash of the output's source
+   * @param {Function} resolveDependency - Returns the current hash of a dependency key
+   * @returns {Promise<boolean>} True if the output is missing or out of date
+   */
+  async isStale(outputPath, hash, resolveDependency) {
+    const entry = this.outputs[outputPath];
+
+    if (!entry || entry.invalidated || entry.hash !== hash) {
+      return true;
+    }
+
+    for (const [dependency, dependencyHash] of Object.entries(entry.dependencies || {})) {
+      if (await resolveDependency(dependency) !== dependencyHash) {
+        return true;
+      }
+    }
+
+    try {
+      await fs.access(path.join(this.outputDir, outputPath));
+    } catch (error) {
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Write the manifest to the output directory
+   */
+  async save() {
+    const data = {
+      version: MANIFEST_VERSION,
+      configHash: this.configHash,
+      outputs: this.outputs
+    };
+
+    await fs.writeFile(
+      path.join(this.outputDir, MANIFEST_FILE),
+      JSON.stringify(data, null, 2)
+    );
+  }
+}
+
+module.exports = {
+  BuildManifest,
+  hashContent,
+  hashConfig,
+  MANIFEST_FILE
+};
@@ -0,0 +1,87 @@
+const { minify: minifyHtmlContent } = require('html-minifier-terser');
+const CleanCSS = require('clean-css');
+const { minify: minifyJsContent } = require('terser');
+
+/**
+ * HTML minifier options chosen so minification never changes what assistive
+ * technologies see:
+ * - whitespace is collapsed to a single space, never removed, so words in
+ *   adjacent inline elements are not run together
+ * - `pre` and `textarea` keep their whitespace (the minifier's default) and
+ *   inline `code` is left untouched
+ * - attributes are never dropped, so ARIA attributes and `alt=""` on
+ *   decorative images survive
+ */
+const HTML_OPTIONS = {
+  collapseWhitespace: true,
+  conservativeCollapse: true,
+  removeComments: true,
+  minifyCSS: true,
+  minifyJS: true,
+  ignoreCustomFragments: [/<code[\s>][\s\S]*?<\/code>/],
+  removeEmptyAttributes: false,
+  removeRedundantAttributes: false,
+  removeAttributeQuotes: false,
+  collapseBooleanAttributes: false
+};
+
+/**
+ * Minify an HTML document
+ * @param {string} html - HTML content
+ * @returns {Promise<string>} Minified HTML
+ */
+async function minifyHtml(html) {
+  return minifyHtmlContent(html, HTML_OPTIONS);
+}
+
+/**
+ * Minify a stylesheet
+ * @param {string} css - CSS content
+ * @returns {string} Minified CSS
+ */
+function minifyCss(css) {
+  const result = new CleanCSS({ level: 1 }).minify(css);
+  
+  if (result.errors.length > 0) {
+    throw new Error(result.errors.join('; '));
+  }
+  
+  return result.styles;
+}
+
+/**
+ * Minify a script
+ * @param {string} js - JavaScript content
+ * @returns {Promise<string>} Minified JavaScript
+ */
+async function minifyJs(js) {
+  // Keep top-level names: the template calls functions such as
+  // initThemeSelector() defined by the shipped scripts
+  const result = await minifyJsContent(js, { mangle: { toplevel: false }, compress: { toplevel: false } });
+  return result.code;
+}
+
+/**
+ * Minify an asset based on its file extension
+ * @param {string} filePath - Asset path
+ * @param {string} content - Asset content
+ * @returns {Promise<string|null>} Minified content, or null if the type is not minified
+ */
+async function minifyAsset(filePath, content) {
+  if (filePath.endsWith('.css')) {
+    return minifyCss(content);
+  }
+  
+  if (filePath.endsWith('.js')) {
+    return minifyJs(content);
+  }
+  
+  return null;
+}
+
+module.exports = {
+  minifyHtml,
+  minifyCss,
+  minifyJs,
+  minifyAsset
+};
@@ -0,0 +1,20 @@
+/**
+ * Worker thread entry point that renders pages for the worker pool.
+ * Rendering never writes or logs, so the main thread can report results
+ * in the same order as a serial build.
+ */
+const { parentPort, workerData } = require('worker_threads');
+const AccessibleDocGenerator = require('../generator');
+
+const generator = new AccessibleDocGenerator(workerData.options);
+generator.navTree = workerData.navTree;
+generator.glossary = workerData.glossary;
+
+parentPort.on('message', async ({ filePath }) => {
+  try {
+    const result = await generator.renderPage(filePath);
+    parentPort.postMessage({ result });
+  } catch (error) {
+    parentPort.postMessage({ error: error.message });
+  }
+});
@@ -0,0 +1,159 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+
+const execFileAsync = promisify(execFile);
+
+// Object keys such as "2" are listed before other keys, in numeric order,
+// whatever order they were written in
+const INTEGER_KEY = /^(0|[1-9]\d*)$/;
+
+/**
+ * Read the `versions` option into a list of versions, in the order given:
+ * either an array of `{ label, inputDir }` and `{ label, ref, dir }`, or an
+ * object mapping labels to input directories or `{ ref, dir }`
+ * @param {Object} config - Configuration object
+ * @returns {Array<Object>} Versions as `{ label, inputDir }` or `{ label, ref, dir }`
+ */
+function getVersions(config) {
+  const entries = Array.isArray(config.versions)
+    ? config.versions.map(version => [String(version && version.label !== undefined ? version.label : ''), version])
+    : Object.entries(config.versions);
+  
+  if (!Array.isArray(config.versions)) {
+    const numeric = entries.find(([label]) => INTEGER_KEY.test(label));
+    
+    if (numeric) {
+      throw new Error(`Version label "${numeric[0]}" is a number, so the object form of versions can't keep its order; list the versions as an array of { label, inputDir } or { label, ref } instead`);
+    }
+  }
+  
+  const labels = new Set();
+  
+  return entries.map(([label, source]) => {
+    // Labels become directory names and URL segments
+    if (!/^[\w.-]+$/.test(label)) {
+      throw new Error(`Invalid version label "${label}": use letters, numbers, ".", "-" and "_" only`);
+    }
+    
+    if (labels.has(label)) {
+      throw new Error(`Version "${label}" is listed more than once`);
+    }
+    labels.add(label);
+    
+    if (typeof source === 'string') {
+      return { label, inputDir: source };
+    }
+    
+    if (source && source.ref) {
+      return { label, ref: source.ref, dir: source.dir || config.inputDir };
+    }
+    
+    if (source && source.inputDir) {
+      return { label, inputDir: source.inputDir };
+    }
+    
+    throw new Error(`Version "${label}" needs an input directory or a git ref`);
+  });
+}
+
+/**
+ * Get the label of the latest version
+ * @param {Object} config - Configuration object
+ * @param {Array<Object>} versions - Versions from `getVersions`
+ * @returns {string} Label of `latestVersion`, or of the first version
+ */
+function getLatestVersion(config, versions) {
+  if (config.latestVersion) {
+    if (!versions.some(version => version.label === config.latestVersion)) {
+      throw new Error(`latestVersion "${config.latestVersion}" is not one of the versions`);
+    }
+    return config.latestVersion;
+  }
+  
+  return versions[0].label;
+}
+
+/**
+ * Get the directory to read a version's sources from, exporting them from
+ * the local git repository for versions given as a ref
+ * @param {Object} version - Version from `getVersions`
+ * @returns {Promise<string>} Input directory
+ */
+async function resolveVersionInputDir(version) {
+  if (!version.ref) {
+    return version.inputDir;
+  }
+  
+  return exportGitRef(version.ref, version.dir);
+}
+
+/**
+ * Export a directory of a commit to a cache directory. Commits never
+ * change, so each one is only exported once.
+ * @param {string} ref - Git ref (branch, tag or commit)
+ * @param {string} dir - Directory to export, relative to the working directory
+ * @returns {Promise<string>} Exported copy of the directory
+ */
+async function exportGitRef(ref, dir) {
+  let commit;
+  
+  try {
+    ({ stdout: commit } = await execFileAsync('git', ['rev-parse', '--verify', `${ref}^{commit}`]));
+  } catch (error) {
+    throw new Error(`Git ref "${ref}" could not be found in the local repository`);
+  }
+  
+  commit = commit.trim();
+  
+  // Git paths are relative to the top of the repository, not the working directory
+  const { stdout: location } = await execFileAsync('git', ['rev-parse', '--show-toplevel', '--show-prefix']);
+  const [topLevel, prefix = ''] = location.split('\n');
+  const repoDir = path.posix.join(prefix, dir.split(path.sep).join('/'));
+  
+  if (repoDir.startsWith('../')) {
+    throw new Error(`Directory "${dir}" is outside the Git repository`);
+  }
+  
+  const dirKey = repoDir.replace(/[^\w.-]+/g, '_');
+  const exportDir = path.join(os.tmpdir(), 'accessdocs-versions', `${commit}-${dirKey}`);
+  
+  try {
+    await fs.access(exportDir);
+    return path.join(exportDir, repoDir);
+  } catch (error) {
+    // Not exported yet
+  }
+  
+  const { stdout } = await execFileAsync('git', ['-C', topLevel, 'ls-tree', '-r', '-z', '--name-only', '--full-name', commit, '--', repoDir]);
+  const files = stdout.split('\0').filter(Boolean);
+  
+  if (files.length === 0) {
+    throw new Error(`Git ref "${ref}" has no files in "${dir}"`);
+  }
+  
+  // Export to a temporary directory first so an interrupted export is never reused
+  const tempDir = `${exportDir}.${process.pid}.tmp`;
+  
+  for (const file of files) {
+    const { stdout: content } = await execFileAsync('git', ['-C', topLevel, 'show', `${commit}:${file}`], {
+      encoding: 'buffer',
+      maxBuffer: 64 * 1024 * 1024
+    });
+    const destPath = path.join(tempDir, file);
+    
+    await fs.mkdir(path.dirname(destPath), { recursive: true });
+    await fs.writeFile(destPath, content);
+  }
+  
+  await fs.rename(tempDir, exportDir);
+  return path.join(exportDir, repoDir);
+}
+
+module.exports = {
+  getVersions,
+  getLatestVersion,
+  resolveVersionInputDir
+};
@@ -0,0 +1,131 @@
+const { Worker } = require('worker_threads');
+
+/**
+ * Fixed-size pool of worker threads running the same script.
+ *
+ * Each worker receives `workerData` once when it starts, then handles one
+ * task message at a time and replies with `{ result }` or `{ error }`.
+ */
+class WorkerPool {
+  constructor(script, size, workerData = {}) {
+    this.script = script;
+    this.size = size;
+    this.workerData = workerData;
+    this.workers = [];
+    this.idle = [];
+    this.queue = [];
+
+    for (let i = 0; i < size; i++) {
+      this.addWorker();
+    }
+  }
+
+  /**
+   * Start a worker and make it available for tasks
+   */
+  addWorker() {
+    const worker = new Worker(this.script, { workerData: this.workerData });
+
+    worker.on('message', (message) => {
+      const { resolve, reject } = worker.currentTask;
+      worker.currentTask = null;
+
+      if (message.error) {
+        reject(new Error(message.error));
+      } else {
+        resolve(message.result);
+      }
+
+      this.release(worker);
+    });
+
+    // A worker crashing mid-task fails that task and is replaced; one that
+    // fails while idle (e.g. on startup) is dropped to avoid a restart loop
+    worker.on('error', error => this.removeWorker(worker, error));
+
+    // Workers can also stop without throwing, e.g. on `process.exit` or when
+    // out of memory; they are terminated on purpose only by `destroy`
+    worker.on('exit', (code) => {
+      if (!this.destroyed) {
+        this.removeWorker(worker, new Error(`Worker stopped with exit code ${code}`));
+      }
+    });
+
+    this.workers.push(worker);
+    this.release(worker);
+  }
+
+  /**
+   * Remove a worker that crashed or stopped, failing its current task
+   * @param {Worker} worker - Worker
+   * @param {Error} error - Why the worker stopped
+   */
+  removeWorker(worker, error) {
+    // A crash emits both `error` and `exit`
+    if (!this.workers.includes(worker)) return;
+
+    const task = worker.currentTask;
+    worker.currentTask = null;
+
+    this.workers = this.workers.filter(w => w !== worker);
+    this.idle = this.idle.filter(w => w !== worker);
+
+    if (task) {
+      task.reject(error);
+
+      if (!this.destroyed) {
+        this.addWorker();
+      }
+    } else if (this.workers.length === 0) {
+      this.queue.splice(0).forEach(entry => entry.reject(error));
+    }
+  }
+
+  /**
+   * Hand the next queued task to a worker, or mark it idle
+   * @param {Worker} worker - Worker that finished its task
+   */
+  release(worker) {
+    const next = this.queue.shift();
+
+    if (next) {
+      worker.currentTask = next;
+      worker.postMessage(next.task);
+    } else {
+      this.idle.push(worker);
+    }
+  }
+
+  /**
+   * Run a task on the next free worker
+   * @param {Object} task - Structured-cloneable task message
+   * @returns {Promise} Result posted back by the worker
+   */
+  run(task) {
+    return new Promise((resolve, reject) => {
+      const worker = this.idle.shift();
+      const entry = { task, resolve, reject };
+
+      if (worker) {
+        worker.currentTask = entry;
+        worker.postMessage(task);
+      } else {
+        this.queue.push(entry);
+      }
+    });
+  }
+
+  /**
+   * Terminate all workers
+   */
+  async destroy() {
+    this.destroyed = true;
+    await Promise.all(this.workers.map(worker => worker.terminate()));
+    this.workers = [];
+    this.idle = [];
+  }
+}
+
+module.exports = {
+  WorkerPool
+};
@@ -9,6 +9,8 @@ const inquirer = require('inquirer');
 const AccessibleDocGenerator = require('./generator');
 const { createDefaultConfig, getConfig } = require('./config');
 const server = require('./server');
+const { normalizeBasePath } = require('./utils/urls');
+const { parseReadabilityTarget } = require('./accessibility/readability');
 const packageJson = require('../package.json');
 
 // Configure CLI
@@ -144,7 +146,7 @@ AccessDocs provides several features to ensure your documentation is accessible:
 - **Keyboard Navigation**: Full keyboard support with visible focus indicators
 - **High Contrast Mode**: Toggle between standard and high contrast views
 - **Font Size Controls**: Easily adjust text size for readability
-- **Simplified View**: Toggle a simplified view for users with cognitive disabilities
+- **Simplified View**: Switch to a simplified version of each page for users with cognitive disabilities
 - **WCAG Compliance**: Automatic checks against WCAG guidelines
 `;
       
@@ -179,6 +181,11 @@ program
   .option('-i, --input <dir>', 'Input directory')
   .option('-o, --output <dir>', 'Output directory')
   .option('-w, --watch', 'Watch for changes and rebuild')
+  .option('-f, --force', 'Rebuild every page, ignoring the build manifest')
+  .option('-j, --jobs <count>', 'Number of pages to render in parallel')
+  .option('-b, --base-path <path>', 'URL path the documentation is deployed under')
+  .option('-r, --relative-links', 'Write links relative to each page for offline browsing')
+  .option('-d, --drafts', 'Include drafts and pages with a future publishDate')
   .action(async (options) => {
     const spinner = ora('Building documentation').start();
     
@@ -195,18 +202,23 @@ program
       if (options.input) config.inputDir = options.input;
       if (options.output) config.outputDir = options.output;
       if (options.watch) config.watch = true;
+      if (options.jobs) config.concurrency = parseInt(options.jobs);
+      if (options.basePath) config.basePath = options.basePath;
+      if (options.relativeLinks) config.relativeLinks = true;
+      if (options.drafts) config.drafts = true;
       
       // Initialize generator
       const generator = new AccessibleDocGenerator({
         inputDir: config.inputDir,
-        outputDir: config.outputDir
+        outputDir: config.outputDir,
+        config
       });
       
       // Build documentation
-      const result = await generator.generateDocs();
+      const result = await generator.generateDocs({ force: options.force });
       
       if (result.success) {
-        spinner.succeed(`Documentation built successfully (${result.filesProcessed} files)`);
+        spinner.succeed(`Documentation built successfully (${formatBuildCounts(result)})`);
         
         // Start watcher if requested
         if (config.watch) {
@@ -234,6 +246,7 @@ program
   .option('-p, --port <port>', 'Port to serve on', '3000')
   .option('-o, --output <dir>', 'Output directory')
   .option('-w, --watch', 'Watch for changes and rebuild')
+  .option('-b, --base-path <path>', 'URL path to serve the documentation under')
   .action(async (options) => {
     try {
       // If custom config file provided, set environment variable
@@ -247,33 +260,36 @@ program
       // Override with command line options
       if (options.output) config.outputDir = options.output;
       if (options.watch) config.watch = true;
+      if (options.basePath) config.basePath = options.basePath;
+      
+      // Preview drafts and scheduled pages while serving
+      config.drafts = true;
       
       // Initialize generator
       const generator = new AccessibleDocGenerator({
         inputDir: config.inputDir,
-        outputDir: config.outputDir
+        outputDir: config.outputDir,
+        config
       });
       
-      // Build documentation if needed
-      if (!fs.existsSync(config.outputDir)) {
-        const spinner = ora('Building documentation').start();
-        const result = await generator.generateDocs();
-        
-        if (result.success) {
-          spinner.succeed(`Documentation built successfully (${result.filesProcessed} files)`);
-        } else {
-          spinner.fail('Failed to build documentation');
-          console.error(chalk.red(`Error: ${result.error}`));
-          process.exit(1);
-        }
+      // Bring the build up to date; unchanged pages are skipped
+      const spinner = ora('Building documentation').start();
+      const result = await generator.generateDocs();
+      
+      if (result.success) {
+        spinner.succeed(`Documentation built successfully (${formatBuildCounts(result)})`);
+      } else {
+        spinner.fail('Failed to build documentation');
+        console.error(chalk.red(`Error: ${result.error}`));
+        process.exit(1);
       }
       
       // Start server
       const port = parseInt(options.port);
-      server.start(config.outputDir, port);
+      server.start(config.outputDir, port, { basePath: config.basePath });
       
       console.log(`
-${chalk.green('✓')} Documentation server running at ${chalk.cyan(`http://localhost:${port}`)}
+${chalk.green('✓')} Documentation server running at ${chalk.cyan(`http://localhost:${port}${normalizeBasePath(config.basePath)}`)}
 ${chalk.bold('Accessibility features:')}
   - Press ${chalk.cyan('F2')} to show keyboard shortcuts
   - Press ${chalk.cyan('Alt+S')} to toggle simplified view
@@ -301,6 +317,8 @@ program
   .option('-i, --input <dir>', 'Input directory')
   .option('-o, --output <dir>', 'Output directory')
   .option('-l, --level <level>', 'WCAG level (A, AA, AAA)', 'AA')
+  .option('-j, --jobs <count>', 'Number of pages to check in parallel')
+  .option('-b, --base-path <path>', 'URL path the documentation is deployed under')
   .action(async (options) => {
     const spinner = ora('Testing documentation for accessibility issues').start();
     
@@ -317,6 +335,8 @@ program
       if (options.input) config.inputDir = options.input;
       if (options.output) config.outputDir = options.output;
       if (options.level) config.wcagLevel = options.level;
+      if (options.jobs) config.concurrency = parseInt(options.jobs);
+      if (options.basePath) config.basePath = options.basePath;
       
       // Ensure accessibility checking is enabled
       config.checkAccessibility = true;
@@ -327,6 +347,7 @@ program
       config.checkARIA = true;
       config.checkKeyboardAccessibility = true;
       config.checkScreenReaderAnnouncements = true;
+      config.checkLinks = true;
       
       // Initialize generator with forced accessibility checking
       const generator = new AccessibleDocGenerator({
@@ -335,11 +356,15 @@ program
         config
       });
       
-      // Build documentation with accessibility checks
-      const result = await generator.generateDocs();
+      // Build documentation with accessibility checks, checking every page
+      const result = await generator.generateDocs({ force: true });
       
       if (result.success) {
         spinner.succeed('Accessibility testing completed');
+        
+        if (result.readability && result.readability.length > 0) {
+          console.log(formatReadabilityScorecard(result.readability, parseReadabilityTarget(config.readabilityTarget)));
+        }
       } else {
         spinner.fail('Failed to test documentation');
         console.error(chalk.red(`Error: ${result.error}`));
@@ -368,15 +393,15 @@ function startWatcher(config, generator) {
     persistent: true
   });
   
-  // Re-build on changes
-  watcher.on('change', async (path) => {
-    const spinner = ora(`File changed: ${path}`).start();
+  // Re-build on changes; the build manifest limits work to affected pages
+  const rebuild = async (event, path) => {
+    const spinner = ora(`File ${event}: ${path}`).start();
     
     try {
       const result = await generator.generateDocs();
       
       if (result.success) {
-        spinner.succeed(`Rebuilt documentation (${result.filesProcessed} files)`);
+        spinner.succeed(`Rebuilt documentation (${formatBuildCounts(result)})`);
         
         // Notify server of changes if running
         if (server.isRunning()) {
@@ -390,7 +415,79 @@ function startWatcher(config, generator) {
       spinner.fail('Failed to rebuild documentation');
       console.error(chalk.red(`Error: ${error.message}`));
     }
+  };
+  
+  watcher.on('ready', () => {
+    watcher.on('add', (path) => rebuild('added', path));
+    watcher.on('change', (path) => rebuild('changed', path));
+    watcher.on('unlink', (path) => rebuild('removed', path));
+  });
+}
+
+/**
+ * Describe how many pages a build generated, skipped and removed
+ * @param {Object} result - Result of `generateDocs`
+ * @returns {string} Summary text
+ */
+function formatBuildCounts(result) {
+  const counts = [`${result.filesProcessed} files`, `${result.filesBuilt} rebuilt`];
+  
+  if (result.filesSkipped > 0) {
+    counts.push(`${result.filesSkipped} unchanged`);
+  }
+  
+  if (result.filesRemoved > 0) {
+    counts.push(`${result.filesRemoved} removed`);
+  }
+  
+  if (result.filesUnpublished > 0) {
+    counts.push(`${result.filesUnpublished} unpublished`);
+  }
+  
+  if (result.minifiedBytes) {
+    const { before, after } = result.minifiedBytes;
+    counts.push(`minified ${formatBytes(before)} to ${formatBytes(after)}`);
+  }
+  
+  return counts.join(', ');
+}
+
+/**
+ * Format the reading level and time of each page as a table
+ * @param {Array<Object>} pages - Readability of each page, from `generateDocs`
+ * @param {number|null} target - Target grade, if any
+ * @returns {string} Scorecard text
+ */
+function formatReadabilityScorecard(pages, target) {
+  const width = Math.max(...pages.map(page => page.source.length));
+  const lines = pages.map(page => {
+    const grade = page.grade === null ? 'grade -' : `grade ${page.grade.toFixed(1)}`;
+    const line = [
+      page.source.padEnd(width),
+      grade.padEnd(10),
+      `${page.averageSentenceLength.toFixed(1)} words per sentence`.padEnd(26),
+      `${Math.round(page.longWordRatio * 100)}% long words`.padEnd(16),
+      `${page.readingTime} min read`
+    ].join('  ');
+    
+    return target !== null && page.grade > target ? chalk.yellow(`  ${line}  (above target)`) : `  ${line}`;
   });
+  
+  const heading = target !== null ? `Readability (target: grade ${target})` : 'Readability';
+  return `\n${chalk.bold(heading)}\n${lines.join('\n')}`;
+}
+
+/**
+ * Format a byte count for display
+ * @param {number} bytes - Number of bytes
+ * @returns {string} Human-readable size
+ */
+function formatBytes(bytes) {
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+  
+  return `${(bytes / 1024).toFixed(1)} KB`;
 }
 
 // Parse command line arguments
@@ -17,8 +17,30 @@ const defaultConfig = {
   // Navigation
   generateIndex: true,
   generateSitemap: true,
+  search: true,
+  siteUrl: null,
+  basePath: '/',
+  relativeLinks: false,
+  versions: null,
+  latestVersion: null,
+  siteNavigation: true,
+  tocMinHeadings: 2,
+  pagination: true,
+  paginationRelLinks: false,
+  paginationShortcuts: false,
   navLinks: [],
   
+  // Languages
+  locale: 'en',
+  locales: null,
+  defaultLocale: null,
+  uiStrings: {},
+  
+  // Content
+  math: true,
+  diagrams: true,
+  glossary: true,
+  
   // Accessibility settings
   wcagLevel: 'AA',
   indicateExternalLinks: true,
@@ -30,17 +52,24 @@ const defaultConfig = {
   checkARIA: true,
   checkKeyboardAccessibility: true,
   checkScreenReaderAnnouncements: true,
+  checkTextDirection: true,
+  checkMathImages: true,
+  checkFootnotes: true,
+  checkLinks: true,
   
   // Cognitive accessibility settings
   generateSimplifiedView: true,
   readabilityTarget: 'grade8',
   
   // Advanced settings
+  plugins: [],
   customTemplate: null,
   customAssets: null,
   footerText: '',
   
   // Build settings
+  concurrency: 1,
+  drafts: false,
   minify: false,
   watch: false,
   verbose: false
@@ -48,9 +77,11 @@ const defaultConfig = {
 
 /**
  * Load configuration from accessdocs.config.js if it exists
+ * @param {Object} options - Loading options
+ * @param {boolean} options.quiet - Don't log which configuration file was loaded
  * @returns {Object} Configuration object
  */
-function getConfig() {
+function getConfig(options = {}) {
   let userConfig = {};
   
   // Configuration file paths to check
@@ -74,7 +105,9 @@ function getConfig() {
           userConfig = JSON.parse(fs.readFileSync(fullPath, 'utf8'));
         }
         
-        console.log(`Loaded configuration from ${configPath}`);
+        if (!options.quiet) {
+          console.log(`Loaded configuration from ${configPath}`);
+        }
         break;
       } catch (error) {
         console.warn(`Error loading configuration from ${configPath}:`, error.message);
@@ -0,0 +1,323 @@
+/**
+ * Node shapes by their Graphviz name; other shapes are drawn as rectangles
+ */
+const DOT_SHAPES = {
+  box: 'rect',
+  rect: 'rect',
+  rectangle: 'rect',
+  square: 'rect',
+  ellipse: 'ellipse',
+  oval: 'ellipse',
+  circle: 'circle',
+  doublecircle: 'circle',
+  point: 'circle',
+  diamond: 'diamond',
+  Mdiamond: 'diamond'
+};
+
+const RANK_DIRECTIONS = ['TB', 'BT', 'LR', 'RL'];
+
+/**
+ * Parse a Graphviz DOT graph into the same model as a mermaid flowchart.
+ * Subgraphs and clusters are flattened; node and edge labels, node shapes
+ * and `rankdir` are kept, other attributes are ignored.
+ * @param {string} source - DOT source
+ * @returns {Object} Flowchart as `{ type, direction, nodes, edges }`
+ */
+function parseDot(source) {
+  const parser = { tokens: tokenize(source), pos: 0 };
+  const flowchart = { type: 'flowchart', direction: 'TB', nodes: [], edges: [] };
+  
+  if (peek(parser) === 'strict') next(parser);
+  
+  const kind = next(parser);
+  
+  if (kind !== 'graph' && kind !== 'digraph') {
+    throw new Error('Expected "graph" or "digraph"');
+  }
+  
+  const context = { flowchart, directed: kind === 'digraph', nodeDefaults: {} };
+  
+  if (peek(parser) !== '{') next(parser);
+  readBlock(parser, context);
+  
+  if (parser.pos < parser.tokens.length) {
+    throw new Error(`Unexpected "${peek(parser)}" after the graph`);
+  }
+  
+  return flowchart;
+}
+
+/**
+ * Split DOT source into tokens: IDs, quoted strings and punctuation
+ * @param {string} source - DOT source
+ * @returns {Array<Object>} Tokens as `{ value, quoted }`
+ */
+function tokenize(source) {
+  const tokens = [];
+  const pattern = /\s+|\/\/[^\n]*|\/\*[\s\S]*?\*\/|^#[^\n]*|"((?:[^"\\]|\\.)*)"|(->|--|[{}[\];,=:])|([\p{L}_][\p{L}\p{N}_]*|-?(?:\.\d+|\d+(?:\.\d*)?))|(<)|(.)/gmu;
+  let match;
+  
+  while ((match = pattern.exec(source)) !== null) {
+    const [, quoted, punctuation, id, html, other] = match;
+    
+    if (quoted !== undefined) {
+      tokens.push({ value: quoted.replace(/\\"/g, '"'), quoted: true });
+    } else if (punctuation || id) {
+      tokens.push({ value: punctuation || id, quoted: false });
+    } else if (html) {
+      // HTML-like label, e.g. <<b>Start</b>>: keep the text
+      const end = findHtmlEnd(source, match.index);
+      tokens.push({ value: source.slice(match.index + 1, end).replace(/<[^>]*>/g, ''), quoted: true });
+      pattern.lastIndex = end + 1;
+    } else if (other) {
+      throw new Error(`Unexpected "${other}"`);
+    }
+  }
+  
+  return tokens;
+}
+
+/**
+ * Find the `>` closing an HTML-like label
+ * @param {string} source - DOT source
+ * @param {number} start - Position of the opening `<`
+ * @returns {number} Position of the closing `>`
+ */
+function findHtmlEnd(source, start) {
+  let depth = 0;
+  
+  for (let i = start; i < source.length; i++) {
+    if (source[i] === '<') depth++;
+    if (source[i] === '>' && --depth === 0) return i;
+  }
+  
+  throw new Error('Missing ">" at the end of an HTML label');
+}
+
+/**
+ * Look at the next token without reading it
+ * @param {Object} parser - Parser state
+ * @returns {string|undefined} Value of the next token
+ */
+function peek(parser) {
+  const token = parser.tokens[parser.pos];
+  return token && !token.quoted ? token.value : token && `"${token.value}"`;
+}
+
+/**
+ * Read the next token
+ * @param {Object} parser - Parser state
+ * @param {string} expected - Value the token must have
+ * @returns {string} Value of the token
+ */
+function next(parser, expected) {
+  const token = parser.tokens[parser.pos++];
+  
+  if (!token) {
+    throw new Error(`Unexpected end of the graph${expected ? `, expected "${expected}"` : ''}`);
+  }
+  
+  if (expected && (token.quoted || token.value !== expected)) {
+    throw new Error(`Expected "${expected}" but found "${token.value}"`);
+  }
+  
+  return token.value;
+}
+
+/**
+ * Read a `{ ... }` block of statements
+ * @param {Object} parser - Parser state
+ * @param {Object} context - Graph being built
+ * @returns {Array<string>} IDs of the nodes used in the block
+ */
+function readBlock(parser, context) {
+  const used = new Set();
+  next(parser, '{');
+  
+  while (peek(parser) !== '}') {
+    if (peek(parser) === undefined) next(parser, '}');
+    
+    for (const id of readStatement(parser, context)) {
+      used.add(id);
+    }
+    
+    if (peek(parser) === ';' || peek(parser) === ',') next(parser);
+  }
+  
+  next(parser, '}');
+  return [...used];
+}
+
+/**
+ * Read one statement: an attribute, a node or a chain of edges
+ * @param {Object} parser - Parser state
+ * @param {Object} context - Graph being built
+ * @returns {Array<string>} IDs of the nodes used in the statement
+ */
+function readStatement(parser, context) {
+  const keyword = peek(parser);
+  
+  // Default attributes, e.g. node [shape=box]
+  if (['graph', 'node', 'edge'].includes(keyword) && parser.tokens[parser.pos + 1] && parser.tokens[parser.pos + 1].value === '[') {
+    next(parser);
+    const attributes = readAttributes(parser);
+    
+    if (keyword === 'graph') setGraphAttributes(context, attributes);
+    if (keyword === 'node') Object.assign(context.nodeDefaults, attributes);
+    return [];
+  }
+  
+  // Graph attribute, e.g. rankdir=LR
+  if (parser.tokens[parser.pos + 1] && parser.tokens[parser.pos + 1].value === '=' && !parser.tokens[parser.pos + 1].quoted) {
+    const name = next(parser);
+    next(parser, '=');
+    setGraphAttributes(context, { [name]: next(parser) });
+    return [];
+  }
+  
+  const first = readOperand(parser, context);
+  const used = [...first.ids];
+  const edges = [];
+  let previous = first.ids;
+  
+  while (peek(parser) === '->' || peek(parser) === '--') {
+    next(parser);
+    const { ids } = readOperand(parser, context);
+    
+    for (const from of previous) {
+      for (const to of ids) {
+        edges.push({ from, to, arrow: context.directed });
+      }
+    }
+    
+    used.push(...ids);
+    previous = ids;
+  }
+  
+  const attributes = peek(parser) === '[' ? readAttributes(parser) : {};
+  
+  if (edges.length > 0) {
+    for (const edge of edges) {
+      context.flowchart.edges.push({
+        ...edge,
+        label: formatLabel(attributes.label || ''),
+        style: attributes.style === 'dashed' || attributes.style === 'dotted' ? 'dotted' : attributes.style === 'bold' ? 'thick' : 'solid'
+      });
+    }
+  } else if (!first.subgraph) {
+    // Node statement, e.g. start [label="Start", shape=box]
+    declareNode(context, used[0], attributes);
+  }
+  
+  return used;
+}
+
+/**
+ * Read an edge operand: a node ID or a subgraph
+ * @param {Object} parser - Parser state
+ * @param {Object} context - Graph being built
+ * @returns {Object} `{ ids, subgraph }`: the node IDs, and whether they
+ * came from a subgraph
+ */
+function readOperand(parser, context) {
+  if (peek(parser) === 'subgraph' || peek(parser) === '{') {
+    if (peek(parser) === 'subgraph') {
+      next(parser);
+      if (peek(parser) !== '{') next(parser);
+    }
+    return { ids: readBlock(parser, context), subgraph: true };
+  }
+  
+  const token = parser.tokens[parser.pos];
+  
+  if (!token || (!token.quoted && /^[{}[\];,=]|->|--$/.test(token.value))) {
+    throw new Error(`Expected a node but found "${token ? token.value : 'the end of the graph'}"`);
+  }
+  
+  parser.pos++;
+  
+  // Ports, e.g. node:north
+  while (peek(parser) === ':') {
+    next(parser);
+    next(parser);
+  }
+  
+  declareNode(context, token.value, {});
+  return { ids: [token.value], subgraph: false };
+}
+
+/**
+ * Read an attribute list, e.g. `[label="Start", shape=box]`
+ * @param {Object} parser - Parser state
+ * @returns {Object} Attribute values by name
+ */
+function readAttributes(parser) {
+  const attributes = {};
+  
+  while (peek(parser) === '[') {
+    next(parser, '[');
+    
+    while (peek(parser) !== ']') {
+      const name = next(parser);
+      next(parser, '=');
+      attributes[name] = next(parser);
+      
+      if (peek(parser) === ',' || peek(parser) === ';') next(parser);
+    }
+    
+    next(parser, ']');
+  }
+  
+  return attributes;
+}
+
+/**
+ * Apply graph attributes; only the direction is used
+ * @param {Object} context - Graph being built
+ * @param {Object} attributes - Attribute values by name
+ */
+function setGraphAttributes(context, attributes) {
+  if (attributes.rankdir) {
+    const direction = attributes.rankdir.toUpperCase();
+    
+    if (!RANK_DIRECTIONS.includes(direction)) {
+      throw new Error(`Unknown rankdir "${attributes.rankdir}"`);
+    }
+    
+    context.flowchart.direction = direction;
+  }
+}
+
+/**
+ * Add a node, or update its label and shape
+ * @param {Object} context - Graph being built
+ * @param {string} id - Node ID
+ * @param {Object} attributes - Node attributes
+ */
+function declareNode(context, id, attributes) {
+  const { nodes } = context.flowchart;
+  let node = nodes.find(existing => existing.id === id);
+  
+  if (!node) {
+    const defaults = context.nodeDefaults;
+    node = { id, label: formatLabel(defaults.label && defaults.label !== '\\N' ? defaults.label : id), shape: DOT_SHAPES[defaults.shape || 'ellipse'] || 'rect' };
+    nodes.push(node);
+  }
+  
+  if (attributes.label && attributes.label !== '\\N') node.label = formatLabel(attributes.label);
+  if (attributes.shape) node.shape = DOT_SHAPES[attributes.shape] || 'rect';
+}
+
+/**
+ * Turn the line break escapes of a DOT label into line breaks
+ * @param {string} label - Label as written
+ * @returns {string} Label text
+ */
+function formatLabel(label) {
+  return label.replace(/\\[nlr]/g, '\n').replace(/\\(.)/g, '$1').trim();
+}
+
+module.exports = {
+  parseDot
+};
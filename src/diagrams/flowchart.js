@@ -0,0 +1,330 @@
+const { escapeHtml } = require('../utils/html');
+const { formatString } = require('../i18n/strings');
+const { LINE_HEIGHT, measureText, renderText, renderMarkers, round, toText } = require('./svg');
+
+// Spacing in pixels
+const NODE_PADDING = 16;
+const NODE_GAP = 30;
+const RANK_GAP = 50;
+const LABEL_GAP = 30;
+const MARGIN = 10;
+
+// Bend of curved edges, e.g. between two nodes linked both ways
+const EDGE_BEND = 24;
+
+// Rounds of ordering nodes within ranks to reduce crossings
+const ORDERING_ROUNDS = 4;
+
+/**
+ * Lay out a flowchart and render it as SVG content. Nodes are placed in
+ * ranks along the flowchart's direction, and ordered within each rank
+ * towards the nodes they link to.
+ * @param {Object} flowchart - Flowchart from `parseMermaid` or `parseDot`
+ * @param {string} id - Diagram ID, for marker IDs
+ * @returns {Object} `{ width, height, content }`
+ */
+function renderFlowchart(flowchart, id) {
+  const horizontal = flowchart.direction === 'LR' || flowchart.direction === 'RL';
+  const nodes = new Map(flowchart.nodes.map(node => [node.id, { ...node, ...getNodeSize(node) }]));
+  const ranks = getRanks(flowchart, nodes);
+  const hasLabels = flowchart.edges.some(edge => edge.label);
+  
+  // Position ranks along the main axis and nodes across it; sizes are
+  // swapped for horizontal flowcharts
+  const along = node => (horizontal ? node.width : node.height);
+  const across = node => (horizontal ? node.height : node.width);
+  const rankGap = RANK_GAP + (hasLabels ? LABEL_GAP : 0);
+  const rankSpans = ranks.map(rank => rank.reduce((sum, node) => sum + across(node), 0) + NODE_GAP * (rank.length - 1));
+  const crossSize = Math.max(0, ...rankSpans);
+  let mainPosition = 0;
+  
+  ranks.forEach((rank, index) => {
+    const thickness = Math.max(...rank.map(along));
+    let crossPosition = (crossSize - rankSpans[index]) / 2;
+    
+    for (const node of rank) {
+      node.main = mainPosition + thickness / 2;
+      node.cross = crossPosition + across(node) / 2;
+      crossPosition += across(node) + NODE_GAP;
+    }
+    
+    mainPosition += thickness + rankGap;
+  });
+  
+  const mainSize = Math.max(0, mainPosition - rankGap);
+  
+  for (const node of nodes.values()) {
+    const main = flowchart.direction === 'BT' || flowchart.direction === 'RL' ? mainSize - node.main : node.main;
+    node.x = MARGIN + (horizontal ? main : node.cross);
+    node.y = MARGIN + (horizontal ? node.cross : main);
+  }
+  
+  const edges = flowchart.edges.map(edge => renderEdge(edge, nodes, flowchart.edges, id));
+  const shapes = [...nodes.values()].map(renderNode);
+  
+  return {
+    width: round((horizontal ? mainSize : crossSize) + MARGIN * 2),
+    height: round((horizontal ? crossSize : mainSize) + MARGIN * 2),
+    content: renderMarkers(id) + edges.join('') + shapes.join('')
+  };
+}
+
+/**
+ * Get the size of a node's shape from its label
+ * @param {Object} node - Flowchart node
+ * @returns {Object} `{ width, height }`
+ */
+function getNodeSize(node) {
+  const text = measureText(node.label);
+  const width = Math.max(text.width, LINE_HEIGHT) + NODE_PADDING * 2;
+  const height = Math.max(text.height, LINE_HEIGHT) + NODE_PADDING;
+  
+  switch (node.shape) {
+    case 'diamond': {
+      // The label's corners must stay inside the diamond
+      const diamondWidth = width + height * 2;
+      return { width: diamondWidth, height: height * diamondWidth / (diamondWidth - width) };
+    }
+    case 'circle': {
+      const diameter = Math.hypot(width, height);
+      return { width: diameter, height: diameter };
+    }
+    case 'ellipse':
+      return { width: width * Math.SQRT2, height: height * Math.SQRT2 };
+    default:
+      return { width, height };
+  }
+}
+
+/**
+ * Sort the nodes into ranks: each node is one rank after the nodes linking
+ * to it. Links that close a cycle are ignored.
+ * @param {Object} flowchart - Flowchart model
+ * @param {Map<string, Object>} nodes - Nodes by ID
+ * @returns {Array<Array<Object>>} Nodes of each rank, in order
+ */
+function getRanks(flowchart, nodes) {
+  const outgoing = new Map([...nodes.keys()].map(nodeId => [nodeId, []]));
+  
+  for (const edge of flowchart.edges) {
+    if (edge.from !== edge.to) outgoing.get(edge.from).push(edge.to);
+  }
+  
+  // Depth-first search, dropping links back to a node being visited
+  const forward = new Map([...nodes.keys()].map(nodeId => [nodeId, []]));
+  const state = new Map();
+  const order = [];
+  
+  const visit = (nodeId) => {
+    state.set(nodeId, 'visiting');
+    
+    for (const target of outgoing.get(nodeId)) {
+      if (state.get(target) === 'visiting') continue;
+      
+      forward.get(nodeId).push(target);
+      if (!state.has(target)) visit(target);
+    }
+    
+    state.set(nodeId, 'done');
+    order.push(nodeId);
+  };
+  
+  for (const nodeId of nodes.keys()) {
+    if (!state.has(nodeId)) visit(nodeId);
+  }
+  
+  // Longest path from the first nodes, in topological order
+  for (const nodeId of order.reverse()) {
+    const node = nodes.get(nodeId);
+    node.rank = node.rank || 0;
+    
+    for (const target of forward.get(nodeId)) {
+      nodes.get(target).rank = Math.max(nodes.get(target).rank || 0, node.rank + 1);
+    }
+  }
+  
+  const ranks = [];
+  
+  for (const node of nodes.values()) {
+    (ranks[node.rank] = ranks[node.rank] || []).push(node);
+  }
+  
+  orderRanks(ranks, flowchart.edges, nodes);
+  return ranks;
+}
+
+/**
+ * Order the nodes of each rank by the average position of their neighbours
+ * in the rank before, then after, to reduce crossing links
+ * @param {Array<Array<Object>>} ranks - Nodes of each rank, reordered in place
+ * @param {Array<Object>} edges - Flowchart edges
+ * @param {Map<string, Object>} nodes - Nodes by ID
+ */
+function orderRanks(ranks, edges, nodes) {
+  const neighbours = new Map([...nodes.keys()].map(nodeId => [nodeId, []]));
+  
+  for (const edge of edges) {
+    if (edge.from === edge.to) continue;
+    neighbours.get(edge.from).push(nodes.get(edge.to));
+    neighbours.get(edge.to).push(nodes.get(edge.from));
+  }
+  
+  const sortRank = (rank, neighbourRank) => {
+    const positions = new Map(rank.map((node, index) => {
+      const linked = neighbours.get(node.id).filter(other => other.rank === neighbourRank);
+      const average = linked.length > 0
+        ? linked.reduce((sum, other) => sum + ranks[neighbourRank].indexOf(other), 0) / linked.length
+        : index;
+      return [node, average];
+    }));
+    
+    // Array.prototype.sort is stable, so ties keep the current order
+    rank.sort((a, b) => positions.get(a) - positions.get(b));
+  };
+  
+  for (let pass = 0; pass < ORDERING_ROUNDS; pass++) {
+    for (let i = 1; i < ranks.length; i++) sortRank(ranks[i], i - 1);
+    for (let i = ranks.length - 2; i >= 0; i--) sortRank(ranks[i], i + 1);
+  }
+}
+
+/**
+ * Render a node's shape and label
+ * @param {Object} node - Positioned node
+ * @returns {string} SVG markup
+ */
+function renderNode(node) {
+  const { x, y, width, height } = node;
+  let shape;
+  
+  switch (node.shape) {
+    case 'diamond':
+      shape = `<polygon points="${round(x)},${round(y - height / 2)} ${round(x + width / 2)},${round(y)} ${round(x)},${round(y + height / 2)} ${round(x - width / 2)},${round(y)}"/>`;
+      break;
+    case 'circle':
+    case 'ellipse':
+      shape = `<ellipse cx="${round(x)}" cy="${round(y)}" rx="${round(width / 2)}" ry="${round(height / 2)}"/>`;
+      break;
+    default:
+      shape = `<rect x="${round(x - width / 2)}" y="${round(y - height / 2)}" width="${round(width)}" height="${round(height)}" rx="${node.shape === 'round' ? round(height / 2) : 4}"/>`;
+  }
+  
+  return `<g class="diagram-node">${shape}${renderText(node.label, x, y, 'diagram-label')}</g>`;
+}
+
+/**
+ * Render a link between nodes. Links are straight, or curved when the
+ * same nodes are linked more than once, and end at the edge of each shape.
+ * @param {Object} edge - Flowchart edge
+ * @param {Map<string, Object>} nodes - Positioned nodes by ID
+ * @param {Array<Object>} edges - All edges, to find parallel links
+ * @param {string} id - Diagram ID, for marker IDs
+ * @returns {string} SVG markup
+ */
+function renderEdge(edge, nodes, edges, id) {
+  const from = nodes.get(edge.from);
+  const to = nodes.get(edge.to);
+  const className = `diagram-edge${edge.style === 'solid' ? '' : ` diagram-edge-${edge.style}`}`;
+  const marker = edge.arrow ? ` marker-end="url(#${id}-arrow)"` : '';
+  let path;
+  let labelX;
+  let labelY;
+  
+  if (from === to) {
+    // Loop on the right of the node
+    const x = from.x + from.width / 2;
+    path = `M${round(x)},${round(from.y - 6)} C${round(x + 40)},${round(from.y - 30)} ${round(x + 40)},${round(from.y + 30)} ${round(x)},${round(from.y + 6)}`;
+    labelX = x + 40;
+    labelY = from.y;
+  } else {
+    // Links between the same two nodes curve away from each other
+    const parallel = edges.filter(other => (other.from === edge.from && other.to === edge.to) || (other.from === edge.to && other.to === edge.from));
+    const index = parallel.indexOf(edge);
+    const sameWay = parallel[0].from === edge.from ? 1 : -1;
+    const bend = parallel.length > 1 ? (index - (parallel.length - 1) / 2) * EDGE_BEND * 2 * sameWay : 0;
+    
+    const dx = to.x - from.x;
+    const dy = to.y - from.y;
+    const length = Math.hypot(dx, dy);
+    const control = {
+      x: (from.x + to.x) / 2 - (dy / length) * bend,
+      y: (from.y + to.y) / 2 + (dx / length) * bend
+    };
+    
+    const start = clipToShape(from, control);
+    const end = clipToShape(to, control);
+    path = `M${round(start.x)},${round(start.y)} Q${round(control.x)},${round(control.y)} ${round(end.x)},${round(end.y)}`;
+    labelX = (start.x + control.x * 2 + end.x) / 4;
+    labelY = (start.y + control.y * 2 + end.y) / 4;
+  }
+  
+  let label = '';
+  
+  if (edge.label) {
+    const size = measureText(edge.label);
+    label = `<rect class="diagram-edge-label" x="${round(labelX - size.width / 2 - 4)}" y="${round(labelY - size.height / 2)}" width="${round(size.width + 8)}" height="${round(size.height)}"/>` +
+      renderText(edge.label, labelX, labelY, 'diagram-label');
+  }
+  
+  return `<g class="${className}"><path d="${path}"${marker}/>${label}</g>`;
+}
+
+/**
+ * Find where a line from a node's centre towards a point leaves its shape
+ * @param {Object} node - Positioned node
+ * @param {Object} point - Point the line heads to, as `{ x, y }`
+ * @returns {Object} Point on the shape's outline
+ */
+function clipToShape(node, point) {
+  const dx = point.x - node.x;
+  const dy = point.y - node.y;
+  const a = node.width / 2;
+  const b = node.height / 2;
+  let scale;
+  
+  if (dx === 0 && dy === 0) return { x: node.x, y: node.y };
+  
+  switch (node.shape) {
+    case 'diamond':
+      scale = 1 / (Math.abs(dx) / a + Math.abs(dy) / b);
+      break;
+    case 'circle':
+    case 'ellipse':
+      scale = 1 / Math.hypot(dx / a, dy / b);
+      break;
+    default:
+      scale = Math.min(dx === 0 ? Infinity : a / Math.abs(dx), dy === 0 ? Infinity : b / Math.abs(dy));
+  }
+  
+  return { x: node.x + dx * scale, y: node.y + dy * scale };
+}
+
+/**
+ * Describe a flowchart as a nested list: each node, with the nodes it links
+ * to below it
+ * @param {Object} flowchart - Flowchart model
+ * @param {Object} strings - UI strings
+ * @returns {string} HTML list
+ */
+function describeFlowchart(flowchart, strings) {
+  const labels = new Map(flowchart.nodes.map(node => [node.id, toText(node.label)]));
+  
+  const items = flowchart.nodes.map(node => {
+    const links = flowchart.edges
+      .filter(edge => edge.from === node.id)
+      .map(edge => {
+        const key = `${edge.arrow ? 'diagramEdge' : 'diagramConnection'}${edge.label ? 'Labelled' : ''}`;
+        const text = formatString(strings[key], { target: labels.get(edge.to), label: toText(edge.label) });
+        return `<li>${escapeHtml(text)}</li>`;
+      });
+    
+    return `<li>${escapeHtml(labels.get(node.id))}${links.length > 0 ? `<ul>${links.join('')}</ul>` : ''}</li>`;
+  });
+  
+  return `<ul>${items.join('')}</ul>`;
+}
+
+module.exports = {
+  renderFlowchart,
+  describeFlowchart
+};
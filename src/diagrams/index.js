@@ -0,0 +1,118 @@
+const { escapeHtml } = require('../utils/html');
+const { getSourceLocation } = require('../markdown/links');
+const { parseMermaid } = require('./mermaid');
+const { parseDot } = require('./dot');
+const { renderFlowchart, describeFlowchart } = require('./flowchart');
+const { renderSequence, describeSequence } = require('./sequence');
+
+/**
+ * Diagram parsers by fence language
+ */
+const DIAGRAM_PARSERS = {
+  mermaid: parseMermaid,
+  dot: parseDot
+};
+
+// description="A login flow" title="Login", after the language
+const FENCE_ATTRIBUTE = /([\w-]+)="([^"]*)"/g;
+
+/**
+ * markdown-it plugin rendering `mermaid` and `dot` code blocks to SVG at
+ * build time, with no script in the browser:
+ *
+ *     ```mermaid description="The user signs in, then sees their dashboard"
+ *     flowchart LR
+ *       login[Sign in] --> dashboard[Dashboard]
+ *     ```
+ *
+ * The `description` attribute is required and becomes the SVG's `<desc>`; a
+ * diagram without one, or one that can't be parsed, fails the page. An
+ * optional `title` names the diagram and is shown as its caption.
+ * Flowcharts and sequence diagrams also get their structure as a list, in a
+ * disclosure below the figure.
+ *
+ * Must be used after the fence renderer for code blocks is set up, which it
+ * falls back to for other languages.
+ * @param {MarkdownIt} md - markdown-it instance
+ * @param {Object} options - Plugin options
+ * @param {Object} options.strings - UI strings
+ */
+function diagramsPlugin(md, { strings }) {
+  const defaultFenceRenderer = md.renderer.rules.fence;
+  
+  md.renderer.rules.fence = (tokens, idx, options, env, self) => {
+    const token = tokens[idx];
+    const [lang] = token.info.trim().split(/\s+/);
+    const parse = DIAGRAM_PARSERS[lang];
+    
+    if (!parse) {
+      return defaultFenceRenderer(tokens, idx, options, env, self);
+    }
+    
+    const attributes = parseFenceAttributes(token.info);
+    const location = getSourceLocation(env, token.map ? token.map[0] : null);
+    const where = `${location.file || env.sourcePath} line ${location.line}`;
+    
+    if (!attributes.description || !attributes.description.trim()) {
+      throw new Error(`Diagram without a description (${where}); add description="..." after "${lang}"`);
+    }
+    
+    let diagram;
+    
+    try {
+      diagram = parse(token.content);
+    } catch (error) {
+      throw new Error(`Could not read the ${lang} diagram (${where}): ${error.message}`);
+    }
+    
+    // IDs are numbered per page
+    env.diagramCount = (env.diagramCount || 0) + 1;
+    const id = `diagram-${env.diagramCount}`;
+    
+    return renderDiagram(diagram, id, attributes, strings);
+  };
+}
+
+/**
+ * Read the `name="value"` attributes after a fence's language
+ * @param {string} info - Fence info string
+ * @returns {Object} Attribute values by name
+ */
+function parseFenceAttributes(info) {
+  const attributes = {};
+  
+  for (const [, name, value] of info.matchAll(FENCE_ATTRIBUTE)) {
+    attributes[name] = value;
+  }
+  
+  return attributes;
+}
+
+/**
+ * Render a parsed diagram as a figure: the SVG, named by its title and
+ * described by its description, and the diagram as text
+ * @param {Object} diagram - Flowchart or sequence diagram model
+ * @param {string} id - Diagram ID, unique on the page
+ * @param {Object} attributes - Fence attributes
+ * @param {Object} strings - UI strings
+ * @returns {string} HTML
+ */
+function renderDiagram(diagram, id, attributes, strings) {
+  const isSequence = diagram.type === 'sequence';
+  const { width, height, content } = isSequence ? renderSequence(diagram, id) : renderFlowchart(diagram, id);
+  const text = isSequence ? describeSequence(diagram, strings) : describeFlowchart(diagram, strings);
+  const title = attributes.title || (isSequence ? strings.diagramSequence : strings.diagramFlowchart);
+  
+  return `<figure class="diagram diagram-${diagram.type}">\n` +
+    `<svg xmlns="http://www.w3.org/2000/svg" class="diagram-svg" role="img" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" aria-labelledby="${id}-title" aria-describedby="${id}-desc">` +
+    `<title id="${id}-title">${escapeHtml(title)}</title>` +
+    `<desc id="${id}-desc">${escapeHtml(attributes.description.trim())}</desc>` +
+    `${content}</svg>\n` +
+    (attributes.title ? `<figcaption>${escapeHtml(attributes.title)}</figcaption>\n` : '') +
+    `<details class="diagram-text">\n<summary>${escapeHtml(strings.diagramText)}</summary>\n${text}\n</details>\n` +
+    '</figure>\n';
+}
+
+module.exports = {
+  diagramsPlugin
+};
@@ -0,0 +1,329 @@
+/**
+ * Node shapes by their mermaid brackets, longest opening bracket first
+ */
+const NODE_SHAPES = [
+  { open: '(((', close: ')))', shape: 'circle' },
+  { open: '([', close: '])', shape: 'round' },
+  { open: '((', close: '))', shape: 'circle' },
+  { open: '[[', close: ']]', shape: 'rect' },
+  { open: '[(', close: ')]', shape: 'rect' },
+  { open: '[/', close: '/]', shape: 'rect' },
+  { open: '[\\', close: '\\]', shape: 'rect' },
+  { open: '{{', close: '}}', shape: 'diamond' },
+  { open: '[', close: ']', shape: 'rect' },
+  { open: '(', close: ')', shape: 'round' },
+  { open: '{', close: '}', shape: 'diamond' },
+  { open: '>', close: ']', shape: 'rect' }
+];
+
+// "A -- yes -->", "A == yes ==>" and "A -. yes .->"
+const LABELLED_LINK = /^(<)?(--|==|-\.)\s+(.+?)\s+(-{2,}|={2,}|\.-+)(>|x|o)?(?=\s|[\w"])/;
+// "-->", "---", "==>", "-.->" and "<-->", with an optional "|label|"
+const LINK = /^(<)?(-{2,}|={2,}|-\.+-)(>|x|o)?(?:\|([^|]*)\|)?/;
+
+// Flowchart statements that only style or group nodes
+const IGNORED_STATEMENTS = /^(subgraph\b|end$|classDef\s|class\s|style\s|linkStyle\s|click\s|direction\s)/;
+
+// Sequence diagram blocks, and the keywords that start another section of one
+const SEQUENCE_BLOCKS = ['loop', 'alt', 'opt', 'par', 'critical', 'break', 'rect'];
+const SEQUENCE_SECTIONS = { alt: 'else', par: 'and', critical: 'option' };
+const SEQUENCE_MESSAGE = /^(.+?)\s*(--?>>|--?>|--?x|--?\))\s*[+-]?\s*(.+?)\s*(?::\s*(.*))?$/;
+
+/**
+ * Parse a mermaid diagram. Flowcharts (`flowchart` or `graph`) and sequence
+ * diagrams are supported.
+ * @param {string} source - Mermaid source
+ * @returns {Object} Flowchart or sequence diagram model
+ */
+function parseMermaid(source) {
+  const lines = source.split('\n')
+    .map(line => line.replace(/%%.*$/, '').trim())
+    .filter(Boolean);
+  
+  if (lines.length === 0) {
+    throw new Error('The diagram is empty');
+  }
+  
+  const [keyword, direction] = lines[0].split(/\s+/);
+  
+  if (keyword === 'flowchart' || keyword === 'graph') {
+    return parseFlowchart(lines.slice(1), direction);
+  }
+  
+  if (keyword === 'sequenceDiagram') {
+    return parseSequence(lines.slice(1));
+  }
+  
+  throw new Error(`Unsupported mermaid diagram "${keyword}"; use flowchart, graph or sequenceDiagram`);
+}
+
+/**
+ * Parse the statements of a mermaid flowchart
+ * @param {Array<string>} lines - Lines after the `flowchart` line
+ * @param {string} direction - Direction: TB, TD, BT, LR or RL
+ * @returns {Object} Flowchart as `{ type, direction, nodes, edges }`
+ */
+function parseFlowchart(lines, direction = 'TB') {
+  const flowchart = {
+    type: 'flowchart',
+    direction: direction.toUpperCase() === 'TD' ? 'TB' : direction.toUpperCase(),
+    nodes: [],
+    edges: []
+  };
+  
+  if (!['TB', 'BT', 'LR', 'RL'].includes(flowchart.direction)) {
+    throw new Error(`Unknown flowchart direction "${direction}"`);
+  }
+  
+  const statements = lines.flatMap(line => splitStatements(line));
+  
+  for (const statement of statements) {
+    if (IGNORED_STATEMENTS.test(statement)) continue;
+    
+    const scanner = { text: statement, pos: 0 };
+    let previous = readNodeGroup(scanner, flowchart);
+    
+    for (let link = readLink(scanner); link; link = readLink(scanner)) {
+      const next = readNodeGroup(scanner, flowchart);
+      
+      for (const from of previous) {
+        for (const to of next) {
+          flowchart.edges.push({ from, to, ...link });
+        }
+      }
+      
+      previous = next;
+    }
+    
+    if (scanner.text.slice(scanner.pos).trim()) {
+      throw new Error(`Could not read "${statement}"`);
+    }
+  }
+  
+  return flowchart;
+}
+
+/**
+ * Split a line into statements at semicolons outside labels
+ * @param {string} line - Flowchart line
+ * @returns {Array<string>} Statements
+ */
+function splitStatements(line) {
+  const statements = [];
+  let quoted = false;
+  let start = 0;
+  
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') {
+      quoted = !quoted;
+    } else if (line[i] === ';' && !quoted) {
+      statements.push(line.slice(start, i));
+      start = i + 1;
+    }
+  }
+  
+  statements.push(line.slice(start));
+  return statements.map(statement => statement.trim()).filter(Boolean);
+}
+
+/**
+ * Read one node, or several joined with `&`, declaring them on first use
+ * @param {Object} scanner - Statement being read, as `{ text, pos }`
+ * @param {Object} flowchart - Flowchart to add the nodes to
+ * @returns {Array<string>} Node IDs
+ */
+function readNodeGroup(scanner, flowchart) {
+  const ids = [readNode(scanner, flowchart)];
+  
+  while (/^\s*&/.test(scanner.text.slice(scanner.pos))) {
+    scanner.pos = scanner.text.indexOf('&', scanner.pos) + 1;
+    ids.push(readNode(scanner, flowchart));
+  }
+  
+  return ids;
+}
+
+/**
+ * Read a node such as `A`, `A[Label]` or `B{"Is it valid?"}`
+ * @param {Object} scanner - Statement being read, as `{ text, pos }`
+ * @param {Object} flowchart - Flowchart to add the node to
+ * @returns {string} Node ID
+ */
+function readNode(scanner, flowchart) {
+  const rest = scanner.text.slice(scanner.pos);
+  const idMatch = rest.match(/^\s*([\p{L}\p{N}_]+)/u);
+  
+  if (!idMatch) {
+    throw new Error(`Expected a node in "${scanner.text}"`);
+  }
+  
+  const id = idMatch[1];
+  let pos = scanner.pos + idMatch[0].length;
+  let label = null;
+  let shape = null;
+  
+  const bracket = NODE_SHAPES.find(candidate => scanner.text.startsWith(candidate.open, pos));
+  
+  if (bracket) {
+    const labelStart = pos + bracket.open.length;
+    const quoteEnd = scanner.text[labelStart] === '"' ? scanner.text.indexOf('"', labelStart + 1) : labelStart;
+    const end = scanner.text.indexOf(bracket.close, quoteEnd);
+    
+    if (quoteEnd === -1 || end === -1) {
+      throw new Error(`Missing "${bracket.close}" in "${scanner.text}"`);
+    }
+    
+    label = cleanLabel(scanner.text.slice(labelStart, end));
+    shape = bracket.shape;
+    pos = end + bracket.close.length;
+  }
+  
+  // Class shorthand, e.g. A:::highlight
+  const classMatch = scanner.text.slice(pos).match(/^:::[\w-]+/);
+  if (classMatch) {
+    pos += classMatch[0].length;
+  }
+  
+  scanner.pos = pos;
+  
+  const node = flowchart.nodes.find(existing => existing.id === id);
+  
+  if (!node) {
+    flowchart.nodes.push({ id, label: label === null ? id : label, shape: shape || 'rect' });
+  } else if (label !== null) {
+    node.label = label;
+    node.shape = shape;
+  }
+  
+  return id;
+}
+
+/**
+ * Read a link between nodes, e.g. `-->` or `-- yes -->`
+ * @param {Object} scanner - Statement being read, as `{ text, pos }`
+ * @returns {Object|null} Link as `{ label, arrow, style }`, or null if none follows
+ */
+function readLink(scanner) {
+  const rest = scanner.text.slice(scanner.pos);
+  const trimmed = rest.trimStart();
+  const offset = rest.length - trimmed.length;
+  const labelled = trimmed.match(LABELLED_LINK);
+  const match = labelled || trimmed.match(LINK);
+  
+  if (!match) return null;
+  
+  scanner.pos += offset + match[0].length;
+  
+  const line = match[2];
+  const head = labelled ? match[5] : match[3];
+  
+  return {
+    label: cleanLabel((labelled ? match[3] : match[4]) || ''),
+    arrow: Boolean(head),
+    style: line.includes('=') ? 'thick' : line.includes('.') ? 'dotted' : 'solid'
+  };
+}
+
+/**
+ * Clean up a label: remove quotes and turn `<br>` into line breaks
+ * @param {string} label - Label as written
+ * @returns {string} Label text
+ */
+function cleanLabel(label) {
+  return label.trim()
+    .replace(/^"(.*)"$/s, '$1')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/#quot;/g, '"')
+    .trim();
+}
+
+/**
+ * Parse the statements of a mermaid sequence diagram
+ * @param {Array<string>} lines - Lines after the `sequenceDiagram` line
+ * @returns {Object} Sequence diagram as `{ type, participants, steps }`
+ */
+function parseSequence(lines) {
+  const sequence = { type: 'sequence', participants: [], steps: [] };
+  const stack = [{ steps: sequence.steps }];
+  
+  const participant = (id, label, actor = false) => {
+    const existing = sequence.participants.find(candidate => candidate.id === id);
+    
+    if (existing) {
+      if (label) existing.label = label;
+      return id;
+    }
+    
+    sequence.participants.push({ id, label: label || id, actor });
+    return id;
+  };
+  
+  for (const line of lines) {
+    const [keyword] = line.split(/\s+/);
+    const rest = line.slice(keyword.length).trim();
+    const current = stack[stack.length - 1];
+    
+    if (keyword === 'participant' || keyword === 'actor') {
+      const [, id, label] = rest.match(/^(.+?)(?:\s+as\s+(.+))?$/);
+      participant(id, label && cleanLabel(label), keyword === 'actor');
+    } else if (SEQUENCE_BLOCKS.includes(keyword)) {
+      const block = { kind: 'block', keyword, sections: [{ keyword, label: keyword === 'rect' ? '' : cleanLabel(rest), steps: [] }] };
+      current.steps.push(block);
+      stack.push({ block, steps: block.sections[0].steps });
+    } else if (keyword === 'box') {
+      // Boxes group participants, which keep their order
+      stack.push({ block: null, steps: current.steps });
+    } else if (current.block && SEQUENCE_SECTIONS[current.block.keyword] === keyword) {
+      const section = { keyword, label: cleanLabel(rest), steps: [] };
+      current.block.sections.push(section);
+      current.steps = section.steps;
+    } else if (keyword === 'end') {
+      if (stack.length === 1) {
+        throw new Error('"end" without a block to close');
+      }
+      stack.pop();
+    } else if (/^note$/i.test(keyword)) {
+      const noteMatch = rest.match(/^(left of|right of|over)\s+(.+?)\s*:\s*(.*)$/i);
+      
+      if (!noteMatch) {
+        throw new Error(`Could not read "${line}"`);
+      }
+      
+      current.steps.push({
+        kind: 'note',
+        position: noteMatch[1].toLowerCase(),
+        participants: noteMatch[2].split(',').map(id => participant(id.trim())),
+        text: cleanLabel(noteMatch[3])
+      });
+    } else if (['autonumber', 'activate', 'deactivate', 'title', 'create', 'destroy'].includes(keyword)) {
+      continue;
+    } else {
+      const messageMatch = line.match(SEQUENCE_MESSAGE);
+      
+      if (!messageMatch) {
+        throw new Error(`Could not read "${line}"`);
+      }
+      
+      const [, from, arrow, to, text] = messageMatch;
+      current.steps.push({
+        kind: 'message',
+        from: participant(from),
+        to: participant(to),
+        text: cleanLabel(text || ''),
+        dashed: arrow.startsWith('--'),
+        head: arrow.endsWith('>>') ? 'arrow' : arrow.endsWith('x') ? 'cross' : arrow.endsWith(')') ? 'open' : 'none'
+      });
+    }
+  }
+  
+  if (stack.length > 1) {
+    const { block } = stack[stack.length - 1];
+    throw new Error(`"${block ? block.keyword : 'box'}" block without "end"`);
+  }
+  
+  return sequence;
+}
+
+module.exports = {
+  parseMermaid
+};
@@ -0,0 +1,319 @@
+const { escapeHtml } = require('../utils/html');
+const { formatString } = require('../i18n/strings');
+const { LINE_HEIGHT, measureText, renderText, renderMarkers, round, toText } = require('./svg');
+
+// Spacing in pixels
+const BOX_PADDING = 12;
+const MIN_BOX_WIDTH = 80;
+const PARTICIPANT_GAP = 40;
+const MESSAGE_GAP = 16;
+const SELF_MESSAGE_WIDTH = 30;
+const NOTE_PADDING = 8;
+const FRAME_PADDING = 12;
+const MARGIN = 10;
+
+/**
+ * Lay out a sequence diagram and render it as SVG content: participants
+ * side by side with their lifelines, and the steps from top to bottom
+ * @param {Object} sequence - Sequence diagram from `parseMermaid`
+ * @param {string} id - Diagram ID, for marker IDs
+ * @returns {Object} `{ width, height, content }`
+ */
+function renderSequence(sequence, id) {
+  const columns = getColumns(sequence);
+  const boxHeight = Math.max(LINE_HEIGHT, ...sequence.participants.map(p => measureText(p.label).height)) + BOX_PADDING;
+  const layout = { columns, id, y: boxHeight + MESSAGE_GAP * 1.5, minX: 0, maxX: 0, parts: [] };
+  
+  for (const column of columns.values()) {
+    extend(layout, column.x - column.width / 2, column.x + column.width / 2);
+  }
+  
+  renderSteps(sequence.steps, layout, 0);
+  
+  const bottom = layout.y + MESSAGE_GAP / 2;
+  const participants = [...columns.values()].map(column => {
+    const box = y => `<rect x="${round(column.x - column.width / 2)}" y="${round(y)}" width="${round(column.width)}" height="${round(boxHeight)}" rx="4"/>` +
+      renderText(column.label, column.x, y + boxHeight / 2, 'diagram-label');
+    
+    return `<g class="diagram-participant${column.actor ? ' diagram-actor' : ''}">` +
+      `<line class="diagram-lifeline" x1="${round(column.x)}" y1="${round(boxHeight)}" x2="${round(column.x)}" y2="${round(bottom)}"/>` +
+      box(0) + box(bottom) + '</g>';
+  });
+  
+  // Shift everything right of the margin, since notes and frames may
+  // extend left of the first participant
+  const offset = MARGIN - layout.minX;
+  
+  return {
+    width: round(layout.maxX - layout.minX + MARGIN * 2),
+    height: round(bottom + boxHeight + MARGIN * 2),
+    content: renderMarkers(id) +
+      `<g transform="translate(${round(offset)} ${MARGIN})">${participants.join('')}${layout.parts.join('')}</g>`
+  };
+}
+
+/**
+ * Place the participants, leaving room between them for the labels of the
+ * messages and notes that span them
+ * @param {Object} sequence - Sequence diagram model
+ * @returns {Map<string, Object>} Columns as `{ x, width, label, actor }` by participant ID
+ */
+function getColumns(sequence) {
+  const columns = new Map();
+  const ids = sequence.participants.map(p => p.id);
+  
+  sequence.participants.forEach((participant, index) => {
+    const width = Math.max(MIN_BOX_WIDTH, measureText(participant.label).width + BOX_PADDING * 2);
+    const previous = index > 0 ? columns.get(ids[index - 1]) : null;
+    
+    columns.set(participant.id, {
+      x: previous ? previous.x + previous.width / 2 + PARTICIPANT_GAP + width / 2 : width / 2,
+      width,
+      label: participant.label,
+      actor: participant.actor,
+      index
+    });
+  });
+  
+  // Minimum distances between participants
+  const spans = [];
+  
+  forEachStep(sequence.steps, step => {
+    if (step.kind === 'message') {
+      const width = measureText(step.text).width;
+      const from = columns.get(step.from).index;
+      const to = columns.get(step.to).index;
+      
+      if (from === to) {
+        spans.push({ start: from, end: from + 1, distance: SELF_MESSAGE_WIDTH + width + MESSAGE_GAP });
+      } else {
+        spans.push({ start: Math.min(from, to), end: Math.max(from, to), distance: width + MESSAGE_GAP * 2 });
+      }
+    } else if (step.kind === 'note' && step.participants.length > 1) {
+      const indexes = step.participants.map(participant => columns.get(participant).index);
+      spans.push({ start: Math.min(...indexes), end: Math.max(...indexes), distance: measureText(step.text).width });
+    }
+  });
+  
+  // Widen narrow spans first, so wide ones only add what is still missing
+  spans.sort((a, b) => (a.end - a.start) - (b.end - b.start));
+  
+  for (const span of spans) {
+    if (span.end >= ids.length) continue;
+    
+    const shortfall = span.distance - (columns.get(ids[span.end]).x - columns.get(ids[span.start]).x);
+    
+    if (shortfall > 0) {
+      for (let i = span.end; i < ids.length; i++) {
+        columns.get(ids[i]).x += shortfall;
+      }
+    }
+  }
+  
+  return columns;
+}
+
+/**
+ * Render steps below each other, moving `layout.y` down
+ * @param {Array<Object>} steps - Steps of the diagram or of a block
+ * @param {Object} layout - Layout state
+ * @param {number} depth - Nesting depth of blocks
+ */
+function renderSteps(steps, layout, depth) {
+  for (const step of steps) {
+    if (step.kind === 'message') {
+      renderMessage(step, layout);
+    } else if (step.kind === 'note') {
+      renderNote(step, layout);
+    } else {
+      renderBlock(step, layout, depth);
+    }
+  }
+}
+
+/**
+ * Render a message, with its label above the arrow
+ * @param {Object} message - Message step
+ * @param {Object} layout - Layout state
+ */
+function renderMessage(message, layout) {
+  const from = layout.columns.get(message.from).x;
+  const to = layout.columns.get(message.to).x;
+  const text = measureText(message.text);
+  const className = `diagram-message${message.dashed ? ' diagram-message-dashed' : ''}`;
+  const marker = message.head === 'none' ? '' : ` marker-end="url(#${layout.id}-${message.head})"`;
+  
+  if (from === to) {
+    // Message to itself: a loop on the right of the lifeline
+    const top = layout.y;
+    const right = from + SELF_MESSAGE_WIDTH;
+    
+    layout.parts.push(`<g class="${className}"><path d="M${round(from)},${round(top)} H${round(right)} V${round(top + LINE_HEIGHT)} H${round(from)}"${marker}/>` +
+      (message.text ? renderText(message.text, right + 6, top + LINE_HEIGHT / 2, 'diagram-label', 'start') : '') + '</g>');
+    extend(layout, from, right + 6 + text.width);
+    layout.y += LINE_HEIGHT + MESSAGE_GAP * 1.5;
+    return;
+  }
+  
+  layout.y += text.height;
+  
+  layout.parts.push(`<g class="${className}"><line x1="${round(from)}" y1="${round(layout.y)}" x2="${round(to)}" y2="${round(layout.y)}"${marker}/>` +
+    (message.text ? renderText(message.text, (from + to) / 2, layout.y - text.height / 2 - 2, 'diagram-label') : '') + '</g>');
+  layout.y += MESSAGE_GAP * 1.5;
+}
+
+/**
+ * Render a note beside or over participants
+ * @param {Object} note - Note step
+ * @param {Object} layout - Layout state
+ */
+function renderNote(note, layout) {
+  const text = measureText(note.text);
+  const height = text.height + NOTE_PADDING * 2;
+  const xs = note.participants.map(participant => layout.columns.get(participant).x);
+  let width = text.width + NOTE_PADDING * 2;
+  let left;
+  
+  if (note.position === 'left of') {
+    left = Math.min(...xs) - MESSAGE_GAP - width;
+  } else if (note.position === 'right of') {
+    left = Math.max(...xs) + MESSAGE_GAP;
+  } else {
+    // Over one participant, or spanning several
+    width = Math.max(width, Math.max(...xs) - Math.min(...xs) + MESSAGE_GAP * 2);
+    left = (Math.min(...xs) + Math.max(...xs) - width) / 2;
+  }
+  
+  layout.parts.push(`<g class="diagram-note"><rect x="${round(left)}" y="${round(layout.y)}" width="${round(width)}" height="${round(height)}"/>` +
+    renderText(note.text, left + width / 2, layout.y + height / 2, 'diagram-label') + '</g>');
+  extend(layout, left, left + width);
+  layout.y += height + MESSAGE_GAP;
+}
+
+/**
+ * Render a block such as a loop or alternatives, framing its steps
+ * @param {Object} block - Block step
+ * @param {Object} layout - Layout state
+ * @param {number} depth - Nesting depth of the block
+ */
+function renderBlock(block, layout, depth) {
+  const involved = [];
+  
+  forEachStep([block], step => {
+    if (step.kind === 'message') involved.push(step.from, step.to);
+    if (step.kind === 'note') involved.push(...step.participants);
+  });
+  
+  // Frame the participants the block involves, nested blocks slightly inside
+  const columns = (involved.length > 0 ? involved : [...layout.columns.keys()]).map(participant => layout.columns.get(participant));
+  const inset = depth * FRAME_PADDING / 2;
+  const left = Math.min(...columns.map(column => column.x - column.width / 2)) - FRAME_PADDING + inset;
+  const right = Math.max(...columns.map(column => column.x + column.width / 2)) + FRAME_PADDING - inset;
+  const top = layout.y;
+  const className = `diagram-block${block.keyword === 'rect' ? ' diagram-block-highlight' : ''}`;
+  const parts = [];
+  const start = layout.parts.length;
+  
+  block.sections.forEach((section, index) => {
+    const label = [index === 0 && block.keyword !== 'rect' ? block.keyword : '', section.label ? `[${section.label}]` : '']
+      .filter(Boolean).join(' ');
+    
+    if (index > 0) {
+      parts.push(`<line class="diagram-block-divider" x1="${round(left)}" y1="${round(layout.y)}" x2="${round(right)}" y2="${round(layout.y)}"/>`);
+    }
+    
+    if (label) {
+      parts.push(renderText(label, left + NOTE_PADDING, layout.y + LINE_HEIGHT / 2 + 4, 'diagram-block-label', 'start'));
+      extend(layout, left, left + NOTE_PADDING * 2 + measureText(label).width);
+    }
+    
+    layout.y += (label ? LINE_HEIGHT : 0) + MESSAGE_GAP;
+    renderSteps(section.steps, layout, depth + 1);
+  });
+  
+  // The frame goes behind the steps it holds
+  const frame = `<rect class="diagram-block-frame" x="${round(left)}" y="${round(top)}" width="${round(right - left)}" height="${round(layout.y - top)}"/>`;
+  layout.parts.splice(start, 0, `<g class="${className}">${frame}${parts.join('')}</g>`);
+  extend(layout, left, right);
+  layout.y += MESSAGE_GAP;
+}
+
+/**
+ * Widen the drawing to include a horizontal range
+ * @param {Object} layout - Layout state
+ * @param {number} left - Left edge
+ * @param {number} right - Right edge
+ */
+function extend(layout, left, right) {
+  layout.minX = Math.min(layout.minX, left);
+  layout.maxX = Math.max(layout.maxX, right);
+}
+
+/**
+ * Call a function for every step, including the steps inside blocks
+ * @param {Array<Object>} steps - Steps
+ * @param {Function} callback - Called with each step
+ */
+function forEachStep(steps, callback) {
+  for (const step of steps) {
+    callback(step);
+    
+    if (step.kind === 'block') {
+      for (const section of step.sections) {
+        forEachStep(section.steps, callback);
+      }
+    }
+  }
+}
+
+/**
+ * Describe a sequence diagram as its participants and a numbered list of
+ * its steps, with the steps of blocks in nested lists
+ * @param {Object} sequence - Sequence diagram model
+ * @param {Object} strings - UI strings
+ * @returns {string} HTML
+ */
+function describeSequence(sequence, strings) {
+  const labels = new Map(sequence.participants.map(participant => [participant.id, toText(participant.label)]));
+  const participants = formatString(strings.diagramParticipants, { participants: [...labels.values()].join(', ') });
+  
+  return `<p>${escapeHtml(participants)}</p><ol>${describeSteps(sequence.steps, labels, strings).join('')}</ol>`;
+}
+
+/**
+ * Describe steps as list items
+ * @param {Array<Object>} steps - Steps
+ * @param {Map<string, string>} labels - Participant labels by ID
+ * @param {Object} strings - UI strings
+ * @returns {Array<string>} HTML list items
+ */
+function describeSteps(steps, labels, strings) {
+  const items = [];
+  
+  for (const step of steps) {
+    if (step.kind === 'message') {
+      const text = formatString(strings.diagramMessage, { from: labels.get(step.from), to: labels.get(step.to), message: toText(step.text) });
+      items.push(`<li>${escapeHtml(text)}</li>`);
+    } else if (step.kind === 'note') {
+      const text = formatString(strings.diagramNote, { participants: step.participants.map(p => labels.get(p)).join(', '), text: toText(step.text) });
+      items.push(`<li>${escapeHtml(text)}</li>`);
+    } else if (step.keyword === 'rect') {
+      // Highlighted steps are listed in place
+      items.push(...describeSteps(step.sections[0].steps, labels, strings));
+    } else {
+      for (const section of step.sections) {
+        const keyword = strings[`diagram${section.keyword[0].toUpperCase()}${section.keyword.slice(1)}`];
+        const text = section.label ? formatString(strings.diagramBlock, { keyword, label: toText(section.label) }) : keyword;
+        const nested = section.steps.length > 0 ? `<ol>${describeSteps(section.steps, labels, strings).join('')}</ol>` : '';
+        items.push(`<li>${escapeHtml(text)}${nested}</li>`);
+      }
+    }
+  }
+  
+  return items;
+}
+
+module.exports = {
+  renderSequence,
+  describeSequence
+};
@@ -0,0 +1,90 @@
+const { escapeHtml } = require('../utils/html');
+
+/**
+ * Approximate text metrics of diagram labels, in pixels at the 14px font
+ * set in the theme. Labels are measured without a browser, so the average
+ * character width is used; wide (CJK) characters count double.
+ */
+const CHAR_WIDTH = 7.5;
+const LINE_HEIGHT = 18;
+
+/**
+ * Measure a label, which may span several lines
+ * @param {string} label - Label text
+ * @returns {Object} `{ width, height }`
+ */
+function measureText(label) {
+  const lines = label ? label.split('\n') : [];
+  const width = Math.max(0, ...lines.map(line => {
+    let units = 0;
+    
+    for (const char of line) {
+      units += /[\u1100-\u115f\u2e80-\ua4cf\uac00-\ud7a3\uf900-\ufaff\uff00-\uff60]/.test(char) ? 2 : 1;
+    }
+    
+    return units * CHAR_WIDTH;
+  }));
+  
+  return { width, height: lines.length * LINE_HEIGHT };
+}
+
+/**
+ * Render a label as SVG text, centred on a point
+ * @param {string} label - Label text
+ * @param {number} x - Horizontal centre
+ * @param {number} y - Vertical centre
+ * @param {string} className - Class of the text element
+ * @param {string} anchor - Text anchor: start, middle or end
+ * @returns {string} SVG markup
+ */
+function renderText(label, x, y, className, anchor = 'middle') {
+  const lines = label.split('\n');
+  const top = y - ((lines.length - 1) * LINE_HEIGHT) / 2;
+  
+  const tspans = lines.map((line, index) => {
+    return `<tspan x="${round(x)}" y="${round(top + index * LINE_HEIGHT)}">${escapeHtml(line)}</tspan>`;
+  }).join('');
+  
+  return `<text class="${className}" text-anchor="${anchor}" dominant-baseline="central">${tspans}</text>`;
+}
+
+/**
+ * Render the arrowhead markers of a diagram. Marker IDs are prefixed with the
+ * diagram ID, since every diagram on a page shares the document's IDs.
+ * @param {string} id - Diagram ID
+ * @returns {string} SVG `<defs>` markup
+ */
+function renderMarkers(id) {
+  return '<defs>' +
+    `<marker id="${id}-arrow" class="diagram-marker" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="8" markerHeight="8" orient="auto-start-reverse"><path d="M0,0L10,5L0,10z"/></marker>` +
+    `<marker id="${id}-open" class="diagram-marker-open" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="8" markerHeight="8" orient="auto-start-reverse"><path d="M0,0L10,5L0,10"/></marker>` +
+    `<marker id="${id}-cross" class="diagram-marker-open" viewBox="0 0 10 10" refX="5" refY="5" markerWidth="8" markerHeight="8" orient="auto"><path d="M0,0L10,10M0,10L10,0"/></marker>` +
+    '</defs>';
+}
+
+/**
+ * Join the lines of a label, for the text alternative
+ * @param {string} label - Label text
+ * @returns {string} Label on one line
+ */
+function toText(label) {
+  return label.replace(/\s*\n\s*/g, ' ');
+}
+
+/**
+ * Round a coordinate to keep the markup short
+ * @param {number} value - Coordinate
+ * @returns {number} Value rounded to one decimal
+ */
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+module.exports = {
+  LINE_HEIGHT,
+  measureText,
+  renderText,
+  renderMarkers,
+  round,
+  toText
+};
@@ -8,6 +8,44 @@ const { checkAccessibility } = require('./accessibility/checker');
 const { enhanceWithAria } = require('./accessibility/aria');
 const { applyTemplate } = require('./templates/default');
 const { getConfig } = require('./config');
+const { BuildManifest, hashContent, hashConfig } = require('./build/manifest');
+const { WorkerPool } = require('./build/worker-pool');
+const { minifyHtml, minifyAsset } = require('./build/minify');
+const { getPublishedPages } = require('./build/drafts');
+const { getVersions, getLatestVersion, resolveVersionInputDir } = require('./build/versions');
+const { getLocales, getDefaultLocale, getMissingTranslations } = require('./i18n/locales');
+const { getUiStrings, getMissingUiStrings } = require('./i18n/strings');
+const { getTextDirection, isolateLtrRuns } = require('./i18n/direction');
+const { generateLandingPage } = require('./templates/landing');
+const { createUrlBuilder, normalizeBasePath } = require('./utils/urls');
+const { escapeHtml } = require('./utils/html');
+const { inlineLinesPlugin, internalLinksPlugin, withSourceLocation, validateLinks, safeDecode } = require('./markdown/links');
+const { isPartial, expandIncludes, sourceLinesPlugin, stripSourceLines } = require('./markdown/includes');
+const { admonitionsPlugin } = require('./markdown/admonitions');
+const { tabsPlugin } = require('./markdown/tabs');
+const { footnotesPlugin, getFootnoteLocation } = require('./markdown/footnotes');
+const {
+  simplifiedPlugin,
+  getSimplifiedPath,
+  isSimplifiedPath,
+  removeSimplifiedBlocks,
+  createSimplifiedContent
+} = require('./markdown/simplified');
+const { MATH_ASSETS, mathPlugin } = require('./markdown/math');
+const { diagramsPlugin } = require('./diagrams');
+const { GLOSSARY_PAGE, isGlossaryFile, loadGlossary, glossaryPlugin, renderGlossaryPage } = require('./markdown/glossary');
+const { getSitemapPages, generateSitemapXml, generateSitemapHtml } = require('./navigation/sitemap');
+const { loadNavFile, buildNavTree } = require('./navigation/nav-tree');
+const { getTocHeadings } = require('./navigation/toc');
+const { scoreReadability, summarizeReadability } = require('./accessibility/readability');
+const {
+  SEARCH_INDEX_FILE,
+  extractSearchData,
+  getSearchPages,
+  generateSearchIndex,
+  generateSearchPage
+} = require('./navigation/search');
+const { loadPlugins, applyMarkdownPlugins, runHook, getCheckerRules } = require('./plugins');
 
 /**
  * Documentation Generator class specifically focused on accessibility
@@ -20,7 +58,8 @@ class AccessibleDocGenerator {
       ...options
     };
     
-    this.config = getConfig();
+    // Explicit config (e.g. from CLI flags) overrides the config file
+    this.config = { ...getConfig({ quiet: options.quiet }), ...options.config };
     
     // Initialize markdown parser with accessibility-focused configuration
     this.md = new MarkdownIt({
@@ -43,6 +82,51 @@ class AccessibleDocGenerator {
     
     // Custom rules for accessibility
     this.setupAccessibilityRules();
+    
+    // Callouts such as notes and warnings, tab groups and plain-language
+    // blocks for the simplified pages
+    this.md.use(admonitionsPlugin, { strings: getUiStrings(this.config) });
+    this.md.use(tabsPlugin);
+    this.md.use(simplifiedPlugin);
+    
+    // Footnotes, gathered in a section at the end of the page
+    this.md.use(footnotesPlugin, { strings: getUiStrings(this.config) });
+    
+    // TeX formulas rendered to MathML
+    if (this.config.math) {
+      this.md.use(mathPlugin);
+    }
+    
+    // Mermaid and DOT diagrams rendered to SVG with text alternatives
+    if (this.config.diagrams) {
+      this.md.use(diagramsPlugin, { strings: getUiStrings(this.config) });
+    }
+    
+    // Link the first use of each glossary term to its definition
+    if (this.config.glossary) {
+      this.md.use(glossaryPlugin, { config: this.config });
+    }
+    
+    // Give links, images and inline math the line they were written on
+    this.md.use(inlineLinesPlugin);
+    
+    // Rewrite links to markdown sources and record them for validation
+    this.md.use(internalLinksPlugin, { config: this.config });
+    
+    // Mark blocks with their source line on pages with included content
+    this.md.use(sourceLinesPlugin);
+    
+    // Load plugins and let them extend the markdown parser
+    this.plugins = loadPlugins(this.config.plugins, this.config);
+    this.checkerRules = getCheckerRules(this.plugins);
+    applyMarkdownPlugins(this.plugins, this.md, this.config);
+    
+    // Site navigation tree, which also orders the pagination links; built
+    // from all pages at the start of each build
+    this.navTree = null;
+    
+    // Terms from the glossary file, also read at the start of each build
+    this.glossary = null;
   }
   
   /**
@@ -59,9 +143,9 @@ class AccessibleDocGenerator {
       // Ensure alt attribute exists
       if (altAttr < 0) {
         token.attrPush(['alt', 'Image']);
-        console.warn('Warning: Image missing alt text. Added placeholder.');
+        addWarning(env, 'Image missing alt text, added a placeholder', token.map);
       } else if (token.attrs[altAttr][1] === '') {
-        console.warn('Warning: Image has empty alt text.');
+        addWarning(env, 'Image has empty alt text', token.map);
       }
       
       // Add additional accessibility attributes
@@ -118,29 +202,159 @@ class AccessibleDocGenerator {
   
   /**
    * Generate documentation from source files
+   *
+   * Only pages whose source, dependencies or output changed since the last
+   * build are regenerated; see `BuildManifest`.
+   * @param {Object} buildOptions - Build options
+   * @param {boolean} buildOptions.force - Ignore the build manifest and rebuild everything
    */
-  async generateDocs() {
+  async generateDocs(buildOptions = {}) {
+    if (this.config.versions && this.config.locales) {
+      return { success: false, error: 'The versions and locales options cannot be used together' };
+    }
+    
+    if (this.config.versions) {
+      return this.generateVersionedDocs(buildOptions);
+    }
+    
+    if (this.config.locales) {
+      return this.generateLocalizedDocs(buildOptions);
+    }
+    
     try {
       // Ensure output directory exists
       await fs.mkdir(this.options.outputDir, { recursive: true });
       
+      // Track output sizes for the build summary
+      this.minifiedBytes = this.config.minify ? { before: 0, after: 0 } : null;
+      
+      // Load the manifest of the previous build
+      const manifest = await BuildManifest.load(this.options.outputDir);
+      const configHash = hashConfig(this.config);
+      
+      if (buildOptions.force || manifest.configHash !== configHash) {
+        manifest.reset(configHash);
+      }
+      
       // Read all markdown files
-      const files = await this.getMarkdownFiles();
+      const { allPages, pages } = await this.collectSitePages();
+      this.navTree = this.config.siteNavigation || this.config.pagination
+        ? await this.buildNavigation(pages)
+        : null;
+      await this.readGlossary();
+      const resolveDependency = this.createDependencyResolver(pages);
+      
+      // Process each file that changed since the last build
+      const stalePages = [];
       
-      // Process each file
-      for (const file of files) {
-        await this.processFile(file);
+      for (const page of pages) {
+        if (await manifest.isStale(page.outputPath, page.hash, resolveDependency)) {
+          stalePages.push(page);
+        }
+      }
+      
+      const results = await this.renderPages(stalePages);
+      
+      // Check internal links now that the headings of every page are known
+      if (this.config.checkLinks) {
+        this.checkInternalLinks(pages, results, manifest);
       }
       
-      // Generate index if needed
-      if (this.config.generateIndex) {
-        await this.generateIndex(files);
+      let filesBuilt = 0;
+      
+      for (let i = 0; i < stalePages.length; i++) {
+        const page = stalePages[i];
+        const result = results[i];
+        
+        if (await this.writePage(result)) {
+          this.recordMinified(result.minified);
+          manifest.set(page.outputPath, {
+            source: page.relativePath,
+            hash: page.hash,
+            dependencies: await this.hashDependencies(result.dependencies, resolveDependency),
+            anchors: result.anchors,
+            search: result.search,
+            readability: result.readability
+          });
+          
+          // Recorded so it is removed with its page
+          if (result.simplified) {
+            this.recordMinified(result.simplified.minified);
+            manifest.set(getSimplifiedPath(page.outputPath), { source: page.relativePath, hash: page.hash });
+          }
+          filesBuilt++;
+        }
+      }
+      
+      // Outputs without a source page that this build generates
+      const generatedOutputs = [];
+      
+      // Generate index if needed, unless a page such as `index.md` is the index
+      const indexPage = this.config.generateIndex && pages.find(page => page.outputPath === 'index.html');
+      
+      if (indexPage) {
+        console.warn(`Warning: ${indexPage.relativePath} is the site index, so the generated index was not written; set generateIndex: false to use it without this warning.`);
+      } else if (this.config.generateIndex) {
+        const indexDependencies = await this.hashDependencies(['@nav'], resolveDependency);
+        
+        if (await manifest.isStale('index.html', null, resolveDependency)) {
+          await this.generateIndex(pages);
+          manifest.set('index.html', { source: null, hash: null, dependencies: indexDependencies });
+        }
+        generatedOutputs.push('index.html');
       }
       
+      // Generate sitemaps if needed
+      if (this.config.generateSitemap) {
+        generatedOutputs.push(...await this.generateSitemap(pages, manifest, resolveDependency));
+      }
+      
+      // Generate the search index and results page if needed
+      if (this.config.search) {
+        generatedOutputs.push(...await this.generateSearch(pages, manifest, resolveDependency));
+      }
+      
+      // Generate the glossary page if there is a glossary file
+      if (this.glossary) {
+        generatedOutputs.push(...await this.generateGlossary(manifest, resolveDependency));
+      }
+      
+      // Remove outputs whose sources no longer exist, or that are turned off
+      const filesRemoved = await this.removeStaleOutputs(manifest, pages, generatedOutputs);
+      
       // Copy assets
       await this.copyAssets();
       
-      return { success: true, filesProcessed: files.length };
+      await manifest.save();
+      
+      // Pages that failed to render fail the build, once the rest is written
+      const filesFailed = results.filter(pageResult => !pageResult.success).length;
+      
+      const result = {
+        success: filesFailed === 0,
+        error: filesFailed > 0 ? `Could not build ${filesFailed} page(s); see the errors above` : undefined,
+        filesProcessed: pages.length,
+        filesBuilt,
+        filesSkipped: pages.length - filesBuilt,
+        filesUnpublished: allPages.length - pages.length,
+        filesRemoved,
+        minifiedBytes: this.minifiedBytes,
+        // Reading level and time of every page, including unchanged ones
+        readability: pages
+          .map(page => ({ source: page.relativePath, entry: manifest.get(page.outputPath) }))
+          .filter(({ entry }) => entry && entry.readability)
+          .map(({ source, entry }) => ({ source, ...entry.readability }))
+      };
+      
+      await runHook(this.plugins, 'afterBuild', {
+        pages,
+        builtPages: stalePages,
+        outputDir: this.options.outputDir,
+        config: this.config,
+        result
+      });
+      
+      return result;
     } catch (error) {
       console.error('Error generating documentation:', error);
       return { success: false, error: error.message };
@@ -148,12 +362,512 @@ class AccessibleDocGenerator {
   }
   
   /**
-   * Get all markdown files from input directory
+   * Build every version listed in the `versions` option into its own
+   * sub-directory of the output directory, plus a landing page at the root
+   * that sends readers to the latest version
+   * @param {Object} buildOptions - Build options, passed on to each version's build
+   * @returns {Promise<Object>} Combined result of the version builds
+   */
+  async generateVersionedDocs(buildOptions = {}) {
+    try {
+      const versions = getVersions(this.config);
+      const latest = getLatestVersion(this.config, versions);
+      const subsites = [];
+      
+      for (const version of versions) {
+        subsites.push({
+          name: `version ${version.label}`,
+          directory: version.label,
+          inputDir: await resolveVersionInputDir(version)
+        });
+      }
+      
+      // Each page links to the same page in the other versions
+      const pages = await this.collectSubsitePages(subsites);
+      const versioning = {
+        basePath: this.config.basePath,
+        latest,
+        versions: versions.map((version, i) => ({ label: version.label, pages: pages[i] }))
+      };
+      
+      const result = await this.buildSubsites(subsites, (subsite) => ({
+        versioning: { ...versioning, current: subsite.directory }
+      }), buildOptions);
+      
+      if (result.success) {
+        const strings = getUiStrings(this.config);
+        
+        await this.writeLandingPage(strings.defaultTitle, this.config.locale, latest, versions.map(version => ({
+          directory: version.label,
+          label: version.label === latest ? `${version.label} (${strings.latest})` : version.label
+        })));
+      }
+      
+      return result;
+    } catch (error) {
+      console.error('Error generating documentation:', error);
+      return { success: false, error: error.message };
+    }
+  }
+  
+  /**
+   * Build every locale listed in the `locales` option into its own
+   * sub-directory of the output directory, pairing translated pages by
+   * their path, plus a landing page at the root that sends readers to the
+   * default locale. Pages without a translation are reported.
+   * @param {Object} buildOptions - Build options, passed on to each locale's build
+   * @returns {Promise<Object>} Combined result of the locale builds
+   */
+  async generateLocalizedDocs(buildOptions = {}) {
+    try {
+      const locales = getLocales(this.config);
+      const defaultLocale = getDefaultLocale(this.config, locales);
+      const subsites = locales.map(locale => ({
+        name: `locale ${locale.code}`,
+        directory: locale.code,
+        inputDir: locale.inputDir
+      }));
+      
+      const pages = await this.collectSubsitePages(subsites);
+      const localization = {
+        basePath: this.config.basePath,
+        default: defaultLocale,
+        locales: locales.map((locale, i) => ({ code: locale.code, label: locale.label, pages: pages[i] }))
+      };
+      
+      this.reportMissingTranslations(localization);
+      
+      const result = await this.buildSubsites(subsites, (subsite) => ({
+        locale: subsite.directory,
+        localization: { ...localization, current: subsite.directory }
+      }), buildOptions);
+      
+      if (result.success) {
+        const strings = getUiStrings({ ...this.config, locale: defaultLocale });
+        
+        await this.writeLandingPage(strings.defaultTitle, defaultLocale, defaultLocale, locales.map(locale => ({
+          directory: locale.code,
+          label: locale.label,
+          lang: locale.code
+        })));
+      }
+      
+      return result;
+    } catch (error) {
+      console.error('Error generating documentation:', error);
+      return { success: false, error: error.message };
+    }
+  }
+  
+  /**
+   * Warn about pages of the default locale that other locales don't
+   * translate, and about interface strings without a translation
+   * @param {Object} localization - Locales and their pages
+   */
+  reportMissingTranslations(localization) {
+    const defaultPages = localization.locales
+      .find(locale => locale.code === localization.default).pages;
+    
+    for (const locale of localization.locales) {
+      const missingPages = getMissingTranslations(defaultPages, locale.pages);
+      const missingStrings = getMissingUiStrings({ ...this.config, locale: locale.code });
+      
+      if (missingPages.length > 0) {
+        console.warn(`Warning: ${missingPages.length} pages have no "${locale.code}" translation: ${missingPages.join(', ')}`);
+      }
+      
+      if (missingStrings.length > 0) {
+        console.warn(`Warning: ${missingStrings.length} interface strings have no "${locale.code}" translation and are shown in English: ${missingStrings.join(', ')}`);
+      }
+    }
+  }
+  
+  /**
+   * Create the generator for one sub-site (a version or a locale), writing
+   * to a sub-directory of the output directory
+   * @param {Object} subsite - Sub-site, with its `directory` and `inputDir`
+   * @param {Object} configOverrides - Settings for this sub-site
+   * @returns {AccessibleDocGenerator} Generator for the sub-site
+   */
+  createSubsiteGenerator(subsite, configOverrides) {
+    return new AccessibleDocGenerator({
+      inputDir: subsite.inputDir,
+      outputDir: path.join(this.options.outputDir, subsite.directory),
+      quiet: true,
+      config: {
+        ...this.options.config,
+        versions: null,
+        locales: null,
+        basePath: `${normalizeBasePath(this.config.basePath)}${subsite.directory}/`,
+        ...configOverrides
+      }
+    });
+  }
+  
+  /**
+   * List the output pages of each sub-site, so pages can link to their
+   * counterparts in the other sub-sites
+   * @param {Array<Object>} subsites - Sub-sites
+   * @returns {Promise<Array<Array<string>>>} Output paths, one list per sub-site
+   */
+  async collectSubsitePages(subsites) {
+    const pages = [];
+    
+    for (const subsite of subsites) {
+      const generator = this.createSubsiteGenerator(subsite, {});
+      const { pages: subsitePages } = await generator.collectSitePages();
+      await generator.readGlossary();
+      
+      pages.push(subsitePages.map(page => page.outputPath).concat(generator.getGeneratedPages()));
+    }
+    
+    return pages;
+  }
+  
+  /**
+   * Build sub-sites one after the other and add up their results
+   * @param {Array<Object>} subsites - Sub-sites
+   * @param {Function} getConfigOverrides - Returns the settings for a sub-site
+   * @param {Object} buildOptions - Build options for each build
+   * @returns {Promise<Object>} Combined result
+   */
+  async buildSubsites(subsites, getConfigOverrides, buildOptions) {
+    const totals = {
+      success: true,
+      filesProcessed: 0,
+      filesBuilt: 0,
+      filesSkipped: 0,
+      filesRemoved: 0,
+      filesUnpublished: 0,
+      minifiedBytes: this.config.minify ? { before: 0, after: 0 } : null
+    };
+    
+    for (const subsite of subsites) {
+      console.log(`Building ${subsite.name}`);
+      
+      const generator = this.createSubsiteGenerator(subsite, getConfigOverrides(subsite));
+      const result = await generator.generateDocs(buildOptions);
+      
+      if (!result.success) {
+        return { success: false, error: `${subsite.name}: ${result.error}` };
+      }
+      
+      for (const count of ['filesProcessed', 'filesBuilt', 'filesSkipped', 'filesRemoved', 'filesUnpublished']) {
+        totals[count] += result[count];
+      }
+      
+      if (totals.minifiedBytes && result.minifiedBytes) {
+        totals.minifiedBytes.before += result.minifiedBytes.before;
+        totals.minifiedBytes.after += result.minifiedBytes.after;
+      }
+    }
+    
+    return totals;
+  }
+  
+  /**
+   * Write the landing page at the root of a site built as sub-sites
+   * @param {string} title - Page title
+   * @param {string} language - Language of the page
+   * @param {string} target - Directory of the sub-site readers are sent to
+   * @param {Array<Object>} links - Sub-sites as `{ directory, label, lang }`
+   */
+  async writeLandingPage(title, language, target, links) {
+    const outputPath = path.join(this.options.outputDir, 'index.html');
+    const url = createUrlBuilder(this.config, 'index.html');
+    
+    await fs.writeFile(outputPath, generateLandingPage({
+      title,
+      language,
+      redirect: url(`${target}/`),
+      links: links.map(link => ({ ...link, href: url(`${link.directory}/`) }))
+    }));
+    console.log(`Generated landing page: ${outputPath}`);
+  }
+  
+  /**
+   * Read the pages of the site
+   * @returns {Promise<Object>} `{ allPages, pages }`: every page record, and
+   * the pages to build, leaving out drafts and scheduled pages unless previewing
+   */
+  async collectSitePages() {
+    const files = await this.getMarkdownFiles();
+    const allPages = await this.collectPages(files);
+    
+    return {
+      allPages,
+      pages: this.config.drafts ? allPages : getPublishedPages(allPages)
+    };
+  }
+  
+  /**
+   * List the pages the build generates besides the markdown pages
+   * @returns {Array<string>} Output paths relative to the output directory
+   */
+  getGeneratedPages() {
+    return [
+      this.config.generateIndex ? 'index.html' : null,
+      this.config.generateSitemap ? 'sitemap.html' : null,
+      this.config.search ? 'search.html' : null,
+      this.glossary ? GLOSSARY_PAGE : null
+    ].filter(Boolean);
+  }
+  
+  /**
+   * Render pages, in parallel when `concurrency` allows. Results are
+   * returned in page order so reporting matches a serial build.
+   * @param {Array<Object>} pages - Page records to render
+   * @returns {Promise<Array<Object>>} Render results, one per page
+   */
+  async renderPages(pages) {
+    const concurrency = Math.min(parseInt(this.config.concurrency) || 1, pages.length);
+    
+    if (concurrency <= 1) {
+      const results = [];
+      
+      for (const page of pages) {
+        results.push(await this.renderPageSafely(page.filePath));
+      }
+      return results;
+    }
+    
+    // Workers reload the config file themselves; only cloneable overrides are sent
+    const pool = new WorkerPool(path.join(__dirname, 'build', 'page-worker.js'), concurrency, {
+      options: {
+        inputDir: this.options.inputDir,
+        outputDir: this.options.outputDir,
+        config: this.getWorkerConfig(),
+        quiet: true
+      },
+      navTree: this.navTree,
+      glossary: this.glossary
+    });
+    
+    try {
+      return await Promise.all(pages.map(page => pool.run({ filePath: page.filePath })
+        .catch(error => ({ success: false, filePath: page.filePath, error: error.message }))));
+    } finally {
+      await pool.destroy();
+    }
+  }
+  
+  /**
+   * Get the config overrides for page workers. Plugins from the config file,
+   * inline ones included, are left for the workers to load from it, as
+   * cloning would strip their functions.
+   * @returns {Object} Structured-cloneable config overrides
+   * @throws {Error} If inline plugins were passed other than in the config file
+   */
+  getWorkerConfig() {
+    const { plugins, ...overrides } = this.options.config || {};
+    
+    if (plugins && plugins !== getConfig({ quiet: true }).plugins) {
+      const inline = plugins.some(entry => typeof (Array.isArray(entry) ? entry[0] : entry) !== 'string');
+      
+      if (inline) {
+        throw new Error('Inline plugins must be listed in the config file to build with a concurrency above 1');
+      }
+      overrides.plugins = plugins;
+    }
+    
+    return JSON.parse(JSON.stringify(overrides));
+  }
+  
+  /**
+   * Validate the internal links of rendered pages, adding broken links and
+   * anchors to each page's issues
+   * @param {Array<Object>} pages - All page records
+   * @param {Array<Object>} results - Render results of the rebuilt pages
+   * @param {BuildManifest} manifest - Build manifest, for anchors of unchanged pages
+   */
+  checkInternalLinks(pages, results, manifest) {
+    const rendered = new Map(results
+      .filter(result => result.success)
+      .map(result => [this.toSourceKey(result.filePath), result]));
+    const sources = new Set(pages.map(page => page.relativePath));
+    const anchors = new Map();
+    
+    for (const page of pages) {
+      const entry = rendered.get(page.relativePath) || manifest.get(page.outputPath);
+      anchors.set(page.relativePath, entry && entry.anchors ? new Set(entry.anchors) : null);
+    }
+    
+    for (const [file, result] of rendered) {
+      result.issues.push(...validateLinks(result.links, { file, sources, anchors }));
+    }
+  }
+  
+  /**
+   * Read every source file once to get its hash and frontmatter
+   * @param {Array<string>} files - Markdown file paths
+   * @returns {Promise<Array<Object>>} Page records in file order
+   */
+  async collectPages(files) {
+    return Promise.all(files.map(async filePath => {
+      const content = await fs.readFile(filePath, 'utf8');
+      const stats = await fs.stat(filePath);
+      const { data: frontmatter } = matter(content);
+      const relativePath = this.toSourceKey(filePath);
+      
+      return {
+        filePath,
+        relativePath,
+        outputPath: relativePath.replace(/\.md$/, '.html'),
+        hash: hashContent(content),
+        title: frontmatter.title || path.basename(filePath, '.md'),
+        modified: stats.mtime.toISOString(),
+        frontmatter
+      };
+    }));
+  }
+  
+  /**
+   * Build the site navigation tree from the pages and the optional
+   * navigation file, reporting navigation file entries that aren't pages
+   * @param {Array<Object>} pages - Page records
+   * @returns {Promise<Array<Object>>} Navigation items
+   */
+  async buildNavigation(pages) {
+    const entries = await loadNavFile(this.options.inputDir);
+    const { items, warnings } = buildNavTree(pages, entries);
+    
+    for (const warning of warnings) {
+      console.warn(`Warning: ${warning}`);
+    }
+    
+    return items;
+  }
+  
+  /**
+   * Read the glossary file, when the `glossary` option is enabled
+   */
+  async readGlossary() {
+    this.glossary = this.config.glossary ? await loadGlossary(this.options.inputDir) : null;
+  }
+  
+  /**
+   * Convert a source path to the key used in the build manifest
+   * @param {string} filePath - Absolute or input-relative source path
+   * @returns {string} Path relative to the input directory, with forward slashes
+   */
+  toSourceKey(filePath) {
+    return path.relative(path.resolve(this.options.inputDir), path.resolve(filePath))
+      .split(path.sep)
+      .join('/');
+  }
+  
+  /**
+   * Create a function returning the current hash of a dependency key.
+   * Keys are source paths relative to the input directory, or `@nav` for the
+   * list of pages and their titles, the site navigation tree and the pages
+   * of the other versions or languages, or `@glossary` for the glossary terms.
+   * @param {Array<Object>} pages - Page records
+   * @returns {Function} Async dependency resolver
+   */
+  createDependencyResolver(pages) {
+    const hashes = new Map(pages.map(page => [page.relativePath, page.hash]));
+    
+    hashes.set('@nav', hashContent(JSON.stringify({
+      pages: pages.map(page => [page.relativePath, page.title]),
+      navigation: this.navTree,
+      versions: this.config.versioning || null,
+      locales: this.config.localization || null
+    })));
+    hashes.set('@glossary', hashContent(JSON.stringify(this.glossary)));
+    
+    return async (dependency) => {
+      if (!hashes.has(dependency)) {
+        try {
+          const content = await fs.readFile(path.join(this.options.inputDir, dependency));
+          hashes.set(dependency, hashContent(content));
+        } catch (error) {
+          hashes.set(dependency, null);
+        }
+      }
+      
+      return hashes.get(dependency);
+    };
+  }
+  
+  /**
+   * Record the current hash of each dependency
+   * @param {Array<string>} dependencies - Dependency keys
+   * @param {Function} resolveDependency - Dependency resolver
+   * @returns {Promise<Object>} Map of dependency key to hash
+   */
+  async hashDependencies(dependencies = [], resolveDependency) {
+    const hashes = {};
+    
+    for (const dependency of dependencies) {
+      hashes[dependency] = await resolveDependency(dependency);
+    }
+    
+    return hashes;
+  }
+  
+  /**
+   * Delete outputs whose source was removed since the last build,
+   * simplified pages once `generateSimplifiedView` is turned off, and
+   * generated pages (index, sitemaps, search, glossary) once they are no
+   * longer generated
+   * @param {BuildManifest} manifest - Build manifest
+   * @param {Array<Object>} pages - Current page records
+   * @param {Array<string>} generatedOutputs - Outputs without a source page
+   * generated by this build
+   * @returns {Promise<number>} Number of outputs removed
+   */
+  async removeStaleOutputs(manifest, pages, generatedOutputs) {
+    const sources = new Set(pages.map(page => page.relativePath));
+    const generated = new Set(generatedOutputs);
+    let removed = 0;
+    
+    for (const [outputPath, entry] of Object.entries(manifest.outputs)) {
+      if (!entry.source) {
+        if (generated.has(outputPath)) continue;
+      } else {
+        // Simplified pages also go when they are turned off
+        const simplifiedOff = isSimplifiedPath(outputPath) && !this.config.generateSimplifiedView;
+        if (sources.has(entry.source) && !simplifiedOff) continue;
+      }
+      
+      if (await this.removeOutput(outputPath)) {
+        removed++;
+      }
+      manifest.delete(outputPath);
+    }
+    
+    return removed;
+  }
+  
+  /**
+   * Delete an output file if it exists
+   * @param {string} outputPath - Output path relative to the output directory
+   * @returns {Promise<boolean>} True if the file was deleted
+   */
+  async removeOutput(outputPath) {
+    const filePath = path.join(this.options.outputDir, outputPath);
+    
+    try {
+      await fs.unlink(filePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      return false;
+    }
+    
+    console.log(`Removed: ${filePath}`);
+    return true;
+  }
+  
+  /**
+   * Get all markdown files from input directory, except partials
    */
   async getMarkdownFiles() {
     const inputPath = path.resolve(this.options.inputDir);
     const allFiles = await this.getFilesRecursively(inputPath);
-    return allFiles.filter(file => file.endsWith('.md'));
+    return allFiles.filter(file => {
+      const sourcePath = this.toSourceKey(file);
+      return file.endsWith('.md') && !isPartial(sourcePath) && !isGlossaryFile(sourcePath);
+    });
   }
   
   /**
@@ -178,86 +892,304 @@ class AccessibleDocGenerator {
    * Process a single markdown file
    */
   async processFile(filePath) {
-    try {
-      // Read file content
-      const content = await fs.readFile(filePath, 'utf8');
-      
-      // Parse frontmatter and markdown
-      const { data: frontmatter, content: markdown } = matter(content);
-      
-      // Convert markdown to HTML
-      let html = this.md.render(markdown);
-      
-      // Parse the HTML to make additional accessibility enhancements
-      const parsedHtml = HTMLParser.parse(html);
-      
-      // Enhance with ARIA attributes
-      enhanceWithAria(parsedHtml, frontmatter);
+    const [page] = await this.collectPages([filePath]);
+    
+    if (!this.config.drafts && getPublishedPages([page]).length === 0) {
+      console.log(`Skipped unpublished page: ${filePath}`);
+      return { success: true, skipped: true };
+    }
+    
+    const result = await this.renderPageSafely(filePath);
+    
+    if (await this.writePage(result)) {
+      return { success: true, outputPath: result.outputPath, dependencies: result.dependencies };
+    }
+    
+    return { success: false, error: result.error };
+  }
+  
+  /**
+   * Render a single markdown file without writing or logging anything.
+   * Runs in worker threads when building in parallel, so the result must
+   * be structured-cloneable.
+   * @param {string} filePath - Markdown file path
+   * @returns {Promise<Object>} Output path, final HTML, warnings, issues and dependencies
+   */
+  async renderPage(filePath) {
+    // Read file content
+    const content = await fs.readFile(filePath, 'utf8');
+    
+    // Parse frontmatter and markdown, then let plugins adjust them
+    const { data, content: source } = matter(content);
+    const { markdown, frontmatter } = await runHook(this.plugins, 'beforeParse', {
+      filePath,
+      markdown: source,
+      frontmatter: data,
+      config: this.config
+    });
+    
+    // Expand includes, keeping track of where each line came from
+    const sourcePath = this.toSourceKey(filePath);
+    const lineOffset = content.split('\n').length - source.split('\n').length;
+    const expanded = await expandIncludes(markdown, { inputDir: this.options.inputDir, sourcePath, lineOffset });
+    
+    // Convert markdown to HTML, collecting renderer warnings and links
+    const env = {
+      warnings: expanded.warnings,
+      links: [],
+      sourcePath,
+      lineOffset,
+      sourceMap: expanded.includes.length > 0 ? expanded.sourceMap : null,
+      glossary: this.glossary
+    };
+    let html = this.md.render(expanded.markdown, env);
+    
+    // Parse the HTML to make additional accessibility enhancements
+    const parsedHtml = HTMLParser.parse(html);
+    await runHook(this.plugins, 'afterRender', { filePath, root: parsedHtml, frontmatter, config: this.config });
+    
+    // Enhance with ARIA attributes
+    enhanceWithAria(parsedHtml, frontmatter);
+    
+    // Keep code and URLs in order on right-to-left pages
+    const language = frontmatter.language || this.config.locale;
+    if (getTextDirection(language) === 'rtl') {
+      isolateLtrRuns(parsedHtml);
+    }
+    
+    // The simplified page is made from the full content, plain-language
+    // blocks included; the full page leaves those blocks out, but they are
+    // still checked with it
+    const simplifiedRoot = this.config.generateSimplifiedView
+      ? createSimplifiedContent(parsedHtml, frontmatter, env.warnings)
+      : null;
+    const checkedHtml = parsedHtml.toString();
+    removeSimplifiedBlocks(parsedHtml);
+    
+    // Record element IDs so links to this page's headings can be validated
+    const anchors = parsedHtml.querySelectorAll('[id]').map(element => safeDecode(element.id));
+    
+    // Record the searchable text; unchanged pages keep theirs in the manifest
+    const search = this.config.search ? extractSearchData(parsedHtml, frontmatter) : null;
+    
+    // Reading level and time for the page metadata and the readability scorecard
+    const readability = summarizeReadability(scoreReadability(parsedHtml, language));
+    
+    // Run accessibility checks if enabled
+    let accessibilityIssues = [];
+    if (this.config.checkAccessibility) {
+      accessibilityIssues = await checkAccessibility(checkedHtml, this.config, this.checkerRules, {
+        language,
+        sourceMap: env.sourceMap
+      });
       
-      // Run accessibility checks if enabled
-      if (this.config.checkAccessibility) {
-        const accessibilityIssues = await checkAccessibility(parsedHtml.toString());
+      // Unused footnotes are reported where they are defined
+      for (const issue of accessibilityIssues) {
+        const location = issue.type === 'footnote' && issue.label && !issue.line && getFootnoteLocation(env, issue.label);
+        if (location) Object.assign(issue, location);
+      }
+    }
+    
+    // Determine output path
+    const relativePath = path.relative(this.options.inputDir, filePath);
+    const outputPath = path.join(
+      this.options.outputDir, 
+      relativePath.replace(/\.md$/, '.html')
+    );
+    
+    // Apply template
+    const sitePath = this.toSourceKey(filePath).replace(/\.md$/, '.html');
+    const pageDetails = {
+      navigation: this.navTree,
+      hasMath: Boolean(env.hasMath),
+      hasFootnotes: Boolean(env.footnotes && env.footnotes.notes.size > 0),
+      hasGlossary: Boolean(this.glossary),
+      hasGlossaryTerms: Boolean(env.glossaryUsed && env.glossaryUsed.size > 0)
+    };
+    const { html: finalHtml, minified } = await this.templatePage(filePath, parsedHtml, frontmatter, {
+      ...pageDetails,
+      outputPath: sitePath,
+      alternate: simplifiedRoot ? getSimplifiedPath(sitePath) : null,
+      toc: this.getTableOfContents(parsedHtml),
+      readability
+    });
+    
+    // The simplified page has a single column, so no table of contents
+    const simplified = simplifiedRoot ? {
+      outputPath: getSimplifiedPath(outputPath),
+      ...await this.templatePage(filePath, simplifiedRoot, frontmatter, {
+        ...pageDetails,
+        outputPath: getSimplifiedPath(sitePath),
+        variant: 'simplified',
+        alternate: sitePath,
+        readability: summarizeReadability(scoreReadability(simplifiedRoot, language)),
+        hasFootnotes: Boolean(simplifiedRoot.querySelector('.footnotes'))
+      })
+    } : null;
+    
+    return {
+      success: true,
+      filePath,
+      outputPath,
+      html: finalHtml,
+      warnings: env.warnings,
+      issues: accessibilityIssues,
+      links: env.links,
+      anchors,
+      search,
+      readability,
+      // Included files and linked pages are dependencies, so broken links are
+      // re-checked when they change, and the sidebar needs rebuilding when the
+      // navigation or the glossary changes
+      dependencies: [...new Set([...expanded.includes, ...env.links.map(link => link.target)])]
+        .filter(target => target !== env.sourcePath)
+        .concat(this.navTree || this.config.versioning || this.config.localization ? ['@nav'] : [])
+        .concat(this.config.glossary ? ['@glossary'] : []),
+      minified,
+      simplified
+    };
+  }
+  
+  /**
+   * Apply the template and the `afterTemplate` hook to rendered content,
+   * then minify it
+   * @param {string} filePath - Markdown file path
+   * @param {HTMLElement} root - Parsed page content (node-html-parser)
+   * @param {Object} frontmatter - Page frontmatter
+   * @param {Object} page - Page being rendered, as passed to `applyTemplate`
+   * @returns {Promise<Object>} HTML to write, and its size before and after minification
+   */
+  async templatePage(filePath, root, frontmatter, page) {
+    const { html } = await runHook(this.plugins, 'afterTemplate', {
+      filePath,
+      html: applyTemplate(stripSourceLines(root.toString()), frontmatter, this.config, page),
+      frontmatter,
+      config: this.config
+    });
+    
+    return this.minifyPage(html);
+  }
+  
+  /**
+   * Minify a page's HTML when the `minify` option is enabled
+   * @param {string} html - Complete HTML document
+   * @returns {Promise<Object>} HTML to write, and its size before and after minification
+   */
+  async minifyPage(html) {
+    if (!this.config.minify) {
+      return { html, minified: null };
+    }
+    
+    const minifiedHtml = await minifyHtml(html);
+    
+    return {
+      html: minifiedHtml,
+      minified: { before: Buffer.byteLength(html), after: Buffer.byteLength(minifiedHtml) }
+    };
+  }
+  
+  /**
+   * Add to the minification totals reported in the build summary
+   * @param {Object|null} minified - Sizes before and after minification
+   */
+  recordMinified(minified) {
+    if (minified && this.minifiedBytes) {
+      this.minifiedBytes.before += minified.before;
+      this.minifiedBytes.after += minified.after;
+    }
+  }
+  
+  /**
+   * Render a page, turning exceptions into a failed result
+   * @param {string} filePath - Markdown file path
+   * @returns {Promise<Object>} Render result
+   */
+  async renderPageSafely(filePath) {
+    try {
+      return await this.renderPage(filePath);
+    } catch (error) {
+      return { success: false, filePath, error: error.message };
+    }
+  }
+  
+  /**
+   * Report a rendered page's warnings and issues, then write it to disk
+   * @param {Object} result - Result of `renderPage`
+   * @returns {Promise<boolean>} True if the page was written
+   */
+  async writePage(result) {
+    if (!result.success) {
+      console.error(`Error processing file ${result.filePath}:`, result.error);
+      return false;
+    }
+    
+    for (const warning of result.warnings) {
+      console.warn(`Warning in ${result.filePath}: ${warning}`);
+    }
+    
+    if (result.issues.length > 0) {
+      console.warn(`Accessibility issues in ${result.filePath}:`, result.issues);
+    }
+    
+    // The page, then its simplified version if there is one
+    const outputs = [result, result.simplified].filter(Boolean);
+    
+    try {
+      for (const output of outputs) {
+        const { html } = await runHook(this.plugins, 'beforeWrite', {
+          filePath: result.filePath,
+          outputPath: output.outputPath,
+          html: output.html,
+          config: this.config
+        });
         
-        if (accessibilityIssues.length > 0) {
-          console.warn(`Accessibility issues in ${filePath}:`, accessibilityIssues);
-        }
+        // Ensure directory exists
+        await fs.mkdir(path.dirname(output.outputPath), { recursive: true });
+        
+        // Write file
+        await fs.writeFile(output.outputPath, html);
       }
-      
-      // Apply template
-      const finalHtml = applyTemplate(parsedHtml.toString(), frontmatter, this.config);
-      
-      // Determine output path
-      const relativePath = path.relative(this.options.inputDir, filePath);
-      const outputPath = path.join(
-        this.options.outputDir, 
-        relativePath.replace(/\.md$/, '.html')
-      );
-      
-      // Ensure directory exists
-      await fs.mkdir(path.dirname(outputPath), { recursive: true });
-      
-      // Write file
-      await fs.writeFile(outputPath, finalHtml);
-      
-      console.log(`Generated: ${outputPath}`);
-      return { success: true, outputPath };
     } catch (error) {
-      console.error(`Error processing file ${filePath}:`, error);
-      return { success: false, error: error.message };
+      console.error(`Error processing file ${result.filePath}:`, error);
+      return false;
     }
+    
+    for (const output of outputs) {
+      console.log(`Generated: ${output.outputPath}`);
+    }
+    return true;
   }
   
   /**
    * Generate index page with accessible navigation
+   * @param {Array<Object>} pages - Page records from `collectPages`
    */
-  async generateIndex(files) {
+  async generateIndex(pages) {
+    const strings = getUiStrings(this.config);
+    
     // Create accessible index content with proper landmark roles
-    let indexContent = '# Documentation Index\n\n';
-    indexContent += '<nav aria-label="Documentation pages">\n\n';
+    let indexContent = `# ${strings.indexTitle}\n\n`;
+    indexContent += `<nav aria-label="${escapeHtml(strings.indexNavigation)}">\n\n`;
     
     // Group files by directory for better organization
     const filesByDirectory = {};
     
-    for (const file of files) {
-      const relativePath = path.relative(this.options.inputDir, file);
-      const dirname = path.dirname(relativePath);
+    for (const page of pages) {
+      const dirname = path.posix.dirname(page.relativePath);
       
       if (!filesByDirectory[dirname]) {
         filesByDirectory[dirname] = [];
       }
       
-      // Read file to get title from frontmatter
-      const content = await fs.readFile(file, 'utf8');
-      const { data: frontmatter } = matter(content);
-      const title = frontmatter.title || path.basename(file, '.md');
-      
       filesByDirectory[dirname].push({
-        path: relativePath.replace(/\.md$/, '.html'),
-        title
+        path: page.outputPath,
+        title: page.title
       });
     }
     
     // Generate structured navigation
+    const url = createUrlBuilder(this.config, 'index.html');
+    
     for (const [directory, dirFiles] of Object.entries(filesByDirectory)) {
       if (directory !== '.') {
         indexContent += `## ${directory}\n\n`;
@@ -266,7 +1198,7 @@ class AccessibleDocGenerator {
       indexContent += '<ul>\n';
       
       for (const file of dirFiles) {
-        indexContent += `  <li><a href="${file.path}">${file.title}</a></li>\n`;
+        indexContent += `  <li><a href="${url(file.path)}">${file.title}</a></li>\n`;
       }
       
       indexContent += '</ul>\n\n';
@@ -277,12 +1209,180 @@ class AccessibleDocGenerator {
     // Write index file
     const outputPath = path.join(this.options.outputDir, 'index.html');
     const html = this.md.render(indexContent);
-    const finalHtml = applyTemplate(html, { title: 'Documentation Index' }, this.config);
     
-    await fs.writeFile(outputPath, finalHtml);
+    await this.writeGeneratedPage(outputPath, html, { title: strings.indexTitle });
     console.log(`Generated index: ${outputPath}`);
   }
   
+  /**
+   * Generate sitemap.xml and an HTML sitemap page, giving users a second
+   * way to find pages besides the navigation (WCAG 2.4.5)
+   * @param {Array<Object>} pages - Page records from `collectPages`
+   * @param {BuildManifest} manifest - Build manifest
+   * @param {Function} resolveDependency - Dependency resolver
+   * @returns {Promise<Array<string>>} Generated output paths
+   */
+  async generateSitemap(pages, manifest, resolveDependency) {
+    const sitemapPages = getSitemapPages(pages);
+    const strings = getUiStrings(this.config);
+    
+    // Sitemap HTML page
+    const sitemapHtml = generateSitemapHtml(sitemapPages, createUrlBuilder(this.config, 'sitemap.html'), strings.siteMap);
+    const htmlHash = hashContent(sitemapHtml);
+    
+    if (await manifest.isStale('sitemap.html', htmlHash, resolveDependency)) {
+      const outputPath = path.join(this.options.outputDir, 'sitemap.html');
+      
+      await this.writeGeneratedPage(outputPath, sitemapHtml, { title: strings.siteMapTitle });
+      manifest.set('sitemap.html', {
+        source: null,
+        hash: htmlHash,
+        // The page's own sidebar and version switcher follow the navigation
+        dependencies: await this.hashDependencies(['@nav'], resolveDependency)
+      });
+      console.log(`Generated sitemap: ${outputPath}`);
+    }
+    
+    // sitemap.xml needs absolute URLs
+    if (!this.config.siteUrl) {
+      console.warn('Warning: siteUrl is not set, so sitemap.xml was not generated.');
+      return ['sitemap.html'];
+    }
+    
+    // A page written to index.html is already listed
+    const extraPaths = ['sitemap.html'];
+    if (this.config.generateIndex && !pages.some(page => page.outputPath === 'index.html')) {
+      extraPaths.unshift('index.html');
+    }
+    
+    const sitemapXml = generateSitemapXml(sitemapPages, {
+      siteUrl: this.config.siteUrl,
+      basePath: this.config.basePath,
+      extraPaths
+    });
+    const xmlHash = hashContent(sitemapXml);
+    
+    if (await manifest.isStale('sitemap.xml', xmlHash, resolveDependency)) {
+      const outputPath = path.join(this.options.outputDir, 'sitemap.xml');
+      
+      await fs.writeFile(outputPath, sitemapXml);
+      manifest.set('sitemap.xml', { source: null, hash: xmlHash, dependencies: {} });
+      console.log(`Generated sitemap: ${outputPath}`);
+    }
+    
+    return ['sitemap.html', 'sitemap.xml'];
+  }
+  
+  /**
+   * Generate the offline search index and the search results page
+   * @param {Array<Object>} pages - Page records from `collectPages`
+   * @param {BuildManifest} manifest - Build manifest, holding the search data of every built page
+   * @param {Function} resolveDependency - Dependency resolver
+   * @returns {Promise<Array<string>>} Generated output paths
+   */
+  async generateSearch(pages, manifest, resolveDependency) {
+    const entries = [];
+    
+    for (const page of getSearchPages(pages)) {
+      const entry = manifest.get(page.outputPath);
+      
+      // Pages that failed to build have nothing to index
+      if (!entry || !entry.search) continue;
+      
+      entries.push({ title: page.title, path: page.outputPath, ...entry.search });
+    }
+    
+    const indexScript = generateSearchIndex(entries);
+    const indexHash = hashContent(indexScript);
+    
+    if (await manifest.isStale(SEARCH_INDEX_FILE, indexHash, resolveDependency)) {
+      const outputPath = path.join(this.options.outputDir, SEARCH_INDEX_FILE);
+      
+      await fs.writeFile(outputPath, indexScript);
+      manifest.set(SEARCH_INDEX_FILE, { source: null, hash: indexHash, dependencies: {} });
+      console.log(`Generated search index: ${outputPath}`);
+    }
+    
+    // The results page only changes with the navigation
+    const searchDependencies = await this.hashDependencies(['@nav'], resolveDependency);
+    
+    if (await manifest.isStale('search.html', null, resolveDependency)) {
+      const outputPath = path.join(this.options.outputDir, 'search.html');
+      const strings = getUiStrings(this.config);
+      const html = generateSearchPage(createUrlBuilder(this.config, 'search.html'), strings);
+      
+      await this.writeGeneratedPage(outputPath, html, { title: strings.searchTitle });
+      manifest.set('search.html', { source: null, hash: null, dependencies: searchDependencies });
+      console.log(`Generated search page: ${outputPath}`);
+    }
+    
+    return [SEARCH_INDEX_FILE, 'search.html'];
+  }
+  
+  /**
+   * Generate the glossary page from the glossary file
+   * @param {BuildManifest} manifest - Build manifest
+   * @param {Function} resolveDependency - Dependency resolver
+   * @returns {Promise<Array<string>>} Generated output paths
+   */
+  async generateGlossary(manifest, resolveDependency) {
+    const outputPath = path.join(this.options.outputDir, GLOSSARY_PAGE);
+    const dependencies = await this.hashDependencies(['@nav', '@glossary'], resolveDependency);
+    
+    if (await manifest.isStale(GLOSSARY_PAGE, null, resolveDependency)) {
+      const strings = getUiStrings(this.config);
+      const html = renderGlossaryPage(this.glossary, this.md, this.config.locale);
+      
+      await this.writeGeneratedPage(outputPath, html, { title: strings.glossaryTitle });
+      manifest.set(GLOSSARY_PAGE, { source: null, hash: null, dependencies });
+      console.log(`Generated glossary: ${outputPath}`);
+    }
+    
+    return [GLOSSARY_PAGE];
+  }
+  
+  /**
+   * Get the headings for a page's table of contents, or null if it has too
+   * few for one, as set by `tocMinHeadings`
+   * @param {HTMLElement} root - Parsed page content (node-html-parser)
+   * @returns {Array<Object>|null} Headings from `getTocHeadings`
+   */
+  getTableOfContents(root) {
+    const headings = getTocHeadings(root);
+    return headings.length >= Math.max(1, this.config.tocMinHeadings || 0) ? headings : null;
+  }
+  
+  /**
+   * Apply the template and plugin hooks to a generated (non-markdown) page
+   * and write it
+   * @param {string} outputPath - Output file path
+   * @param {string} html - Page content
+   * @param {Object} frontmatter - Page metadata, at least a title
+   */
+  async writeGeneratedPage(outputPath, html, frontmatter) {
+    const page = await runHook(this.plugins, 'afterTemplate', {
+      filePath: null,
+      html: applyTemplate(html, frontmatter, this.config, {
+        outputPath: path.relative(this.options.outputDir, outputPath).split(path.sep).join('/'),
+        navigation: this.navTree,
+        toc: this.getTableOfContents(HTMLParser.parse(html)),
+        hasGlossary: Boolean(this.glossary)
+      }),
+      frontmatter,
+      config: this.config
+    });
+    const { html: minifiedHtml, minified } = await this.minifyPage(page.html);
+    const { html: finalHtml } = await runHook(this.plugins, 'beforeWrite', {
+      filePath: null,
+      outputPath,
+      html: minifiedHtml,
+      config: this.config
+    });
+    
+    await fs.writeFile(outputPath, finalHtml);
+    this.recordMinified(minified);
+  }
+  
   /**
    * Copy assets (CSS, JS, images) to output directory
    */
@@ -303,13 +1403,24 @@ class AccessibleDocGenerator {
         const stat = await fs.stat(srcPath);
         
         if (stat.isFile()) {
-          await fs.copyFile(srcPath, destPath);
+          await this.copyAsset(srcPath, destPath);
         } else if (stat.isDirectory()) {
           // Recursively copy directories
           await this.copyDirectory(srcPath, destPath);
         }
       }
       
+      // Copy the math stylesheet and its font
+      if (this.config.math) {
+        const mathDir = path.join(outputAssetsDir, 'css', 'math');
+        const temmlDir = path.dirname(require.resolve('temml'));
+        await fs.mkdir(mathDir, { recursive: true });
+        
+        for (const file of MATH_ASSETS) {
+          await this.copyAsset(path.join(temmlDir, file), path.join(mathDir, file));
+        }
+      }
+      
       // Copy custom assets if specified
       if (this.config.customAssets) {
         const customAssetsDir = path.resolve(this.config.customAssets);
@@ -337,10 +1448,56 @@ class AccessibleDocGenerator {
       if (entry.isDirectory()) {
         await this.copyDirectory(srcPath, destPath);
       } else {
-        await fs.copyFile(srcPath, destPath);
+        await this.copyAsset(srcPath, destPath);
       }
     }
   }
+  
+  /**
+   * Copy a single asset, minifying stylesheets and scripts when the
+   * `minify` option is enabled
+   * @param {string} srcPath - Source file
+   * @param {string} destPath - Destination file
+   */
+  async copyAsset(srcPath, destPath) {
+    if (this.config.minify) {
+      const content = await fs.readFile(srcPath, 'utf8');
+      
+      try {
+        const minified = await minifyAsset(srcPath, content);
+        
+        if (minified !== null) {
+          await fs.writeFile(destPath, minified);
+          this.recordMinified({ before: Buffer.byteLength(content), after: Buffer.byteLength(minified) });
+          return;
+        }
+      } catch (error) {
+        console.warn(`Warning: Could not minify ${srcPath}, copying it unchanged: ${error.message}`);
+      }
+    }
+    
+    await fs.copyFile(srcPath, destPath);
+  }
+}
+
+/**
+ * Record a renderer warning on the markdown-it environment, falling back to
+ * the console when rendering outside `renderPage`
+ * @param {Object} env - markdown-it environment
+ * @param {string} message - Warning message
+ * @param {Array<number>|null} map - Line map of the token warned about, so
+ * warnings from included files name the file and line
+ */
+function addWarning(env, message, map) {
+  if (env && map) {
+    message = withSourceLocation(message, env, map[0]);
+  }
+  
+  if (env && env.warnings) {
+    env.warnings.push(message);
+  } else {
+    console.warn(`Warning: ${message}`);
+  }
 }
 
 module.exports = AccessibleDocGenerator;
@@ -0,0 +1,67 @@
+/**
+ * Languages written right to left, by their primary language subtag
+ */
+const RTL_LANGUAGES = new Set([
+  'ar', 'arc', 'ckb', 'dv', 'fa', 'he', 'ks', 'ku', 'ps', 'sd', 'syr', 'ug', 'ur', 'yi'
+]);
+
+/**
+ * Strongly right-to-left characters (Hebrew, Arabic, Syriac, Thaana, N'Ko
+ * and the Arabic presentation forms)
+ */
+const RTL_CHARACTERS = /[\u0590-\u07FF\u0860-\u08FF\uFB1D-\uFDFF\uFE70-\uFEFC]/;
+
+/**
+ * Strongly left-to-right characters (Latin, Greek and Cyrillic letters)
+ */
+const LTR_CHARACTERS = /[A-Za-z\u00C0-\u024F\u0370-\u03FF\u0400-\u04FF]/;
+
+/**
+ * Elements whose content is always written left to right, whatever the
+ * language of the page
+ */
+const LTR_ELEMENTS = 'pre, code, kbd, samp, var, math';
+
+/**
+ * Get the writing direction of a language
+ * @param {string} language - Language tag, e.g. "ar" or "he-IL"
+ * @returns {string} "rtl" or "ltr"
+ */
+function getTextDirection(language) {
+  const [primary, ...subtags] = (language || '').toLowerCase().split('-');
+  
+  // A script subtag overrides the usual script of the language, e.g. "az-Arab"
+  if (subtags.includes('arab') || subtags.includes('hebr')) return 'rtl';
+  if (subtags.includes('latn') || subtags.includes('cyrl')) return 'ltr';
+  
+  return RTL_LANGUAGES.has(primary) ? 'rtl' : 'ltr';
+}
+
+/**
+ * Isolate the left-to-right runs of a right-to-left page, so code and URLs
+ * keep their order and don't reorder the text around them
+ * @param {HTMLElement} root - Parsed page content
+ */
+function isolateLtrRuns(root) {
+  for (const element of root.querySelectorAll(LTR_ELEMENTS)) {
+    if (!element.hasAttribute('dir')) {
+      element.setAttribute('dir', 'ltr');
+    }
+  }
+  
+  // Links showing their own URL, e.g. <https://example.com>
+  for (const link of root.querySelectorAll('a[href]')) {
+    const text = link.textContent.trim();
+    
+    if (!link.hasAttribute('dir') && /^([a-z][a-z0-9+.-]*:|www\.)\S+$/i.test(text)) {
+      link.setAttribute('dir', 'ltr');
+    }
+  }
+}
+
+module.exports = {
+  RTL_CHARACTERS,
+  LTR_CHARACTERS,
+  getTextDirection,
+  isolateLtrRuns
+};
@@ -0,0 +1,69 @@
+/**
+ * Read the `locales` option into a list of locales, in the order given
+ * @param {Object} config - Configuration object
+ * @returns {Array<Object>} Locales as `{ code, inputDir, label }`
+ */
+function getLocales(config) {
+  return Object.entries(config.locales).map(([code, source]) => {
+    // Codes become directory names, URL segments and lang attributes
+    if (!/^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/.test(code)) {
+      throw new Error(`Invalid locale "${code}": use a language tag such as "en" or "pt-BR"`);
+    }
+    
+    const inputDir = typeof source === 'string' ? source : source && source.inputDir;
+    
+    if (!inputDir) {
+      throw new Error(`Locale "${code}" needs an input directory`);
+    }
+    
+    return { code, inputDir, label: (source && source.label) || getLanguageName(code) };
+  });
+}
+
+/**
+ * Get the code of the default locale
+ * @param {Object} config - Configuration object
+ * @param {Array<Object>} locales - Locales from `getLocales`
+ * @returns {string} Code of `defaultLocale`, or of the first locale
+ */
+function getDefaultLocale(config, locales) {
+  if (config.defaultLocale) {
+    if (!locales.some(locale => locale.code === config.defaultLocale)) {
+      throw new Error(`defaultLocale "${config.defaultLocale}" is not one of the locales`);
+    }
+    return config.defaultLocale;
+  }
+  
+  return locales[0].code;
+}
+
+/**
+ * Get the name of a language in that language, e.g. "Español" for "es"
+ * @param {string} code - Locale code
+ * @returns {string} Language name, or the code if unknown
+ */
+function getLanguageName(code) {
+  try {
+    const name = new Intl.DisplayNames([code], { type: 'language' }).of(code);
+    return name ? name.charAt(0).toLocaleUpperCase(code) + name.slice(1) : code;
+  } catch (error) {
+    return code;
+  }
+}
+
+/**
+ * List the pages of the default locale that a locale has no translation of
+ * @param {Array<string>} defaultPages - Output paths of the default locale's pages
+ * @param {Array<string>} pages - Output paths of the locale's pages
+ * @returns {Array<string>} Untranslated output paths
+ */
+function getMissingTranslations(defaultPages, pages) {
+  const translated = new Set(pages);
+  return defaultPages.filter(page => !translated.has(page));
+}
+
+module.exports = {
+  getLocales,
+  getDefaultLocale,
+  getMissingTranslations
+};
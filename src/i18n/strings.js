@@ -0,0 +1,471 @@
+/**
+ * Translations of the interface text AccessDocs adds around the content.
+ * Placeholders such as `{version}` are filled in by `formatString`.
+ */
+const UI_STRINGS = {
+  en: {
+    // Template
+    defaultTitle: 'Documentation',
+    skipToContent: 'Skip to main content',
+    mainNavigation: 'Main Navigation',
+    home: 'Home',
+    documentation: 'Documentation',
+    highContrast: 'High Contrast',
+    decreaseFontSize: 'Decrease font size',
+    resetFontSize: 'Reset font size',
+    increaseFontSize: 'Increase font size',
+    selectTheme: 'Select theme',
+    themeLight: 'Light',
+    themeDark: 'Dark',
+    themeSepia: 'Sepia',
+    selectLanguage: 'Select language',
+    selectVersion: 'Select documentation version',
+    go: 'Go',
+    latest: 'latest',
+    sidebar: 'Sidebar',
+    siteNavigation: 'Site navigation',
+    tableOfContents: 'Table of Contents',
+    pagination: 'Pagination',
+    previous: 'Previous',
+    next: 'Next',
+    siteMap: 'Site map',
+    glossaryTitle: 'Glossary',
+    createdWith: 'Created with AccessDocs - Accessible Documentation Generator',
+    draft: 'Draft',
+    draftMessage: 'This page is a draft and is not published.',
+    scheduledMessage: 'This page is scheduled to be published on {date}.',
+    oldVersion: 'Old version',
+    oldVersionMessage: 'You are viewing the documentation for version {version}.',
+    viewInLatest: 'View this page in the latest version ({version})',
+    notInLatest: 'This page is not part of the latest version.',
+    goToLatest: 'Go to the latest version ({version})',
+    
+    // Content
+    admonitionNote: 'Note',
+    admonitionTip: 'Tip',
+    admonitionImportant: 'Important',
+    admonitionWarning: 'Warning',
+    admonitionCaution: 'Caution',
+    admonitionDanger: 'Danger',
+    diagramFlowchart: 'Flowchart',
+    diagramSequence: 'Sequence diagram',
+    diagramText: 'Diagram as text',
+    diagramEdge: 'to {target}',
+    diagramEdgeLabelled: 'to {target} ({label})',
+    diagramConnection: 'connected to {target}',
+    diagramConnectionLabelled: 'connected to {target} ({label})',
+    diagramParticipants: 'Participants: {participants}',
+    diagramMessage: '{from} to {to}: {message}',
+    diagramNote: 'Note about {participants}: {text}',
+    diagramBlock: '{keyword}: {label}',
+    diagramLoop: 'Loop',
+    diagramAlt: 'If',
+    diagramElse: 'Otherwise',
+    diagramOpt: 'Optional',
+    diagramPar: 'In parallel',
+    diagramAnd: 'And',
+    diagramCritical: 'Critical',
+    diagramOption: 'Option',
+    diagramBreak: 'Break',
+    footnotesTitle: 'Footnotes',
+    footnoteReference: 'Footnote {number}',
+    footnoteBack: 'Back to content',
+    simplifiedNotice: 'This is a simplified version of this page.',
+    viewFullPage: 'Read the full page',
+    fullView: 'Full View',
+    
+    // Generated pages
+    indexTitle: 'Documentation Index',
+    indexNavigation: 'Documentation pages',
+    siteMapTitle: 'Site Map',
+    searchTitle: 'Search',
+    searchLabel: 'Search documentation',
+    searchButton: 'Search',
+    searchSuggestions: 'Search suggestions',
+    searchTerms: 'Search terms',
+    searchPrompt: 'Enter search terms to find pages in this documentation.',
+    
+    // Client scripts
+    highContrastEnabled: 'High contrast mode enabled',
+    highContrastDisabled: 'High contrast mode disabled',
+    fontSizeChanged: 'Font size changed to {size} percent',
+    themeChanged: 'Theme changed to {theme}',
+    loadingVersion: 'Loading version {version}',
+    loadingLanguage: 'Loading {language}',
+    loadingPage: 'Loading {title}',
+    copy: 'Copy',
+    copyCode: 'Copy code to clipboard',
+    copied: 'Copied!',
+    copyFailed: 'Error',
+    codeCopied: 'Code copied to clipboard',
+    simplifiedView: 'Simplified View',
+    simplifiedViewEnabled: 'Simplified view enabled',
+    simplifiedViewDisabled: 'Simplified view disabled',
+    keyboardShortcuts: 'Keyboard Shortcuts',
+    shortcut: 'Shortcut',
+    action: 'Action',
+    toggleHighContrast: 'Toggle high contrast mode',
+    toggleSimplifiedView: 'Toggle simplified view',
+    runAccessibilityCheck: 'Run accessibility check',
+    toggleHelp: 'Show/hide this help',
+    closeDialog: 'Close this dialog',
+    close: 'Close',
+    nextPage: 'Go to the next page',
+    previousPage: 'Go to the previous page',
+    checkAccessibility: 'Check Accessibility',
+    checkAccessibilityLabel: 'Run accessibility test on this page',
+    documentOutline: 'Document Outline',
+    checking: 'Checking...',
+    accessibilityResults: 'Accessibility Check Results',
+    noIssuesFound: 'No accessibility issues found!',
+    issueCountOne: '1 accessibility issue',
+    issueCountMany: '{count} accessibility issues',
+    issuesFound: 'Found {issues}:',
+    checkComplete: 'Accessibility check complete. Found {issues}.',
+    searchResultOne: '1 result',
+    searchResultMany: '{count} results',
+    searchResultsAvailable: '{results} available',
+    searchResultsTruncated: '{results}, showing the first {max}. Press Enter to see all results.',
+    searchResultsFor: '{results} for “{query}”',
+    searchIndexError: 'The search index could not be loaded'
+  },
+  
+  es: {
+    defaultTitle: 'Documentación',
+    skipToContent: 'Saltar al contenido principal',
+    mainNavigation: 'Navegación principal',
+    home: 'Inicio',
+    documentation: 'Documentación',
+    highContrast: 'Alto contraste',
+    decreaseFontSize: 'Reducir el tamaño de letra',
+    resetFontSize: 'Restablecer el tamaño de letra',
+    increaseFontSize: 'Aumentar el tamaño de letra',
+    selectTheme: 'Seleccionar tema',
+    themeLight: 'Claro',
+    themeDark: 'Oscuro',
+    themeSepia: 'Sepia',
+    selectLanguage: 'Seleccionar idioma',
+    selectVersion: 'Seleccionar versión de la documentación',
+    go: 'Ir',
+    latest: 'más reciente',
+    sidebar: 'Barra lateral',
+    siteNavigation: 'Navegación del sitio',
+    tableOfContents: 'Índice',
+    pagination: 'Paginación',
+    previous: 'Anterior',
+    next: 'Siguiente',
+    siteMap: 'Mapa del sitio',
+    glossaryTitle: 'Glosario',
+    createdWith: 'Creado con AccessDocs - Generador de documentación accesible',
+    draft: 'Borrador',
+    draftMessage: 'Esta página es un borrador y no está publicada.',
+    scheduledMessage: 'Esta página se publicará el {date}.',
+    oldVersion: 'Versión anterior',
+    oldVersionMessage: 'Está viendo la documentación de la versión {version}.',
+    viewInLatest: 'Ver esta página en la versión más reciente ({version})',
+    notInLatest: 'Esta página no forma parte de la versión más reciente.',
+    goToLatest: 'Ir a la versión más reciente ({version})',
+    
+    admonitionNote: 'Nota',
+    admonitionTip: 'Consejo',
+    admonitionImportant: 'Importante',
+    admonitionWarning: 'Advertencia',
+    admonitionCaution: 'Precaución',
+    admonitionDanger: 'Peligro',
+    diagramFlowchart: 'Diagrama de flujo',
+    diagramSequence: 'Diagrama de secuencia',
+    diagramText: 'Diagrama como texto',
+    diagramEdge: 'a {target}',
+    diagramEdgeLabelled: 'a {target} ({label})',
+    diagramConnection: 'conectado con {target}',
+    diagramConnectionLabelled: 'conectado con {target} ({label})',
+    diagramParticipants: 'Participantes: {participants}',
+    diagramMessage: '{from} a {to}: {message}',
+    diagramNote: 'Nota sobre {participants}: {text}',
+    diagramBlock: '{keyword}: {label}',
+    diagramLoop: 'Bucle',
+    diagramAlt: 'Si',
+    diagramElse: 'Si no',
+    diagramOpt: 'Opcional',
+    diagramPar: 'En paralelo',
+    diagramAnd: 'Y',
+    diagramCritical: 'Crítico',
+    diagramOption: 'Opción',
+    diagramBreak: 'Interrupción',
+    footnotesTitle: 'Notas al pie',
+    footnoteReference: 'Nota al pie {number}',
+    footnoteBack: 'Volver al contenido',
+    simplifiedNotice: 'Esta es una versión simplificada de esta página.',
+    viewFullPage: 'Leer la página completa',
+    fullView: 'Vista completa',
+    
+    indexTitle: 'Índice de la documentación',
+    indexNavigation: 'Páginas de la documentación',
+    siteMapTitle: 'Mapa del sitio',
+    searchTitle: 'Búsqueda',
+    searchLabel: 'Buscar en la documentación',
+    searchButton: 'Buscar',
+    searchSuggestions: 'Sugerencias de búsqueda',
+    searchTerms: 'Términos de búsqueda',
+    searchPrompt: 'Introduzca términos de búsqueda para encontrar páginas de esta documentación.',
+    
+    highContrastEnabled: 'Modo de alto contraste activado',
+    highContrastDisabled: 'Modo de alto contraste desactivado',
+    fontSizeChanged: 'Tamaño de letra cambiado al {size} por ciento',
+    themeChanged: 'Tema cambiado a {theme}',
+    loadingVersion: 'Cargando la versión {version}',
+    loadingLanguage: 'Cargando {language}',
+    loadingPage: 'Cargando {title}',
+    copy: 'Copiar',
+    copyCode: 'Copiar el código al portapapeles',
+    copied: '¡Copiado!',
+    copyFailed: 'Error',
+    codeCopied: 'Código copiado al portapapeles',
+    simplifiedView: 'Vista simplificada',
+    simplifiedViewEnabled: 'Vista simplificada activada',
+    simplifiedViewDisabled: 'Vista simplificada desactivada',
+    keyboardShortcuts: 'Atajos de teclado',
+    shortcut: 'Atajo',
+    action: 'Acción',
+    toggleHighContrast: 'Activar o desactivar el alto contraste',
+    toggleSimplifiedView: 'Activar o desactivar la vista simplificada',
+    runAccessibilityCheck: 'Comprobar la accesibilidad',
+    toggleHelp: 'Mostrar u ocultar esta ayuda',
+    closeDialog: 'Cerrar este cuadro de diálogo',
+    close: 'Cerrar',
+    nextPage: 'Ir a la página siguiente',
+    previousPage: 'Ir a la página anterior',
+    checkAccessibility: 'Comprobar accesibilidad',
+    checkAccessibilityLabel: 'Comprobar la accesibilidad de esta página',
+    documentOutline: 'Esquema del documento',
+    checking: 'Comprobando...',
+    accessibilityResults: 'Resultados de la comprobación de accesibilidad',
+    noIssuesFound: '¡No se encontraron problemas de accesibilidad!',
+    issueCountOne: '1 problema de accesibilidad',
+    issueCountMany: '{count} problemas de accesibilidad',
+    issuesFound: 'Se encontraron {issues}:',
+    checkComplete: 'Comprobación de accesibilidad terminada. Se encontraron {issues}.',
+    searchResultOne: '1 resultado',
+    searchResultMany: '{count} resultados',
+    searchResultsAvailable: '{results} disponibles',
+    searchResultsTruncated: '{results}, se muestran los primeros {max}. Pulse Intro para ver todos los resultados.',
+    searchResultsFor: '{results} para «{query}»',
+    searchIndexError: 'No se pudo cargar el índice de búsqueda'
+  },
+  
+  fr: {
+    defaultTitle: 'Documentation',
+    skipToContent: 'Aller au contenu principal',
+    mainNavigation: 'Navigation principale',
+    home: 'Accueil',
+    documentation: 'Documentation',
+    highContrast: 'Contraste élevé',
+    decreaseFontSize: 'Réduire la taille du texte',
+    resetFontSize: 'Rétablir la taille du texte',
+    increaseFontSize: 'Augmenter la taille du texte',
+    selectTheme: 'Choisir le thème',
+    themeLight: 'Clair',
+    themeDark: 'Sombre',
+    themeSepia: 'Sépia',
+    selectLanguage: 'Choisir la langue',
+    selectVersion: 'Choisir la version de la documentation',
+    go: 'Aller',
+    latest: 'la plus récente',
+    sidebar: 'Barre latérale',
+    siteNavigation: 'Navigation du site',
+    tableOfContents: 'Table des matières',
+    pagination: 'Pagination',
+    previous: 'Précédent',
+    next: 'Suivant',
+    siteMap: 'Plan du site',
+    glossaryTitle: 'Glossaire',
+    createdWith: 'Créé avec AccessDocs - Générateur de documentation accessible',
+    draft: 'Brouillon',
+    draftMessage: 'Cette page est un brouillon et n’est pas publiée.',
+    scheduledMessage: 'Cette page sera publiée le {date}.',
+    oldVersion: 'Ancienne version',
+    oldVersionMessage: 'Vous consultez la documentation de la version {version}.',
+    viewInLatest: 'Voir cette page dans la version la plus récente ({version})',
+    notInLatest: 'Cette page ne fait pas partie de la version la plus récente.',
+    goToLatest: 'Aller à la version la plus récente ({version})',
+    
+    admonitionNote: 'Remarque',
+    admonitionTip: 'Astuce',
+    admonitionImportant: 'Important',
+    admonitionWarning: 'Avertissement',
+    admonitionCaution: 'Attention',
+    admonitionDanger: 'Danger',
+    diagramFlowchart: 'Organigramme',
+    diagramSequence: 'Diagramme de séquence',
+    diagramText: 'Diagramme sous forme de texte',
+    diagramEdge: 'vers {target}',
+    diagramEdgeLabelled: 'vers {target} ({label})',
+    diagramConnection: 'relié à {target}',
+    diagramConnectionLabelled: 'relié à {target} ({label})',
+    diagramParticipants: 'Participants : {participants}',
+    diagramMessage: '{from} à {to} : {message}',
+    diagramNote: 'Note sur {participants} : {text}',
+    diagramBlock: '{keyword} : {label}',
+    diagramLoop: 'Boucle',
+    diagramAlt: 'Si',
+    diagramElse: 'Sinon',
+    diagramOpt: 'Facultatif',
+    diagramPar: 'En parallèle',
+    diagramAnd: 'Et',
+    diagramCritical: 'Critique',
+    diagramOption: 'Option',
+    diagramBreak: 'Interruption',
+    footnotesTitle: 'Notes de bas de page',
+    footnoteReference: 'Note de bas de page {number}',
+    footnoteBack: 'Retour au contenu',
+    simplifiedNotice: 'Ceci est une version simplifiée de cette page.',
+    viewFullPage: 'Lire la page complète',
+    fullView: 'Vue complète',
+    
+    indexTitle: 'Index de la documentation',
+    indexNavigation: 'Pages de la documentation',
+    siteMapTitle: 'Plan du site',
+    searchTitle: 'Recherche',
+    searchLabel: 'Rechercher dans la documentation',
+    searchButton: 'Rechercher',
+    searchSuggestions: 'Suggestions de recherche',
+    searchTerms: 'Termes de recherche',
+    searchPrompt: 'Saisissez des termes de recherche pour trouver des pages de cette documentation.',
+    
+    highContrastEnabled: 'Mode contraste élevé activé',
+    highContrastDisabled: 'Mode contraste élevé désactivé',
+    fontSizeChanged: 'Taille du texte réglée à {size} pour cent',
+    themeChanged: 'Thème changé : {theme}',
+    loadingVersion: 'Chargement de la version {version}',
+    loadingLanguage: 'Chargement : {language}',
+    loadingPage: 'Chargement : {title}',
+    copy: 'Copier',
+    copyCode: 'Copier le code dans le presse-papiers',
+    copied: 'Copié !',
+    copyFailed: 'Erreur',
+    codeCopied: 'Code copié dans le presse-papiers',
+    simplifiedView: 'Vue simplifiée',
+    simplifiedViewEnabled: 'Vue simplifiée activée',
+    simplifiedViewDisabled: 'Vue simplifiée désactivée',
+    keyboardShortcuts: 'Raccourcis clavier',
+    shortcut: 'Raccourci',
+    action: 'Action',
+    toggleHighContrast: 'Activer ou désactiver le contraste élevé',
+    toggleSimplifiedView: 'Activer ou désactiver la vue simplifiée',
+    runAccessibilityCheck: 'Vérifier l’accessibilité',
+    toggleHelp: 'Afficher ou masquer cette aide',
+    closeDialog: 'Fermer cette boîte de dialogue',
+    close: 'Fermer',
+    nextPage: 'Aller à la page suivante',
+    previousPage: 'Aller à la page précédente',
+    checkAccessibility: 'Vérifier l’accessibilité',
+    checkAccessibilityLabel: 'Vérifier l’accessibilité de cette page',
+    documentOutline: 'Plan du document',
+    checking: 'Vérification…',
+    accessibilityResults: 'Résultats de la vérification d’accessibilité',
+    noIssuesFound: 'Aucun problème d’accessibilité trouvé !',
+    issueCountOne: '1 problème d’accessibilité',
+    issueCountMany: '{count} problèmes d’accessibilité',
+    issuesFound: '{issues} trouvé(s) :',
+    checkComplete: 'Vérification d’accessibilité terminée. {issues} trouvé(s).',
+    searchResultOne: '1 résultat',
+    searchResultMany: '{count} résultats',
+    searchResultsAvailable: '{results} disponibles',
+    searchResultsTruncated: '{results}, affichage des {max} premiers. Appuyez sur Entrée pour voir tous les résultats.',
+    searchResultsFor: '{results} pour « {query} »',
+    searchIndexError: 'L’index de recherche n’a pas pu être chargé'
+  }
+};
+
+/**
+ * Strings the client scripts need, passed to the page as `window.ACCESSDOCS_STRINGS`
+ */
+const CLIENT_STRING_KEYS = [
+  'highContrastEnabled', 'highContrastDisabled', 'fontSizeChanged',
+  'themeChanged', 'loadingVersion', 'loadingLanguage', 'loadingPage', 'copy', 'copyCode',
+  'copied', 'copyFailed', 'codeCopied', 'simplifiedView', 'simplifiedViewEnabled',
+  'simplifiedViewDisabled', 'keyboardShortcuts', 'shortcut', 'action', 'toggleHighContrast',
+  'toggleSimplifiedView', 'increaseFontSize', 'decreaseFontSize', 'resetFontSize',
+  'runAccessibilityCheck', 'toggleHelp', 'closeDialog', 'close', 'nextPage', 'previousPage',
+  'checkAccessibility', 'checkAccessibilityLabel', 'checking', 'accessibilityResults',
+  'noIssuesFound', 'issueCountOne', 'issueCountMany', 'issuesFound', 'checkComplete',
+  'documentOutline', 'searchResultOne',
+  'searchResultMany', 'searchResultsAvailable', 'searchResultsTruncated', 'searchResultsFor',
+  'searchIndexError'
+];
+
+/**
+ * Get the interface strings for the configured locale. Strings from the
+ * `uiStrings` option override the built-in translations, and anything
+ * still missing falls back to English.
+ * @param {Object} config - Configuration object
+ * @returns {Object} Strings by key
+ */
+function getUiStrings(config) {
+  const locale = config.locale || 'en';
+  
+  return {
+    ...UI_STRINGS.en,
+    ...findTranslation(UI_STRINGS, locale),
+    ...findTranslation(config.uiStrings || {}, locale)
+  };
+}
+
+/**
+ * List the interface strings that have no translation for a locale
+ * @param {Object} config - Configuration object
+ * @returns {Array<string>} Keys of the missing strings
+ */
+function getMissingUiStrings(config) {
+  const locale = config.locale || 'en';
+  const translated = {
+    ...findTranslation(UI_STRINGS, locale),
+    ...findTranslation(config.uiStrings || {}, locale)
+  };
+  
+  if (locale.split('-')[0] === 'en') {
+    return [];
+  }
+  
+  return Object.keys(UI_STRINGS.en).filter(key => !(key in translated));
+}
+
+/**
+ * Find the translations for a locale, falling back from a regional locale
+ * such as "es-MX" to its language
+ * @param {Object} translations - Strings by locale
+ * @param {string} locale - Locale code
+ * @returns {Object} Strings by key, empty if there are none
+ */
+function findTranslation(translations, locale) {
+  return {
+    ...translations[locale.split('-')[0]],
+    ...translations[locale]
+  };
+}
+
+/**
+ * Fill the placeholders of a string
+ * @param {string} template - String with placeholders such as `{version}`
+ * @param {Object} values - Placeholder values
+ * @returns {string} Formatted string
+ */
+function formatString(template, values = {}) {
+  return template.replace(/\{(\w+)\}/g, (match, name) => (name in values ? values[name] : match));
+}
+
+/**
+ * Pick the strings the client scripts need
+ * @param {Object} strings - Strings from `getUiStrings`
+ * @returns {Object} Client strings by key
+ */
+function getClientStrings(strings) {
+  return Object.fromEntries(CLIENT_STRING_KEYS.map(key => [key, strings[key]]));
+}
+
+module.exports = {
+  getUiStrings,
+  getMissingUiStrings,
+  getClientStrings,
+  formatString
+};
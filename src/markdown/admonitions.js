@@ -0,0 +1,163 @@
+const { withSourceLocation } = require('./links');
+
+/**
+ * Admonition types and the interface string naming each one
+ */
+const ADMONITION_TYPES = {
+  note: 'admonitionNote',
+  tip: 'admonitionTip',
+  important: 'admonitionImportant',
+  warning: 'admonitionWarning',
+  caution: 'admonitionCaution',
+  danger: 'admonitionDanger'
+};
+
+const MARKER = 0x3A; // ":"
+const MIN_MARKERS = 3;
+
+/**
+ * markdown-it plugin for admonitions (callouts) such as notes and warnings:
+ *
+ *     ::: warning Back up your data first
+ *     Upgrading deletes the cache.
+ *     :::
+ *
+ * Each admonition is an `<aside role="note">` named by its visible label,
+ * e.g. "Warning: Back up your data first", so the type never depends on
+ * colour or an icon alone. None of them use `role="alert"`: the content is
+ * part of the page, not a change to announce. Use more colons on the outer
+ * fence to nest admonitions.
+ * @param {MarkdownIt} md - markdown-it instance
+ * @param {Object} options - Plugin options
+ * @param {Object} options.strings - Interface strings from `getUiStrings`
+ */
+function admonitionsPlugin(md, { strings }) {
+  md.block.ruler.before('fence', 'admonition', (state, startLine, endLine, silent) => {
+    const start = state.bMarks[startLine] + state.tShift[startLine];
+    const max = state.eMarks[startLine];
+    
+    // Indented code
+    if (state.sCount[startLine] - state.blkIndent >= 4) return false;
+    
+    const markerCount = countMarkers(state, start, max);
+    if (markerCount < MIN_MARKERS) return false;
+    
+    const match = state.src.slice(start + markerCount, max).trim().match(/^([a-z]+)(?:\s+(.*))?$/i);
+    if (!match) return false;
+    
+    if (silent) return true;
+    
+    const { nextLine, closed } = findContainerEnd(state, startLine, endLine, markerCount);
+    
+    let type = match[1].toLowerCase();
+    
+    if (!ADMONITION_TYPES[type]) {
+      if (state.env.warnings) {
+        state.env.warnings.push(withSourceLocation(`Unknown admonition type "${match[1]}", shown as a note`, state.env, startLine));
+      }
+      type = 'note';
+    }
+    
+    const oldParent = state.parentType;
+    const oldLineMax = state.lineMax;
+    state.parentType = 'admonition';
+    state.lineMax = nextLine;
+    
+    const openToken = state.push('admonition_open', 'aside', 1);
+    openToken.markup = ':'.repeat(markerCount);
+    openToken.block = true;
+    openToken.info = match[0];
+    openToken.meta = { type, title: match[2] || '' };
+    openToken.map = [startLine, nextLine];
+    
+    state.md.block.tokenize(state, startLine + 1, nextLine);
+    
+    const closeToken = state.push('admonition_close', 'aside', -1);
+    closeToken.markup = openToken.markup;
+    closeToken.block = true;
+    
+    state.parentType = oldParent;
+    state.lineMax = oldLineMax;
+    state.line = nextLine + (closed ? 1 : 0);
+    
+    return true;
+  }, { alt: ['paragraph', 'reference', 'blockquote', 'list'] });
+  
+  md.renderer.rules.admonition_open = (tokens, idx, options, env, self) => {
+    const token = tokens[idx];
+    const { type, title } = token.meta;
+    
+    // IDs are numbered per page
+    env.admonitionCount = (env.admonitionCount || 0) + 1;
+    const titleId = `admonition-title-${env.admonitionCount}`;
+    const label = md.utils.escapeHtml(strings[ADMONITION_TYPES[type]]);
+    
+    token.attrJoin('class', `admonition ${type}`);
+    token.attrSet('role', 'note');
+    token.attrSet('aria-labelledby', titleId);
+    
+    const heading = title
+      ? `<strong>${label}:</strong> ${md.renderInline(title, env)}`
+      : `<strong>${label}</strong>`;
+    
+    return `<aside${self.renderAttrs(token)}>\n<p class="admonition-title" id="${titleId}">${heading}</p>\n`;
+  };
+  
+  md.renderer.rules.admonition_close = () => '</aside>\n';
+}
+
+/**
+ * Count the fence colons at the start of a line
+ * @param {StateBlock} state - markdown-it block state
+ * @param {number} start - Position of the first non-space character
+ * @param {number} max - End of the line
+ * @returns {number} Number of colons
+ */
+function countMarkers(state, start, max) {
+  let pos = start;
+  
+  while (pos < max && state.src.charCodeAt(pos) === MARKER) {
+    pos++;
+  }
+  
+  return pos - start;
+}
+
+/**
+ * Find the end of a container opened with colons, e.g. `:::` or `::::`
+ * @param {StateBlock} state - markdown-it block state
+ * @param {number} startLine - Line of the opening fence
+ * @param {number} endLine - Last line to search
+ * @param {number} markerCount - Colons on the opening fence
+ * @returns {Object} `{ nextLine, closed }`: the line of the closing fence, or
+ * where the container ends without one, and whether it was closed
+ */
+function findContainerEnd(state, startLine, endLine, markerCount) {
+  let nextLine = startLine;
+  
+  while (++nextLine < endLine) {
+    const lineStart = state.bMarks[nextLine] + state.tShift[nextLine];
+    const lineMax = state.eMarks[nextLine];
+    
+    // Less indented non-blank lines end the container, e.g. in lists
+    if (lineStart < lineMax && state.sCount[nextLine] < state.blkIndent) break;
+    if (state.sCount[nextLine] - state.blkIndent >= 4) continue;
+    
+    // The closing fence has at least as many colons and nothing else
+    const closingCount = countMarkers(state, lineStart, lineMax);
+    
+    if (closingCount >= markerCount && state.skipSpaces(lineStart + closingCount) >= lineMax) {
+      return { nextLine, closed: true };
+    }
+  }
+  
+  return { nextLine, closed: false };
+}
+
+module.exports = {
+  ADMONITION_TYPES,
+  admonitionsPlugin,
+  MIN_MARKERS,
+  countMarkers,
+  findContainerEnd
+};
@@ -0,0 +1,275 @@
+const { escapeHtml } = require('../utils/html');
+const { formatString } = require('../i18n/strings');
+const { getSourceLocation, withSourceLocation } = require('./links');
+
+// "[^label]", where the label has no spaces
+const LABEL = /^\[\^([^\]\s]+)\]/;
+
+/**
+ * markdown-it plugin for footnotes:
+ *
+ *     Screen readers announce the reference by name.[^names]
+ *
+ *     [^names]: The link's accessible name is "Footnote 1".
+ *         Indented lines continue the note.
+ *
+ * The notes are gathered at the end of the page in a "Footnotes" section
+ * labelled by its heading, numbered in the order they are first referenced.
+ * Each reference is a link named "Footnote N" rather than just the number,
+ * and each note ends with a "Back to content" link to its reference;
+ * `assets/js/footnotes.js` points that link at the reference the reader
+ * actually followed when a note is referenced more than once.
+ *
+ * References to undefined notes are kept as text and marked, and notes that
+ * are never referenced are still listed, so the checker can report both.
+ * @param {MarkdownIt} md - markdown-it instance
+ * @param {Object} options - Plugin options
+ * @param {Object} options.strings - Interface strings from `getUiStrings`
+ */
+function footnotesPlugin(md, { strings }) {
+  md.block.ruler.before('reference', 'footnote_definition', (state, startLine, endLine, silent) => {
+    const start = state.bMarks[startLine] + state.tShift[startLine];
+    const max = state.eMarks[startLine];
+    
+    // Indented code
+    if (state.sCount[startLine] - state.blkIndent >= 4) return false;
+    
+    const match = state.src.slice(start, max).match(LABEL);
+    if (!match || state.src.charCodeAt(start + match[0].length) !== 0x3A /* : */) return false;
+    
+    if (silent) return true;
+    
+    const footnotes = getFootnotes(state.env);
+    const label = match[1];
+    
+    if (footnotes.notes.has(label)) {
+      if (state.env.warnings) {
+        state.env.warnings.push(withSourceLocation(`Footnote [^${label}] is defined more than once; the first definition is used`, state.env, startLine));
+      }
+    } else {
+      footnotes.notes.set(label, { label, number: null, refs: 0, tokens: null });
+    }
+    
+    // The note's content starts after the colon and continues on lines
+    // indented by four spaces, like a list item
+    let pos = start + match[0].length + 1;
+    const contentStart = pos;
+    let offset = state.sCount[startLine] + pos - state.bMarks[startLine] - state.tShift[startLine];
+    const initial = offset;
+    
+    while (pos < max && (state.src.charCodeAt(pos) === 0x20 || state.src.charCodeAt(pos) === 0x09)) {
+      offset += state.src.charCodeAt(pos) === 0x09 ? 4 - (offset % 4) : 1;
+      pos++;
+    }
+    
+    const oldBMark = state.bMarks[startLine];
+    const oldTShift = state.tShift[startLine];
+    const oldSCount = state.sCount[startLine];
+    const oldParent = state.parentType;
+    
+    const openToken = state.push('footnote_definition_open', '', 1);
+    openToken.meta = { label };
+    openToken.map = [startLine, 0];
+    
+    state.bMarks[startLine] = contentStart;
+    state.tShift[startLine] = pos - contentStart;
+    state.sCount[startLine] = offset - initial;
+    state.blkIndent += 4;
+    state.parentType = 'footnote';
+    
+    if (state.sCount[startLine] < state.blkIndent) {
+      state.sCount[startLine] += state.blkIndent;
+    }
+    
+    state.md.block.tokenize(state, startLine, endLine);
+    
+    state.parentType = oldParent;
+    state.blkIndent -= 4;
+    state.bMarks[startLine] = oldBMark;
+    state.tShift[startLine] = oldTShift;
+    state.sCount[startLine] = oldSCount;
+    
+    openToken.map[1] = state.line;
+    state.push('footnote_definition_close', '', -1);
+    
+    return true;
+  }, { alt: ['paragraph', 'reference'] });
+  
+  md.inline.ruler.before('link', 'footnote_ref', (state, silent) => {
+    if (state.src.charCodeAt(state.pos) !== 0x5B /* [ */) return false;
+    
+    const match = state.src.slice(state.pos, state.posMax).match(LABEL);
+    if (!match) return false;
+    
+    // Inline renders after the notes are gathered, e.g. of tab names, can't
+    // add to the list
+    const footnotes = state.env.footnotes;
+    if (footnotes && footnotes.gathered) return false;
+    
+    if (!silent) {
+      const note = footnotes && footnotes.notes.get(match[1]);
+      
+      if (note) {
+        if (note.number === null) {
+          note.number = ++footnotes.count;
+        }
+        note.refs++;
+        
+        const token = state.push('footnote_ref', '', 0);
+        token.meta = { number: note.number, ref: note.refs };
+      } else {
+        const token = state.push('footnote_missing', '', 0);
+        token.meta = { label: match[1] };
+        token.content = match[0];
+      }
+    }
+    
+    state.pos += match[0].length;
+    return true;
+  });
+  
+  // Move the notes from where they were defined to the end of the page
+  md.core.ruler.after('inline', 'footnote_tail', (state) => {
+    const footnotes = state.env.footnotes;
+    if (!footnotes || footnotes.gathered) return;
+    
+    const tokens = [];
+    let current = null;
+    
+    for (const token of state.tokens) {
+      if (token.type === 'footnote_definition_open') {
+        const note = footnotes.notes.get(token.meta.label);
+        
+        // Repeated definitions are dropped
+        current = note.tokens ? [] : (note.tokens = []);
+        note.map = token.map;
+        continue;
+      }
+      
+      if (token.type === 'footnote_definition_close') {
+        current = null;
+        continue;
+      }
+      
+      (current || tokens).push(token);
+    }
+    
+    footnotes.gathered = true;
+    
+    // Notes that are never referenced come last
+    const notes = [...footnotes.notes.values()];
+    for (const note of notes) {
+      if (note.number === null) note.number = ++footnotes.count;
+    }
+    notes.sort((a, b) => a.number - b.number);
+    
+    tokens.push(new state.Token('footnotes_open', 'section', 1));
+    
+    for (const note of notes) {
+      const openToken = new state.Token('footnote_open', 'li', 1);
+      openToken.meta = note;
+      openToken.map = note.map;
+      openToken.block = true;
+      tokens.push(openToken);
+      
+      const content = note.tokens;
+      const backref = new state.Token('footnote_backref', '', 0);
+      backref.meta = note;
+      
+      // Inside the last paragraph, so the link reads as part of the note
+      if (content.length > 0 && content[content.length - 1].type === 'paragraph_close') {
+        content.splice(content.length - 1, 0, backref);
+      } else {
+        content.push(backref);
+      }
+      
+      tokens.push(...content);
+      tokens.push(new state.Token('footnote_close', 'li', -1));
+    }
+    
+    tokens.push(new state.Token('footnotes_close', 'section', -1));
+    state.tokens = tokens;
+  });
+  
+  md.renderer.rules.footnote_ref = (tokens, idx) => {
+    const { number, ref } = tokens[idx].meta;
+    const label = formatString(strings.footnoteReference, { number });
+    
+    return `<sup class="footnote-ref"><a href="#fn-${number}" id="${refId(number, ref)}" aria-label="${escapeHtml(label)}" data-footnote-ref>${number}</a></sup>`;
+  };
+  
+  md.renderer.rules.footnote_missing = (tokens, idx) => {
+    const { label } = tokens[idx].meta;
+    return `<span class="footnote-missing" data-footnote-missing="${escapeHtml(label)}">${escapeHtml(tokens[idx].content)}</span>`;
+  };
+  
+  md.renderer.rules.footnotes_open = () =>
+    '<section class="footnotes" aria-labelledby="footnotes-title">\n' +
+    `<h2 id="footnotes-title" class="footnotes-title">${escapeHtml(strings.footnotesTitle)}</h2>\n` +
+    '<ol class="footnotes-list">\n';
+  
+  md.renderer.rules.footnotes_close = () => '</ol>\n</section>\n';
+  
+  md.renderer.rules.footnote_open = (tokens, idx, options, env, self) => {
+    const token = tokens[idx];
+    const { number, label } = token.meta;
+    
+    // Focusable, so the note can take focus when its reference is followed
+    token.attrSet('id', `fn-${number}`);
+    token.attrSet('class', 'footnote-item');
+    token.attrSet('tabindex', '-1');
+    token.attrSet('data-footnote-label', label);
+    
+    return `<li${self.renderAttrs(token)}>\n`;
+  };
+  
+  md.renderer.rules.footnote_close = () => '</li>\n';
+  
+  md.renderer.rules.footnote_backref = (tokens, idx) => {
+    const { number, refs } = tokens[idx].meta;
+    if (refs === 0) return '';
+    
+    return ` <a href="#${refId(number, 1)}" class="footnote-backref" data-footnote-backref>${escapeHtml(strings.footnoteBack)}</a>`;
+  };
+}
+
+/**
+ * Get the footnotes of the page being rendered, creating them if needed
+ * @param {Object} env - markdown-it environment
+ * @returns {Object} `{ notes, count, gathered }`, with the notes by label
+ */
+function getFootnotes(env) {
+  if (!env.footnotes) {
+    env.footnotes = { notes: new Map(), count: 0, gathered: false };
+  }
+  return env.footnotes;
+}
+
+/**
+ * Get where a footnote is defined, so issues with the note point there
+ * rather than at the end of the page where it is rendered
+ * @param {Object} env - markdown-it environment of the rendered page
+ * @param {string} label - Footnote label
+ * @returns {Object|null} `{ file, line }`, or null for unknown labels
+ */
+function getFootnoteLocation(env, label) {
+  const note = env.footnotes && env.footnotes.notes.get(label);
+  if (!note || !note.map) return null;
+  
+  return { file: env.sourcePath, ...getSourceLocation(env, note.map[0]) };
+}
+
+/**
+ * ID of a reference to a note: the first is `fnref-N`, later ones `fnref-N-2`, ...
+ * @param {number} number - Note number
+ * @param {number} ref - Position of the reference among the note's references
+ * @returns {string} ID
+ */
+function refId(number, ref) {
+  return ref === 1 ? `fnref-${number}` : `fnref-${number}-${ref}`;
+}
+
+module.exports = {
+  footnotesPlugin,
+  getFootnoteLocation
+};
@@ -0,0 +1,327 @@
+const fs = require('fs').promises;
+const path = require('path');
+const yaml = require('js-yaml');
+const HTMLParser = require('node-html-parser');
+const { escapeHtml } = require('../utils/html');
+const { createUrlBuilder } = require('../utils/urls');
+
+/**
+ * Names of the optional glossary file in the input directory, in YAML or
+ * markdown; the first one found is used
+ */
+const GLOSSARY_FILES = ['_glossary.yml', '_glossary.yaml', '_glossary.md'];
+
+/**
+ * Output path of the generated glossary page
+ */
+const GLOSSARY_PAGE = 'glossary.html';
+
+// "## API (Application Programming Interface)" in a markdown glossary
+const TERM_HEADING = /^##\s+(.+?)\s*#*\s*$/;
+const EXPANSION = /^(.+?)\s*\(([^)]+)\)$/;
+const FENCE = /^\s*(`{3,}|~{3,})/;
+
+// Inline HTML whose text is never wrapped, e.g. authored <abbr> elements
+const SKIPPED_HTML_OPEN = /^<(a|abbr|dfn|code)\b/i;
+const SKIPPED_HTML_CLOSE = /^<\/(a|abbr|dfn|code)\s*>/i;
+
+/**
+ * Check whether a source file is the glossary rather than a page
+ * @param {string} sourcePath - Path relative to the input directory
+ * @returns {boolean} True for the glossary file
+ */
+function isGlossaryFile(sourcePath) {
+  return GLOSSARY_FILES.includes(sourcePath);
+}
+
+/**
+ * Load the glossary file from the input directory.
+ *
+ * In YAML, each term maps to its definition, or to an object with a
+ * `definition` and optionally an `expansion` (for abbreviations) and
+ * `aliases`. In markdown, each `##` heading is a term followed by its
+ * definition; an all-capitals term followed by text in brackets is an
+ * abbreviation, e.g. `## API (Application Programming Interface)`.
+ * @param {string} inputDir - Input directory
+ * @returns {Promise<Object|null>} Glossary as `{ source, intro, terms }`, or
+ * null if there is no glossary file
+ */
+async function loadGlossary(inputDir) {
+  for (const source of GLOSSARY_FILES) {
+    let content;
+    
+    try {
+      content = await fs.readFile(path.join(inputDir, source), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') continue;
+      throw error;
+    }
+    
+    const glossary = source.endsWith('.md') ? parseMarkdownGlossary(content) : parseYamlGlossary(content, source);
+    const ids = new Set();
+    
+    for (const term of glossary.terms) {
+      // Unique IDs, even for terms that only differ in punctuation
+      let id = `glossary-${slugify(term.term)}`;
+      for (let i = 2; ids.has(id); i++) id = `glossary-${slugify(term.term)}-${i}`;
+      ids.add(id);
+      term.id = id;
+    }
+    
+    return { source, ...glossary };
+  }
+  
+  return null;
+}
+
+/**
+ * Read the terms of a YAML glossary
+ * @param {string} content - File content
+ * @param {string} source - File name, for errors
+ * @returns {Object} `{ intro, terms }`
+ */
+function parseYamlGlossary(content, source) {
+  const entries = yaml.load(content) || {};
+  
+  if (typeof entries !== 'object' || Array.isArray(entries)) {
+    throw new Error(`${source} must map each term to its definition`);
+  }
+  
+  const terms = Object.entries(entries).map(([term, entry]) => {
+    const { definition = '', expansion = null, aliases = [] } = typeof entry === 'string' ? { definition: entry } : entry || {};
+    
+    if (!definition && !expansion) {
+      throw new Error(`${source}: "${term}" has no definition`);
+    }
+    
+    return { term: String(term), expansion, definition: String(definition), aliases: [].concat(aliases).map(String) };
+  });
+  
+  return { intro: '', terms };
+}
+
+/**
+ * Read the terms of a markdown glossary: a `##` heading per term, with the
+ * definition below it. Text before the first term is kept as an introduction.
+ * @param {string} content - File content
+ * @returns {Object} `{ intro, terms }`
+ */
+function parseMarkdownGlossary(content) {
+  const intro = [];
+  const terms = [];
+  let fence = null;
+  
+  for (const line of content.split('\n')) {
+    const fenceMatch = line.match(FENCE);
+    
+    if (fenceMatch) {
+      fence = !fence ? fenceMatch[1] : fenceMatch[1].startsWith(fence) ? null : fence;
+    }
+    
+    const heading = !fence && line.match(TERM_HEADING);
+    
+    if (heading) {
+      const expansion = heading[1].match(EXPANSION);
+      const isAbbreviation = expansion && !/\p{Ll}/u.test(expansion[1]);
+      
+      terms.push({
+        term: isAbbreviation ? expansion[1] : heading[1],
+        expansion: isAbbreviation ? expansion[2].trim() : null,
+        definition: '',
+        aliases: []
+      });
+    } else if (terms.length > 0) {
+      terms[terms.length - 1].definition += `${line}\n`;
+    } else if (!/^#\s/.test(line)) {
+      // The page title comes from the interface strings
+      intro.push(line);
+    }
+  }
+  
+  for (const term of terms) {
+    term.definition = term.definition.trim();
+  }
+  
+  return { intro: intro.join('\n').trim(), terms };
+}
+
+/**
+ * Turn a term into the fragment of its glossary entry
+ * @param {string} term - Term
+ * @returns {string} Slug, e.g. "screen-reader"
+ */
+function slugify(term) {
+  return term.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '') || 'term';
+}
+
+/**
+ * markdown-it plugin marking the first use of each glossary term on a page:
+ * abbreviations in `<abbr title>` with their expansion, other terms in
+ * `<dfn>`, both linking to the term's glossary entry. The definition is kept
+ * for the popup shown by `assets/js/glossary.js`.
+ *
+ * Terms in headings, links and code are left alone. Only pages whose
+ * environment has a `glossary` from `loadGlossary` are changed.
+ * @param {MarkdownIt} md - markdown-it instance
+ * @param {Object} options - Plugin options
+ * @param {Object} options.config - Configuration object
+ */
+function glossaryPlugin(md, { config }) {
+  // Plain text definitions for the popups, by glossary
+  const definitions = new WeakMap();
+  
+  md.core.ruler.push('glossary', (state) => {
+    const { env } = state;
+    
+    // Inline renders, e.g. of tab names, are headings or labels
+    if (!env.glossary || env.glossary.terms.length === 0 || state.inlineMode) return;
+    
+    if (!definitions.has(env.glossary)) {
+      definitions.set(env.glossary, new Map(env.glossary.terms.map(term => {
+        // Code blocks are parsed too, so only their text is kept
+        const root = HTMLParser.parse(md.render(term.definition), { blockTextElements: { script: true, style: true } });
+        return [term, root.textContent.replace(/\s+/g, ' ').trim()];
+      })));
+    }
+    
+    const matchers = env.glossary.terms.map(term => ({ term, pattern: createTermPattern(term) }));
+    const used = env.glossaryUsed || (env.glossaryUsed = new Set());
+    
+    state.tokens.forEach((blockToken, index) => {
+      if (blockToken.type !== 'inline' || !blockToken.children) return;
+      if (index > 0 && state.tokens[index - 1].type === 'heading_open') return;
+      
+      const children = [];
+      let skipDepth = 0;
+      
+      for (const token of blockToken.children) {
+        if (token.type === 'link_open' || (token.type === 'html_inline' && SKIPPED_HTML_OPEN.test(token.content))) skipDepth++;
+        if (token.type === 'link_close' || (token.type === 'html_inline' && SKIPPED_HTML_CLOSE.test(token.content))) skipDepth = Math.max(0, skipDepth - 1);
+        
+        if (token.type !== 'text' || skipDepth > 0) {
+          children.push(token);
+          continue;
+        }
+        
+        children.push(...splitTerms(token, matchers, used, state, definitions.get(env.glossary)));
+      }
+      
+      blockToken.children = children;
+    });
+  });
+  
+  md.renderer.rules.glossary_term = (tokens, idx, options, env) => {
+    const { term, definition } = tokens[idx].meta;
+    const url = createUrlBuilder(config, env.sourcePath ? env.sourcePath.replace(/\.md$/, '.html') : 'index.html');
+    const text = escapeHtml(tokens[idx].content);
+    const inner = term.expansion
+      ? `<abbr title="${escapeHtml(term.expansion)}">${text}</abbr>`
+      : `<dfn>${text}</dfn>`;
+    
+    const definitionAttr = definition ? ` data-glossary-definition="${escapeHtml(definition)}"` : '';
+    
+    return `<a class="glossary-term" href="${escapeHtml(url(GLOSSARY_PAGE))}#${term.id}"${definitionAttr}>${inner}</a>`;
+  };
+}
+
+/**
+ * Create the pattern matching a term and its aliases as whole words, with an
+ * optional plural "s". Abbreviations match case-sensitively.
+ * @param {Object} term - Glossary term
+ * @returns {RegExp} Pattern
+ */
+function createTermPattern(term) {
+  const words = [term.term, ...term.aliases]
+    .sort((a, b) => b.length - a.length)
+    .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+'));
+  
+  return new RegExp(`(?<![\\p{L}\\p{N}_])(?:${words.join('|')})s?(?![\\p{L}\\p{N}_])`, term.expansion ? 'u' : 'iu');
+}
+
+/**
+ * Split a text token around the first use of each term not yet used on the page
+ * @param {Token} token - Text token
+ * @param {Array<Object>} matchers - Terms and their patterns
+ * @param {Set<Object>} used - Terms already marked on the page
+ * @param {StateCore} state - markdown-it core state
+ * @param {Map<Object, string>} definitions - Plain text definitions by term
+ * @returns {Array<Token>} Text and glossary term tokens
+ */
+function splitTerms(token, matchers, used, state, definitions) {
+  const tokens = [];
+  let text = token.content;
+  
+  for (;;) {
+    let first = null;
+    
+    for (const matcher of matchers) {
+      if (used.has(matcher.term)) continue;
+      
+      const match = matcher.pattern.exec(text);
+      if (match && (!first || match.index < first.match.index)) {
+        first = { term: matcher.term, match };
+      }
+    }
+    
+    if (!first) break;
+    
+    const { index } = first.match;
+    used.add(first.term);
+    
+    if (index > 0) {
+      const before = new state.Token('text', '', 0);
+      before.content = text.slice(0, index);
+      tokens.push(before);
+    }
+    
+    const termToken = new state.Token('glossary_term', '', 0);
+    termToken.content = first.match[0];
+    termToken.meta = { term: first.term, definition: definitions.get(first.term) };
+    tokens.push(termToken);
+    
+    text = text.slice(index + first.match[0].length);
+  }
+  
+  if (tokens.length === 0) return [token];
+  
+  if (text) {
+    const after = new state.Token('text', '', 0);
+    after.content = text;
+    tokens.push(after);
+  }
+  
+  return tokens;
+}
+
+/**
+ * Render the content of the glossary page: the terms in alphabetical order
+ * as a description list
+ * @param {Object} glossary - Glossary from `loadGlossary`
+ * @param {MarkdownIt} md - markdown-it instance, for the definitions
+ * @param {string} locale - Language to sort the terms in
+ * @returns {string} HTML
+ */
+function renderGlossaryPage(glossary, md, locale) {
+  // Definitions are rendered like a page at the root of the input directory
+  const env = { sourcePath: glossary.source };
+  const terms = [...glossary.terms].sort((a, b) => a.term.localeCompare(b.term, locale, { sensitivity: 'base' }));
+  
+  const entries = terms.map(term => {
+    const name = term.expansion
+      ? `<abbr title="${escapeHtml(term.expansion)}">${escapeHtml(term.term)}</abbr>`
+      : escapeHtml(term.term);
+    const expansion = term.expansion ? `<p class="glossary-expansion">${escapeHtml(term.expansion)}</p>\n` : '';
+    
+    return `<dt id="${term.id}"><dfn>${name}</dfn></dt>\n<dd>\n${expansion}${term.definition ? md.render(term.definition, env) : ''}</dd>`;
+  });
+  
+  return `${glossary.intro ? md.render(glossary.intro, env) : ''}<dl class="glossary">\n${entries.join('\n')}\n</dl>`;
+}
+
+module.exports = {
+  GLOSSARY_PAGE,
+  isGlossaryFile,
+  loadGlossary,
+  glossaryPlugin,
+  renderGlossaryPage
+};
@@ -0,0 +1,200 @@
+const fs = require('fs').promises;
+const path = require('path');
+const matter = require('gray-matter');
+
+/**
+ * Directory name for reusable content. Markdown files in a `_partials`
+ * directory, at any depth, are only included and never built as pages.
+ */
+const PARTIALS_DIR = '_partials';
+
+/**
+ * Attribute recording which line of the expanded markdown an element was
+ * rendered from, so issues can be traced back to the file it came from
+ */
+const SOURCE_LINE_ATTRIBUTE = 'data-source-line';
+
+// {% include "_partials/prereqs.md" product="AccessDocs" %}, on a line of its own
+const INCLUDE_DIRECTIVE = /^(\s*)\{%\s*include\s+"([^"]+)"((?:\s+[\w-]+="[^"]*")*)\s*%\}\s*$/;
+const INCLUDE_PARAMETER = /([\w-]+)="([^"]*)"/g;
+const PARAMETER_REFERENCE = /\{\{\s*include\.([\w-]+)\s*\}\}/g;
+const FENCE = /^\s*(`{3,}|~{3,})/;
+
+/**
+ * Check whether a source file is a partial rather than a page
+ * @param {string} sourcePath - Path relative to the input directory
+ * @returns {boolean} True for files in a `_partials` directory
+ */
+function isPartial(sourcePath) {
+  return sourcePath.split(/[\\/]/).includes(PARTIALS_DIR);
+}
+
+/**
+ * Expand the include directives of a page. Included files may include
+ * other files; an include cycle is an error. Parameters given on the
+ * directive replace `{{ include.name }}` in the included file.
+ *
+ * Paths are relative to the including file, or to the input directory when
+ * they start with "/". Directives in fenced code blocks are left as written.
+ * @param {string} markdown - Markdown body of the page
+ * @param {Object} options - Expansion options
+ * @param {string} options.inputDir - Input directory
+ * @param {string} options.sourcePath - Page path relative to the input directory
+ * @param {number} options.lineOffset - Lines of frontmatter before the markdown body
+ * @returns {Promise<Object>} `{ markdown, sourceMap, includes, warnings }`: the
+ * expanded markdown, the source `{ file, line }` of each of its lines, the
+ * included files and any warnings
+ */
+async function expandIncludes(markdown, { inputDir, sourcePath, lineOffset = 0 }) {
+  const includes = new Set();
+  const warnings = [];
+  const lines = await expandLines(markdown, {
+    inputDir,
+    sourcePath,
+    lineOffset,
+    params: null,
+    stack: [sourcePath],
+    includes,
+    warnings
+  });
+  
+  return {
+    markdown: lines.map(line => line.text).join('\n'),
+    sourceMap: lines.map(({ file, line }) => ({ file, line })),
+    includes: [...includes],
+    warnings
+  };
+}
+
+/**
+ * Expand the include directives of one file
+ * @param {string} markdown - Markdown body of the file
+ * @param {Object} context - Expansion state
+ * @returns {Promise<Array<Object>>} Lines as `{ text, file, line }`
+ */
+async function expandLines(markdown, context) {
+  const { inputDir, sourcePath, lineOffset, params, stack } = context;
+  const lines = markdown.split('\n');
+  const output = [];
+  let fence = null;
+  
+  for (let i = 0; i < lines.length; i++) {
+    const location = { file: sourcePath, line: i + 1 + lineOffset };
+    const text = params ? substituteParameters(lines[i], params, location, context.warnings) : lines[i];
+    const fenceMatch = text.match(FENCE);
+    
+    if (fenceMatch) {
+      fence = !fence ? fenceMatch[1] : fenceMatch[1].startsWith(fence) ? null : fence;
+    }
+    
+    const directive = !fence && text.match(INCLUDE_DIRECTIVE);
+    
+    if (!directive) {
+      output.push({ text, ...location });
+      continue;
+    }
+    
+    const [, indent, target, parameterText] = directive;
+    const includePath = resolveIncludePath(target, sourcePath);
+    const where = `${location.file} line ${location.line}`;
+    
+    if (includePath.startsWith('../') || path.posix.isAbsolute(includePath)) {
+      throw new Error(`Included file "${target}" is outside the input directory (${where})`);
+    }
+    
+    if (stack.includes(includePath)) {
+      throw new Error(`Include cycle: ${[...stack, includePath].join(' → ')} (${where})`);
+    }
+    
+    let content;
+    try {
+      content = await fs.readFile(path.join(inputDir, includePath), 'utf8');
+    } catch (error) {
+      throw new Error(`Included file "${target}" not found (${where})`);
+    }
+    
+    context.includes.add(includePath);
+    
+    const { content: body } = matter(content);
+    const included = await expandLines(body.replace(/\n$/, ''), {
+      ...context,
+      sourcePath: includePath,
+      lineOffset: content.split('\n').length - body.split('\n').length,
+      params: Object.fromEntries([...parameterText.matchAll(INCLUDE_PARAMETER)].map(match => match.slice(1))),
+      stack: [...stack, includePath]
+    });
+    
+    // Indent the included lines like the directive, e.g. inside a list item
+    for (const line of included) {
+      output.push({ ...line, text: line.text ? indent + line.text : line.text });
+    }
+  }
+  
+  return output;
+}
+
+/**
+ * Resolve the path of an included file
+ * @param {string} target - Path as written in the directive
+ * @param {string} sourcePath - Path of the including file, relative to the input directory
+ * @returns {string} Path relative to the input directory
+ */
+function resolveIncludePath(target, sourcePath) {
+  return target.startsWith('/')
+    ? path.posix.normalize(target.slice(1))
+    : path.posix.join(path.posix.dirname(sourcePath), target);
+}
+
+/**
+ * Replace `{{ include.name }}` references with the directive's parameters
+ * @param {string} text - Line of an included file
+ * @param {Object} params - Parameter values by name
+ * @param {Object} location - Source file and line, for warnings
+ * @param {Array<string>} warnings - Warnings to add to
+ * @returns {string} Line with parameters substituted
+ */
+function substituteParameters(text, params, location, warnings) {
+  return text.replace(PARAMETER_REFERENCE, (match, name) => {
+    if (name in params) {
+      return params[name];
+    }
+    
+    warnings.push(`Include parameter "${name}" is not set (${location.file} line ${location.line})`);
+    return '';
+  });
+}
+
+/**
+ * markdown-it plugin that marks each block with the line it was rendered
+ * from, when the environment has a `sourceMap` from `expandIncludes`
+ * @param {MarkdownIt} md - markdown-it instance
+ */
+function sourceLinesPlugin(md) {
+  md.core.ruler.push('source_lines', (state) => {
+    if (!state.env.sourceMap) return;
+    
+    for (const token of state.tokens) {
+      if (token.map && (token.nesting === 1 || token.type === 'fence' || token.type === 'code_block')) {
+        token.attrSet(SOURCE_LINE_ATTRIBUTE, String(token.map[0]));
+      }
+    }
+  });
+}
+
+/**
+ * Remove the source line attributes from an HTML string
+ * @param {string} html - HTML
+ * @returns {string} HTML without source line attributes
+ */
+function stripSourceLines(html) {
+  return html.replace(new RegExp(` ${SOURCE_LINE_ATTRIBUTE}="\\d*"`, 'g'), '');
+}
+
+module.exports = {
+  PARTIALS_DIR,
+  SOURCE_LINE_ATTRIBUTE,
+  isPartial,
+  expandIncludes,
+  sourceLinesPlugin,
+  stripSourceLines
+};
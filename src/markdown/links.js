@@ -0,0 +1,216 @@
+const path = require('path');
+const { isExternalUrl, createUrlBuilder } = require('../utils/urls');
+
+/**
+ * markdown-it plugin that rewrites links to markdown sources into links to
+ * their generated HTML pages, and records every internal link on
+ * `env.links` so it can be validated once all pages are rendered.
+ *
+ * The environment must provide `sourcePath` (the page's path relative to
+ * the input directory) and may provide `lineOffset` (lines of frontmatter
+ * before the markdown body) for accurate line numbers, or a `sourceMap`
+ * from `expandIncludes` for pages with included content.
+ * @param {MarkdownIt} md - markdown-it instance
+ * @param {Object} options - Plugin options
+ * @param {Object} options.config - Configuration object
+ */
+function internalLinksPlugin(md, { config }) {
+  md.core.ruler.push('internal_links', (state) => {
+    const { env } = state;
+    
+    if (!env.sourcePath) return;
+    
+    const url = createUrlBuilder(config, env.sourcePath.replace(/\.md$/, '.html'));
+    
+    for (const blockToken of state.tokens) {
+      if (blockToken.type !== 'inline' || !blockToken.children) continue;
+      
+      for (const token of blockToken.children) {
+        if (token.type !== 'link_open') continue;
+        
+        const link = parseInternalLink(token.attrGet('href'), env.sourcePath);
+        if (!link) continue;
+        
+        if (link.isMarkdown) {
+          const output = link.target.replace(/\.md$/, '.html');
+          
+          // Root-absolute links follow basePath/relativeLinks; relative ones stay relative
+          token.attrSet('href', link.isRootRelative
+            ? url(output) + link.suffix
+            : link.href.replace(/\.md(?=$|[?#])/, '.html'));
+        }
+        
+        if (env.links) {
+          env.links.push({ href: link.href, target: link.target, fragment: link.fragment, ...getSourceLocation(env, token.map ? token.map[0] : null) });
+        }
+      }
+    }
+  });
+}
+
+/**
+ * markdown-it plugin that gives inline tokens (links, images, inline math)
+ * the line map of the line they are on, which markdown-it only sets on
+ * blocks, so what is reported about them can say where they were written
+ * @param {MarkdownIt} md - markdown-it instance
+ */
+function inlineLinesPlugin(md) {
+  md.core.ruler.after('inline', 'inline_lines', (state) => {
+    // Inline tokens in some blocks (e.g. table cells) have no line map, so
+    // fall back to the closest preceding block that has one
+    let blockLine = null;
+    
+    for (const blockToken of state.tokens) {
+      if (blockToken.map) {
+        blockLine = blockToken.map[0];
+      }
+      
+      if (blockToken.type !== 'inline' || !blockToken.children) continue;
+      
+      let line = blockLine;
+      
+      for (const token of blockToken.children) {
+        if (token.type === 'softbreak' || token.type === 'hardbreak') {
+          line = line === null ? null : line + 1;
+        }
+        
+        if (!token.map && line !== null) {
+          token.map = [line, line + 1];
+        }
+      }
+    }
+  });
+}
+
+/**
+ * Get the source file and line of a line of the rendered markdown
+ * @param {Object} env - markdown-it environment
+ * @param {number|null} index - Zero-based line in the rendered markdown
+ * @returns {Object} `{ line }`, with `file` too for lines from included files
+ */
+function getSourceLocation(env, index) {
+  if (index === null) {
+    return { line: null };
+  }
+  
+  if (env.sourceMap && env.sourceMap[index]) {
+    return env.sourceMap[index];
+  }
+  
+  return { line: index + 1 + (env.lineOffset || 0) };
+}
+
+/**
+ * Add where a line of the rendered markdown was written to a warning, e.g.
+ * "(_partials/prereqs.md line 3)" for a line from an included file
+ * @param {string} message - Warning message
+ * @param {Object} env - markdown-it environment
+ * @param {number|null} index - Zero-based line in the rendered markdown
+ * @returns {string} Message, with the source file and line when known
+ */
+function withSourceLocation(message, env, index) {
+  const location = getSourceLocation(env, index);
+  const file = location.file || env.sourcePath;
+  
+  return file && location.line !== null ? `${message} (${file} line ${location.line})` : message;
+}
+
+/**
+ * Parse a link that points at a markdown source or at a fragment on the
+ * current page
+ * @param {string} href - Link href as written by the author
+ * @param {string} sourcePath - Path of the linking page, relative to the input directory
+ * @returns {Object|null} Link details, or null for external and non-page links
+ */
+function parseInternalLink(href, sourcePath) {
+  if (!href) return null;
+  
+  // Fragment on the current page
+  if (href.startsWith('#')) {
+    return { href, target: sourcePath, fragment: safeDecode(href.slice(1)), isMarkdown: false };
+  }
+  
+  if (isExternalUrl(href)) return null;
+  
+  const match = href.match(/^([^?#]*\.md)((?:\?[^#]*)?(?:#(.*))?)$/);
+  if (!match) return null;
+  
+  const isRootRelative = match[1].startsWith('/');
+  const linkedPath = safeDecode(match[1]);
+  const target = isRootRelative
+    ? path.posix.normalize(linkedPath.slice(1))
+    : path.posix.join(path.posix.dirname(sourcePath), linkedPath);
+  
+  return {
+    href,
+    target,
+    fragment: match[3] ? safeDecode(match[3]) : null,
+    suffix: match[2],
+    isMarkdown: true,
+    isRootRelative
+  };
+}
+
+/**
+ * Validate recorded links against the pages and anchors of the site
+ * @param {Array<Object>} links - Links recorded by `internalLinksPlugin`
+ * @param {Object} site - Site data
+ * @param {string} site.file - Path of the linking page, relative to the input directory
+ * @param {Set<string>} site.sources - Source paths of all pages
+ * @param {Map<string, Set<string>|null>} site.anchors - IDs on each page, null if unknown
+ * @returns {Array<Object>} Issues in the checker's issue format
+ */
+function validateLinks(links, { file, sources, anchors }) {
+  const issues = [];
+  
+  for (const link of links) {
+    if (!sources.has(link.target)) {
+      issues.push({
+        type: 'link',
+        rule: 'broken-link',
+        message: `Link to missing page "${link.target}"`,
+        element: link.href,
+        file: link.file || file,
+        line: link.line
+      });
+      continue;
+    }
+    
+    const targetAnchors = anchors.get(link.target);
+    
+    if (link.fragment && targetAnchors && !targetAnchors.has(link.fragment)) {
+      issues.push({
+        type: 'link',
+        rule: 'broken-anchor',
+        message: `Link to missing heading "#${link.fragment}" in "${link.target}"`,
+        element: link.href,
+        file: link.file || file,
+        line: link.line
+      });
+    }
+  }
+  
+  return issues;
+}
+
+/**
+ * Decode a URI component, leaving malformed input as-is
+ * @param {string} value - Encoded value
+ * @returns {string} Decoded value
+ */
+function safeDecode(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+module.exports = {
+  inlineLinesPlugin,
+  internalLinksPlugin,
+  getSourceLocation,
+  withSourceLocation,
+  validateLinks,
+  safeDecode
+};
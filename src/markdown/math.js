@@ -0,0 +1,157 @@
+const temml = require('temml');
+const { withSourceLocation } = require('./links');
+
+/**
+ * Files of the math stylesheet, copied from temml to `assets/css/math`
+ */
+const MATH_ASSETS = ['Temml-Local.css', 'Temml.woff2'];
+
+/**
+ * markdown-it plugin rendering TeX math to MathML at build time: `$...$`
+ * inline, and `$$...$$` as a block, on one line or several.
+ *
+ * MathML is read by screen readers and scales with the text, unlike images
+ * of equations, and needs no script in the browser. The TeX source is kept as
+ * the `alttext` of each formula for assistive technology without MathML
+ * support. As in Pandoc, an inline formula can't start or end with a space
+ * and the closing `$` can't be followed by a digit, so prices such as
+ * "$5 and $10" stay text; write `\$` for a literal dollar sign.
+ * @param {MarkdownIt} md - markdown-it instance
+ */
+function mathPlugin(md) {
+  md.inline.ruler.after('escape', 'math_inline', (state, silent) => {
+    const start = state.pos;
+    
+    if (state.src.charCodeAt(start) !== 0x24 /* $ */) return false;
+    
+    // Display math is a block; "$$" in text is left alone
+    if (state.src.charCodeAt(start + 1) === 0x24) return false;
+    
+    const end = findClosingDollar(state.src, start + 1, state.posMax);
+    if (end === -1) return false;
+    
+    if (!silent) {
+      const token = state.push('math_inline', 'math', 0);
+      token.markup = '$';
+      token.content = state.src.slice(start + 1, end);
+    }
+    
+    state.pos = end + 1;
+    return true;
+  });
+  
+  md.block.ruler.before('fence', 'math_block', (state, startLine, endLine, silent) => {
+    const start = state.bMarks[startLine] + state.tShift[startLine];
+    const max = state.eMarks[startLine];
+    
+    // Indented code
+    if (state.sCount[startLine] - state.blkIndent >= 4) return false;
+    
+    if (!state.src.startsWith('$$', start)) return false;
+    
+    let firstLine = state.src.slice(start + 2, max).trim();
+    let lastLine = '';
+    let nextLine = startLine;
+    let closed = false;
+    
+    if (firstLine.endsWith('$$')) {
+      // $$...$$ on one line
+      firstLine = firstLine.slice(0, -2);
+      closed = true;
+    } else {
+      while (++nextLine < endLine) {
+        const lineStart = state.bMarks[nextLine] + state.tShift[nextLine];
+        const line = state.src.slice(lineStart, state.eMarks[nextLine]).trim();
+        
+        // A less indented line ends the block, e.g. in lists
+        if (line && state.sCount[nextLine] < state.blkIndent) break;
+        
+        if (line.endsWith('$$')) {
+          lastLine = line.slice(0, -2);
+          closed = true;
+          break;
+        }
+      }
+    }
+    
+    if (!closed) return false;
+    if (silent) return true;
+    
+    const token = state.push('math_block', 'math', 0);
+    token.block = true;
+    token.markup = '$$';
+    token.content = [
+      firstLine,
+      nextLine > startLine + 1 ? state.getLines(startLine + 1, nextLine, state.tShift[startLine], false) : '',
+      lastLine
+    ].filter(part => part.trim()).join('\n');
+    token.map = [startLine, nextLine + 1];
+    
+    state.line = nextLine + 1;
+    return true;
+  }, { alt: ['paragraph', 'reference', 'blockquote', 'list'] });
+  
+  md.renderer.rules.math_inline = (tokens, idx, options, env) => {
+    return renderMath(tokens[idx], false, env, md);
+  };
+  
+  md.renderer.rules.math_block = (tokens, idx, options, env) => {
+    return `<div class="math-display">${renderMath(tokens[idx], true, env, md)}</div>\n`;
+  };
+}
+
+/**
+ * Find the `$` closing an inline formula
+ * @param {string} src - Inline source
+ * @param {number} pos - Position after the opening `$`
+ * @param {number} max - End of the inline source
+ * @returns {number} Position of the closing `$`, or -1 if there is none
+ */
+function findClosingDollar(src, pos, max) {
+  // "$ 5" is not a formula
+  if (pos >= max || /\s/.test(src[pos])) return -1;
+  
+  for (let i = pos; i < max; i++) {
+    if (src[i] === '\\') {
+      i++;
+    } else if (src[i] === '$') {
+      if (i === pos || /\s/.test(src[i - 1]) || /\d/.test(src[i + 1] || '')) return -1;
+      return i;
+    }
+  }
+  
+  return -1;
+}
+
+/**
+ * Render a TeX formula to MathML, with its source as the text alternative.
+ * Formulas that fail to parse are shown as code with a warning.
+ * @param {Token} token - Math token, with the TeX source as its content
+ * @param {boolean} displayMode - Whether the formula is a block
+ * @param {Object} env - markdown-it environment, for warnings
+ * @param {MarkdownIt} md - markdown-it instance
+ * @returns {string} HTML
+ */
+function renderMath(token, displayMode, env, md) {
+  const tex = token.content;
+  env.hasMath = true;
+  
+  try {
+    const mathml = temml.renderToString(tex, { displayMode, annotate: true, throwOnError: true });
+    
+    // Backslashes are written as references: node-html-parser drops them
+    // from attributes when it rewrites an element's attributes
+    const alttext = md.utils.escapeHtml(tex).replace(/\\/g, '&#92;');
+    return mathml.replace(/^<math/, `<math alttext="${alttext}"`);
+  } catch (error) {
+    if (env.warnings) {
+      env.warnings.push(withSourceLocation(`Could not render math "${tex}": ${error.message.trim()}`, env, token.map ? token.map[0] : null));
+    }
+    return `<code class="math-error">${md.utils.escapeHtml(tex)}</code>`;
+  }
+}
+
+module.exports = {
+  MATH_ASSETS,
+  mathPlugin
+};
@@ -0,0 +1,216 @@
+const HTMLParser = require('node-html-parser');
+const { MIN_MARKERS, countMarkers, findContainerEnd } = require('./admonitions');
+const { getText } = require('../navigation/search');
+
+/**
+ * Suffix of simplified pages: `guide.html` has `guide.simple.html`
+ */
+const SIMPLIFIED_SUFFIX = '.simple.html';
+
+// Headings that start a section; tab names are part of their section
+const HEADING = /^h[1-6]$/i;
+
+/**
+ * markdown-it plugin for plain-language versions of a section:
+ *
+ *     ::: simplified
+ *     Run the installer and follow the steps.
+ *     :::
+ *
+ * The block replaces the rest of its section on the simplified page, and is
+ * left out of the full page.
+ *
+ * Must be used after `admonitionsPlugin`, whose fences it shares.
+ * @param {MarkdownIt} md - markdown-it instance
+ */
+function simplifiedPlugin(md) {
+  md.block.ruler.before('admonition', 'simplified', (state, startLine, endLine, silent) => {
+    const start = state.bMarks[startLine] + state.tShift[startLine];
+    const max = state.eMarks[startLine];
+    
+    // Indented code
+    if (state.sCount[startLine] - state.blkIndent >= 4) return false;
+    
+    const markerCount = countMarkers(state, start, max);
+    if (markerCount < MIN_MARKERS) return false;
+    
+    if (!/^simplified$/i.test(state.src.slice(start + markerCount, max).trim())) return false;
+    
+    if (silent) return true;
+    
+    const { nextLine, closed } = findContainerEnd(state, startLine, endLine, markerCount);
+    const oldParent = state.parentType;
+    const oldLineMax = state.lineMax;
+    state.parentType = 'simplified';
+    state.lineMax = nextLine;
+    
+    const openToken = state.push('simplified_open', 'div', 1);
+    openToken.markup = ':'.repeat(markerCount);
+    openToken.block = true;
+    openToken.map = [startLine, nextLine];
+    openToken.attrSet('class', 'simplified');
+    
+    state.md.block.tokenize(state, startLine + 1, nextLine);
+    
+    const closeToken = state.push('simplified_close', 'div', -1);
+    closeToken.markup = openToken.markup;
+    closeToken.block = true;
+    
+    state.parentType = oldParent;
+    state.lineMax = oldLineMax;
+    state.line = nextLine + (closed ? 1 : 0);
+    
+    return true;
+  }, { alt: ['paragraph', 'reference', 'blockquote', 'list'] });
+}
+
+/**
+ * Get the output path of a page's simplified version
+ * @param {string} outputPath - Output path of the page
+ * @returns {string} Output path of the simplified page
+ */
+function getSimplifiedPath(outputPath) {
+  return outputPath.replace(/\.html$/, SIMPLIFIED_SUFFIX);
+}
+
+/**
+ * Check whether an output path is a simplified page
+ * @param {string} outputPath - Output path
+ * @returns {boolean} True for simplified pages
+ */
+function isSimplifiedPath(outputPath) {
+  return outputPath.endsWith(SIMPLIFIED_SUFFIX);
+}
+
+/**
+ * Remove the plain-language blocks from the full page
+ * @param {HTMLElement} root - Parsed page content (node-html-parser)
+ */
+function removeSimplifiedBlocks(root) {
+  root.querySelectorAll('div.simplified').forEach(block => block.remove());
+}
+
+/**
+ * Create the content of a page's simplified version:
+ *
+ * - sections listed under `advanced` in the frontmatter, by heading text or
+ *   ID, are left out with their subsections
+ * - a section with a `::: simplified` block shows only that block, in place
+ *   of the rest of its own content
+ * - footnotes whose references were left out are removed
+ * @param {HTMLElement} root - Parsed page content, before the plain-language
+ * blocks are removed from it
+ * @param {Object} frontmatter - Page frontmatter
+ * @param {Array<string>} warnings - Page warnings, for unknown advanced sections
+ * @returns {HTMLElement} Simplified content, a copy of the page's
+ */
+function createSimplifiedContent(root, frontmatter, warnings) {
+  const content = HTMLParser.parse(root.toString());
+  const advanced = new Map([].concat(frontmatter.advanced || []).map(name => [String(name).trim().toLowerCase(), name]));
+  const footnotes = content.childNodes.find(node => node.nodeType === 1 && node.classList.contains('footnotes'));
+  
+  let skipLevel = null;
+  
+  for (const section of collectSections(content, footnotes)) {
+    const { heading, nodes } = section;
+    const level = heading ? Number(heading.tagName.charAt(1)) : 7;
+    
+    if (skipLevel !== null && level > skipLevel) {
+      removeAll(heading, nodes);
+      continue;
+    }
+    skipLevel = null;
+    
+    if (heading && (advanced.delete(heading.id.toLowerCase()) || advanced.delete(getText(heading).toLowerCase()))) {
+      skipLevel = level;
+      removeAll(heading, nodes);
+      continue;
+    }
+    
+    const blocks = nodes.filter(node => node.nodeType === 1 && node.classList.contains('simplified'));
+    
+    if (blocks.length > 0) {
+      removeAll(null, nodes.filter(node => !blocks.includes(node)));
+    }
+  }
+  
+  for (const name of advanced.values()) {
+    warnings.push(`Advanced section "${name}" was not found, so it is kept on the simplified page`);
+  }
+  
+  if (footnotes) {
+    pruneFootnotes(content, footnotes);
+  }
+  
+  return content;
+}
+
+/**
+ * Split the top-level content of a page into sections at each heading
+ * @param {HTMLElement} content - Parsed page content
+ * @param {HTMLElement} footnotes - Footnotes section, which belongs to no section
+ * @returns {Array<Object>} Sections as `{ heading, nodes }`; the first has no heading
+ */
+function collectSections(content, footnotes) {
+  const sections = [{ heading: null, nodes: [] }];
+  
+  for (const node of content.childNodes) {
+    if (node === footnotes) continue;
+    
+    if (node.nodeType === 1 && HEADING.test(node.tagName)) {
+      sections.push({ heading: node, nodes: [] });
+    } else {
+      sections[sections.length - 1].nodes.push(node);
+    }
+  }
+  
+  return sections;
+}
+
+/**
+ * Remove a heading and the nodes of its section
+ * @param {HTMLElement|null} heading - Heading
+ * @param {Array<Node>} nodes - Nodes
+ */
+function removeAll(heading, nodes) {
+  if (heading) heading.remove();
+  nodes.forEach(node => node.remove());
+}
+
+/**
+ * Remove the footnotes that nothing on the simplified page refers to. The
+ * remaining notes keep their numbers, and their back links point at a
+ * reference that is still there.
+ * @param {HTMLElement} content - Simplified content
+ * @param {HTMLElement} footnotes - Footnotes section
+ */
+function pruneFootnotes(content, footnotes) {
+  const refs = content.querySelectorAll('a[data-footnote-ref]');
+  
+  for (const item of footnotes.querySelectorAll('li.footnote-item')) {
+    const ref = refs.find(link => link.getAttribute('href') === `#${item.id}`);
+    
+    if (!ref) {
+      item.remove();
+      continue;
+    }
+    
+    item.setAttribute('value', item.id.replace(/^fn-/, ''));
+    
+    const backref = item.querySelector('a[data-footnote-backref]');
+    if (backref) backref.setAttribute('href', `#${ref.id}`);
+  }
+  
+  if (!footnotes.querySelector('li.footnote-item')) {
+    footnotes.remove();
+  }
+}
+
+module.exports = {
+  SIMPLIFIED_SUFFIX,
+  simplifiedPlugin,
+  getSimplifiedPath,
+  isSimplifiedPath,
+  removeSimplifiedBlocks,
+  createSimplifiedContent
+};
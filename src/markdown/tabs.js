@@ -0,0 +1,250 @@
+const { MIN_MARKERS, countMarkers, findContainerEnd } = require('./admonitions');
+const { withSourceLocation } = require('./links');
+
+// "@tab Linux", starting a tab of the group
+const TAB_MARKER = /^@tab\s+(.+)$/;
+const FENCE = /^(`{3,}|~{3,})/;
+
+/**
+ * markdown-it plugin for tab groups, e.g. install steps per operating system:
+ *
+ *     ::: tabs os
+ *     @tab Linux
+ *     Run the installer.
+ *     @tab macOS
+ *     Use Homebrew.
+ *     :::
+ *
+ * Each tab is rendered as a headed section, one heading level below the
+ * heading before the group, which `assets/js/tabs.js` turns into WAI-ARIA
+ * tabs. Without JavaScript the sections simply follow each other. Groups with
+ * the same key ("os" above) show the same tab, and the reader's choice is
+ * remembered.
+ *
+ * Must be used after `admonitionsPlugin`, whose fences it shares.
+ * @param {MarkdownIt} md - markdown-it instance
+ */
+function tabsPlugin(md) {
+  md.block.ruler.before('admonition', 'tabs', (state, startLine, endLine, silent) => {
+    const start = state.bMarks[startLine] + state.tShift[startLine];
+    const max = state.eMarks[startLine];
+    
+    // Indented code
+    if (state.sCount[startLine] - state.blkIndent >= 4) return false;
+    
+    const markerCount = countMarkers(state, start, max);
+    if (markerCount < MIN_MARKERS) return false;
+    
+    const match = state.src.slice(start + markerCount, max).trim().match(/^tabs(?:\s+([\w-]+))?$/i);
+    if (!match) return false;
+    
+    if (silent) return true;
+    
+    const { nextLine, closed } = findContainerEnd(state, startLine, endLine, markerCount);
+    const tabs = findTabs(state, startLine + 1, nextLine);
+    const oldParent = state.parentType;
+    const oldLineMax = state.lineMax;
+    state.parentType = 'tabs';
+    
+    // Content before the first tab stays outside the group
+    const firstTabLine = tabs.length > 0 ? tabs[0].line : nextLine;
+    
+    if (firstTabLine > startLine + 1 && !isBlank(state, startLine + 1, firstTabLine)) {
+      warn(state, startLine, tabs.length > 0
+        ? 'Content before the first @tab of a tab group is shown above the tabs'
+        : 'Tab group without any @tab is shown as plain content');
+      
+      state.lineMax = firstTabLine;
+      state.md.block.tokenize(state, startLine + 1, firstTabLine);
+    }
+    
+    if (tabs.length > 0) {
+      const openToken = state.push('tabs_open', 'div', 1);
+      openToken.markup = ':'.repeat(markerCount);
+      openToken.block = true;
+      openToken.info = match[0];
+      openToken.meta = { key: match[1] || '' };
+      openToken.map = [startLine, nextLine];
+      
+      const level = getTabHeadingLevel(state.tokens);
+      
+      tabs.forEach((tab, index) => {
+        const tabEnd = index + 1 < tabs.length ? tabs[index + 1].line : nextLine;
+        
+        const tabToken = state.push('tab_open', 'div', 1);
+        tabToken.block = true;
+        tabToken.info = tab.name;
+        tabToken.meta = { name: tab.name, level, index };
+        tabToken.map = [tab.line, tabEnd];
+        
+        state.lineMax = tabEnd;
+        state.md.block.tokenize(state, tab.line + 1, tabEnd);
+        
+        state.push('tab_close', 'div', -1).block = true;
+      });
+      
+      const closeToken = state.push('tabs_close', 'div', -1);
+      closeToken.markup = openToken.markup;
+      closeToken.block = true;
+    }
+    
+    state.parentType = oldParent;
+    state.lineMax = oldLineMax;
+    state.line = nextLine + (closed ? 1 : 0);
+    
+    return true;
+  }, { alt: ['paragraph', 'reference', 'blockquote', 'list'] });
+  
+  md.renderer.rules.tabs_open = (tokens, idx, options, env, self) => {
+    const token = tokens[idx];
+    
+    // IDs are numbered per page
+    env.tabsCount = (env.tabsCount || 0) + 1;
+    token.meta.id = `tabs-${env.tabsCount}`;
+    
+    token.attrJoin('class', 'tabs');
+    if (token.meta.key) {
+      token.attrSet('data-tabs-key', token.meta.key);
+    }
+    
+    return `<div${self.renderAttrs(token)}>\n`;
+  };
+  
+  md.renderer.rules.tab_open = (tokens, idx, options, env, self) => {
+    const token = tokens[idx];
+    const { name, level, index } = token.meta;
+    const groupId = findGroupId(tokens, idx);
+    const headingId = `${groupId}-tab-${index + 1}`;
+    
+    token.attrJoin('class', 'tab-panel');
+    token.attrSet('id', `${groupId}-panel-${index + 1}`);
+    token.attrSet('data-tab', name);
+    
+    return `<div${self.renderAttrs(token)}>\n` +
+      `<h${level} class="tab-heading" id="${headingId}">${md.renderInline(name, env)}</h${level}>\n`;
+  };
+  
+  md.renderer.rules.tab_close = () => '</div>\n';
+  md.renderer.rules.tabs_close = () => '</div>\n';
+}
+
+/**
+ * Find the `@tab` lines of a tab group, skipping code blocks and nested
+ * containers
+ * @param {StateBlock} state - markdown-it block state
+ * @param {number} startLine - First line of the group's content
+ * @param {number} endLine - Line of the closing fence
+ * @returns {Array<Object>} Tabs as `{ name, line }`
+ */
+function findTabs(state, startLine, endLine) {
+  const tabs = [];
+  let fence = null;
+  let depth = 0;
+  
+  for (let line = startLine; line < endLine; line++) {
+    if (state.sCount[line] - state.blkIndent >= 4) continue;
+    
+    const text = state.src.slice(state.bMarks[line] + state.tShift[line], state.eMarks[line]).trim();
+    const fenceMatch = text.match(FENCE);
+    
+    if (fenceMatch) {
+      fence = !fence ? fenceMatch[1] : fenceMatch[1].startsWith(fence) ? null : fence;
+      continue;
+    }
+    
+    if (fence) continue;
+    
+    // Nested admonitions and tab groups open with text after the colons
+    if (/^:{3,}\s*\S/.test(text)) {
+      depth++;
+    } else if (/^:{3,}$/.test(text)) {
+      depth = Math.max(0, depth - 1);
+    } else if (depth === 0) {
+      const tabMatch = text.match(TAB_MARKER);
+      
+      if (tabMatch) {
+        tabs.push({ name: tabMatch[1].trim(), line });
+      }
+    }
+  }
+  
+  return tabs;
+}
+
+/**
+ * Get the heading level for the tabs of a group: one below the closest
+ * heading or tab before it, so the page outline stays in order
+ * @param {Array<Token>} tokens - Tokens before the group
+ * @returns {number} Heading level, from 2 to 6
+ */
+function getTabHeadingLevel(tokens) {
+  let closedTabs = 0;
+  
+  for (let i = tokens.length - 1; i >= 0; i--) {
+    const token = tokens[i];
+    
+    // Skip the content of earlier tabs
+    if (token.type === 'tab_close') {
+      closedTabs++;
+    } else if (token.type === 'tab_open') {
+      // Enclosing tab of a nested group
+      if (closedTabs === 0) return Math.min(6, token.meta.level + 1);
+      closedTabs--;
+    } else if (token.type === 'heading_open' && closedTabs === 0) {
+      return Math.min(6, Number(token.tag.slice(1)) + 1);
+    }
+  }
+  
+  return 2;
+}
+
+/**
+ * Find the ID of the group a tab belongs to
+ * @param {Array<Token>} tokens - All tokens
+ * @param {number} idx - Index of the `tab_open` token
+ * @returns {string} Group ID
+ */
+function findGroupId(tokens, idx) {
+  let depth = 0;
+  
+  for (let i = idx - 1; i >= 0; i--) {
+    if (tokens[i].type === 'tabs_close') depth++;
+    if (tokens[i].type === 'tabs_open') {
+      if (depth === 0) return tokens[i].meta.id;
+      depth--;
+    }
+  }
+  
+  return 'tabs';
+}
+
+/**
+ * Check whether a range of lines is blank
+ * @param {StateBlock} state - markdown-it block state
+ * @param {number} startLine - First line
+ * @param {number} endLine - Line after the last
+ * @returns {boolean} True if every line is blank
+ */
+function isBlank(state, startLine, endLine) {
+  for (let line = startLine; line < endLine; line++) {
+    if (!state.isEmpty(line)) return false;
+  }
+  
+  return true;
+}
+
+/**
+ * Record a warning for the page being rendered
+ * @param {StateBlock} state - markdown-it block state
+ * @param {number} line - Line the warning is about
+ * @param {string} message - Warning message
+ */
+function warn(state, line, message) {
+  if (state.env.warnings) {
+    state.env.warnings.push(withSourceLocation(message, state.env, line));
+  }
+}
+
+module.exports = {
+  tabsPlugin
+};
@@ -0,0 +1,285 @@
+const fs = require('fs').promises;
+const path = require('path');
+const yaml = require('js-yaml');
+const { escapeHtml } = require('../utils/html');
+
+/**
+ * Name of the optional file in the input directory that defines the
+ * navigation tree explicitly
+ */
+const NAV_FILE = '_nav.yml';
+
+/**
+ * Load the navigation file from the input directory
+ * @param {string} inputDir - Input directory
+ * @returns {Promise<Array|null>} Navigation entries, or null if there is no navigation file
+ */
+async function loadNavFile(inputDir) {
+  let content;
+  
+  try {
+    content = await fs.readFile(path.join(inputDir, NAV_FILE), 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+  
+  const entries = yaml.load(content) || [];
+  
+  if (!Array.isArray(entries)) {
+    throw new Error(`${NAV_FILE} must contain a list of pages and sections`);
+  }
+  
+  return entries;
+}
+
+/**
+ * Build the site navigation tree.
+ *
+ * Without a navigation file, the tree mirrors the directory structure.
+ * Pages and sections are sorted by the `order` frontmatter field, then by
+ * title, and a directory's index.md names its section and is listed first.
+ * @param {Array<Object>} pages - Page records
+ * @param {Array|null} entries - Entries from the navigation file
+ * @returns {Object} `{ items, warnings }`, where items are `{ title, outputPath }`
+ * for pages and `{ title, id, children }` for sections
+ */
+function buildNavTree(pages, entries = null) {
+  const warnings = [];
+  const items = entries
+    ? buildFromEntries(entries, new Map(pages.map(page => [page.relativePath, page])), warnings)
+    : buildFromDirectories(pages);
+  
+  // Sequential IDs for the sections, unique on the page
+  let sectionCount = 0;
+  const assignIds = (list) => {
+    for (const item of list) {
+      if (item.children) {
+        item.id = `nav-section-${++sectionCount}`;
+        assignIds(item.children);
+      }
+    }
+  };
+  assignIds(items);
+  
+  return { items, warnings };
+}
+
+/**
+ * Build navigation items from navigation file entries. An entry is either
+ * a source path ("guide/setup.md"), a page with a custom title
+ * (`{ path, title }`) or a section (`{ title, children }`).
+ * @param {Array} entries - Navigation file entries
+ * @param {Map<string, Object>} pagesBySource - Page records by source path
+ * @param {Array<string>} warnings - Collects entries that could not be used
+ * @returns {Array<Object>} Navigation items
+ */
+function buildFromEntries(entries, pagesBySource, warnings) {
+  const items = [];
+  
+  for (const entry of entries) {
+    if (entry && Array.isArray(entry.children)) {
+      items.push({
+        title: String(entry.title || 'Untitled section'),
+        children: buildFromEntries(entry.children, pagesBySource, warnings)
+      });
+      continue;
+    }
+    
+    const source = typeof entry === 'string' ? entry : entry && entry.path;
+    const page = source && pagesBySource.get(source.replace(/^\/+/, ''));
+    
+    if (!page) {
+      warnings.push(`${NAV_FILE} lists "${source || JSON.stringify(entry)}", which is not a page`);
+      continue;
+    }
+    
+    items.push({
+      title: String((typeof entry === 'object' && entry.title) || getNavTitle(page)),
+      outputPath: page.outputPath
+    });
+  }
+  
+  return items;
+}
+
+/**
+ * Build navigation items mirroring the directory structure
+ * @param {Array<Object>} pages - Page records
+ * @returns {Array<Object>} Navigation items
+ */
+function buildFromDirectories(pages) {
+  const root = { pages: [], directories: new Map() };
+  
+  for (const page of pages) {
+    let node = root;
+    
+    for (const segment of path.posix.dirname(page.relativePath).split('/')) {
+      if (segment === '.') continue;
+      
+      if (!node.directories.has(segment)) {
+        node.directories.set(segment, { pages: [], directories: new Map() });
+      }
+      node = node.directories.get(segment);
+    }
+    
+    node.pages.push(page);
+  }
+  
+  return buildDirectoryItems(root).map(({ item }) => item);
+}
+
+/**
+ * Build the sorted navigation items of one directory
+ * @param {Object} node - Directory node
+ * @returns {Array<Object>} Items with their sort keys, as `{ item, order }`
+ */
+function buildDirectoryItems(node) {
+  const entries = [];
+  const indexPage = findIndexPage(node);
+  
+  for (const page of node.pages) {
+    if (page === indexPage) continue;
+    
+    entries.push({ item: toPageItem(page), order: getOrder(page) });
+  }
+  
+  for (const [name, directory] of node.directories) {
+    const sectionIndex = findIndexPage(directory);
+    const children = buildDirectoryItems(directory).map(({ item }) => item);
+    
+    entries.push({
+      item: { title: sectionIndex ? getNavTitle(sectionIndex) : name, children },
+      order: sectionIndex ? getOrder(sectionIndex) : Infinity
+    });
+  }
+  
+  entries.sort((a, b) => a.order - b.order || a.item.title.localeCompare(b.item.title));
+  
+  // A directory's index page always comes first
+  if (indexPage) {
+    entries.unshift({ item: toPageItem(indexPage), order: -Infinity });
+  }
+  
+  return entries;
+}
+
+/**
+ * Find a directory's index page
+ * @param {Object} node - Directory node
+ * @returns {Object|undefined} Page record
+ */
+function findIndexPage(node) {
+  return node.pages.find(page => path.posix.basename(page.relativePath) === 'index.md');
+}
+
+/**
+ * Create the navigation item of a page
+ * @param {Object} page - Page record
+ * @returns {Object} Navigation item
+ */
+function toPageItem(page) {
+  return { title: getNavTitle(page), outputPath: page.outputPath };
+}
+
+/**
+ * Get the title of a page in the navigation, preferring `nav_title`
+ * @param {Object} page - Page record
+ * @returns {string} Navigation title
+ */
+function getNavTitle(page) {
+  return String(page.frontmatter.nav_title || page.title);
+}
+
+/**
+ * Get the sort position of a page from its `order` frontmatter field
+ * @param {Object} page - Page record
+ * @returns {number} Position, Infinity when unset
+ */
+function getOrder(page) {
+  const order = Number(page.frontmatter.order);
+  return page.frontmatter.order !== undefined && !isNaN(order) ? order : Infinity;
+}
+
+/**
+ * Render the navigation tree as nested lists. Sections are `<details>`
+ * disclosures, which expand and collapse without JavaScript, and sections
+ * containing the current page start expanded.
+ * @param {Array<Object>} items - Navigation items from `buildNavTree`
+ * @param {Function} url - URL builder from `createUrlBuilder`
+ * @param {string} currentPath - Output path of the current page
+ * @param {string} indent - Indentation for readability of the output
+ * @returns {string} HTML list
+ */
+function renderNavTree(items, url, currentPath, indent = '') {
+  const listItems = items.map(item => {
+    if (!item.children) {
+      const current = item.outputPath === currentPath ? ' aria-current="page"' : '';
+      
+      return `${indent}  <li><a href="${escapeHtml(url(encodeURI(item.outputPath)))}"${current}>${escapeHtml(item.title)}</a></li>`;
+    }
+    
+    const expanded = containsPage(item, currentPath);
+    
+    return [
+      `${indent}  <li class="nav-section">`,
+      `${indent}    <details id="${item.id}"${expanded ? ' open' : ''}>`,
+      `${indent}      <summary class="nav-section-toggle">${escapeHtml(item.title)}</summary>`,
+      renderNavTree(item.children, url, currentPath, `${indent}      `),
+      `${indent}    </details>`,
+      `${indent}  </li>`
+    ].join('\n');
+  });
+  
+  return `${indent}<ul>\n${listItems.join('\n')}\n${indent}</ul>`;
+}
+
+/**
+ * Find the pages before and after a page in navigation order
+ * @param {Array<Object>} items - Navigation items from `buildNavTree`
+ * @param {string} outputPath - Output path of the current page
+ * @returns {Object} `{ previous, next }` navigation items, null at either end
+ * or when the page isn't in the navigation
+ */
+function getAdjacentPages(items, outputPath) {
+  const sequence = flattenNavTree(items);
+  const index = sequence.findIndex(item => item.outputPath === outputPath);
+  
+  if (index < 0) {
+    return { previous: null, next: null };
+  }
+  
+  return {
+    previous: sequence[index - 1] || null,
+    next: sequence[index + 1] || null
+  };
+}
+
+/**
+ * List the pages of the navigation tree in reading order
+ * @param {Array<Object>} items - Navigation items
+ * @returns {Array<Object>} Page items
+ */
+function flattenNavTree(items) {
+  return items.flatMap(item => item.children ? flattenNavTree(item.children) : [item]);
+}
+
+/**
+ * Check whether a section contains a page, at any depth
+ * @param {Object} section - Navigation section
+ * @param {string} outputPath - Output path of the page
+ * @returns {boolean} True if the page is in the section
+ */
+function containsPage(section, outputPath) {
+  return section.children.some(item => item.children
+    ? containsPage(item, outputPath)
+    : item.outputPath === outputPath);
+}
+
+module.exports = {
+  NAV_FILE,
+  loadNavFile,
+  buildNavTree,
+  renderNavTree,
+  getAdjacentPages
+};
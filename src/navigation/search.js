@@ -0,0 +1,133 @@
+const { escapeHtml } = require('../utils/html');
+
+/**
+ * File name of the search index. It is a script rather than JSON so the
+ * index can be loaded when the site is opened from disk, where browsers
+ * block fetch() requests.
+ */
+const SEARCH_INDEX_FILE = 'search-index.js';
+
+/**
+ * Elements that don't separate words in the extracted text
+ */
+const INLINE_ELEMENTS = new Set([
+  'a', 'abbr', 'b', 'bdi', 'bdo', 'cite', 'code', 'dfn', 'em', 'i', 'kbd',
+  'mark', 'q', 's', 'small', 'span', 'strong', 'sub', 'sup', 'time', 'u', 'var'
+]);
+
+/**
+ * Helper text left out of the extracted text: heading permalinks, footnote
+ * numbers and back links, and text only screen readers see
+ */
+const SKIPPED_CLASSES = ['header-anchor', 'footnote-ref', 'footnote-backref', 'sr-only'];
+
+/**
+ * Extract the searchable content of a rendered page
+ * @param {HTMLElement} root - Parsed page content (node-html-parser)
+ * @param {Object} frontmatter - Page frontmatter
+ * @returns {Object} `{ headings, keywords, text }`, where headings are `{ text, id }`
+ */
+function extractSearchData(root, frontmatter) {
+  const headings = root.querySelectorAll('h1, h2, h3, h4, h5, h6')
+    .map(heading => ({ text: getText(heading), id: heading.id || null }))
+    .filter(heading => heading.text);
+  
+  return {
+    headings,
+    keywords: getKeywords(frontmatter),
+    text: getText(root)
+  };
+}
+
+/**
+ * Get the readable text of an element, leaving out helper text such as
+ * heading permalinks and footnote back links
+ * @param {Node} node - Element or text node
+ * @returns {string} Text with collapsed whitespace
+ */
+function getText(node) {
+  const parts = [];
+  
+  const collect = (current) => {
+    if (current.nodeType === 3) {
+      parts.push(current.text);
+      return;
+    }
+    
+    if (current.classList && SKIPPED_CLASSES.some(name => current.classList.contains(name))) return;
+    if (['script', 'style'].includes(current.rawTagName)) return;
+    
+    current.childNodes.forEach(collect);
+    
+    // Separate blocks, but not words split across inline elements
+    if (!INLINE_ELEMENTS.has(current.rawTagName)) {
+      parts.push(' ');
+    }
+  };
+  collect(node);
+  
+  return parts.join('').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Read keywords from frontmatter, as a list or a comma-separated string
+ * @param {Object} frontmatter - Page frontmatter
+ * @returns {Array<string>} Keywords
+ */
+function getKeywords(frontmatter) {
+  const { keywords } = frontmatter;
+  const list = Array.isArray(keywords) ? keywords : String(keywords || '').split(',');
+  
+  return list.map(keyword => String(keyword).trim()).filter(Boolean);
+}
+
+/**
+ * Filter out pages that opted out of search with `search: false`
+ * @param {Array<Object>} pages - Page records
+ * @returns {Array<Object>} Pages to index
+ */
+function getSearchPages(pages) {
+  return pages.filter(page => page.frontmatter.search !== false);
+}
+
+/**
+ * Generate the search index script
+ * @param {Array<Object>} entries - One entry per page: `{ title, path, headings, keywords, text }`
+ * with `path` relative to the site root
+ * @returns {string} JavaScript assigning the index to `window.ACCESSDOCS_SEARCH_INDEX`
+ */
+function generateSearchIndex(entries) {
+  // Escape "<" so the data can never close a script element
+  const json = JSON.stringify({ pages: entries }).replace(/</g, '\\u003c');
+  
+  return `window.ACCESSDOCS_SEARCH_INDEX = ${json};\n`;
+}
+
+/**
+ * Generate the body of the search results page, for readers who prefer a
+ * full page of results to suggestions in a popup
+ * @param {Function} url - URL builder from `createUrlBuilder`
+ * @param {Object} strings - Interface strings from `getUiStrings`
+ * @returns {string} HTML content
+ */
+function generateSearchPage(url, strings) {
+  return `<form role="search" class="search-page-form" action="${escapeHtml(url('search.html'))}" method="get">
+  <label for="search-page-input">${escapeHtml(strings.searchTerms)}</label>
+  <input type="search" id="search-page-input" name="q" autocomplete="off">
+  <button type="submit">${escapeHtml(strings.searchButton)}</button>
+</form>
+
+<div id="search-results" data-search-results data-index="${escapeHtml(url(SEARCH_INDEX_FILE))}">
+  <p>${escapeHtml(strings.searchPrompt)}</p>
+</div>`;
+}
+
+module.exports = {
+  SEARCH_INDEX_FILE,
+  INLINE_ELEMENTS,
+  extractSearchData,
+  getText,
+  getSearchPages,
+  generateSearchIndex,
+  generateSearchPage
+};
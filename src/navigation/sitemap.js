@@ -0,0 +1,132 @@
+const path = require('path');
+const { escapeHtml } = require('../utils/html');
+const { normalizeBasePath } = require('../utils/urls');
+
+/**
+ * Filter out pages that opted out of the sitemap with `sitemap: false`
+ * @param {Array<Object>} pages - Page records
+ * @returns {Array<Object>} Pages to list in the sitemap
+ */
+function getSitemapPages(pages) {
+  return pages.filter(page => page.frontmatter.sitemap !== false);
+}
+
+/**
+ * Get the last modification date of a page, preferring frontmatter
+ * @param {Object} page - Page record
+ * @returns {string|null} Date in W3C format (YYYY-MM-DD)
+ */
+function getLastModified(page) {
+  const { lastmod, updated, date } = page.frontmatter;
+  const value = lastmod || updated || date || page.modified;
+  const parsed = value ? new Date(value) : null;
+  
+  if (!parsed || isNaN(parsed.getTime())) {
+    return null;
+  }
+  
+  return parsed.toISOString().slice(0, 10);
+}
+
+/**
+ * Generate sitemap.xml content
+ * @param {Array<Object>} pages - Pages to list
+ * @param {Object} options - Sitemap options
+ * @param {string} options.siteUrl - Absolute URL of the host, e.g. https://example.com
+ * @param {string} options.basePath - Path the site is deployed under
+ * @param {Array<string>} options.extraPaths - Generated pages to list, e.g. the index
+ * @returns {string} Sitemap XML
+ */
+function generateSitemapXml(pages, { siteUrl, basePath, extraPaths = [] }) {
+  const baseUrl = siteUrl.replace(/\/+$/, '') + normalizeBasePath(basePath).replace(/\/$/, '');
+  const entries = [
+    ...extraPaths.map(outputPath => ({ outputPath, lastmod: null })),
+    ...pages.map(page => ({ outputPath: page.outputPath, lastmod: getLastModified(page) }))
+  ];
+  
+  const urls = entries.map(({ outputPath, lastmod }) => {
+    const loc = outputPath === 'index.html' ? `${baseUrl}/` : `${baseUrl}/${encodeURI(outputPath)}`;
+    
+    return [
+      '  <url>',
+      `    <loc>${escapeHtml(loc)}</loc>`,
+      lastmod ? `    <lastmod>${lastmod}</lastmod>` : null,
+      '  </url>'
+    ].filter(Boolean).join('\n');
+  });
+  
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls.join('\n')}
+</urlset>
+`;
+}
+
+/**
+ * Generate the body of the human-readable sitemap page: nested lists
+ * mirroring the directory structure, so screen reader users hear the
+ * nesting level of each page
+ * @param {Array<Object>} pages - Pages to list
+ * @param {Function} url - URL builder from `createUrlBuilder`
+ * @param {string} label - Accessible name of the sitemap navigation
+ * @returns {string} HTML content
+ */
+function generateSitemapHtml(pages, url, label = 'Site map') {
+  const tree = { directories: {}, pages: [] };
+  
+  for (const page of pages) {
+    let node = tree;
+    
+    for (const segment of path.posix.dirname(page.relativePath).split('/')) {
+      if (segment === '.') continue;
+      
+      if (!node.directories[segment]) {
+        node.directories[segment] = { directories: {}, pages: [] };
+      }
+      node = node.directories[segment];
+    }
+    
+    node.pages.push(page);
+  }
+  
+  return `<nav aria-label="${escapeHtml(label)}">\n${renderSitemapList(tree, url, '')}\n</nav>`;
+}
+
+/**
+ * Render one directory of the sitemap tree as a list
+ * @param {Object} node - Directory node
+ * @param {Function} url - URL builder
+ * @param {string} indent - Indentation for readability of the output
+ * @returns {string} HTML list
+ */
+function renderSitemapList(node, url, indent) {
+  const items = [];
+  
+  for (const page of node.pages) {
+    items.push(`${indent}  <li><a href="${escapeHtml(url(encodeURI(page.outputPath)))}">${escapeHtml(page.title)}</a></li>`);
+  }
+  
+  for (const [name, directory] of Object.entries(node.directories)) {
+    // Label sections with their index page when there is one
+    const indexPage = directory.pages.find(page => path.posix.basename(page.relativePath) === 'index.md');
+    const label = indexPage
+      ? `<a href="${escapeHtml(url(encodeURI(indexPage.outputPath)))}">${escapeHtml(indexPage.title)}</a>`
+      : escapeHtml(name);
+    const children = { ...directory, pages: directory.pages.filter(page => page !== indexPage) };
+    
+    if (children.pages.length === 0 && Object.keys(children.directories).length === 0) {
+      items.push(`${indent}  <li>${label}</li>`);
+    } else {
+      items.push(`${indent}  <li>${label}\n${renderSitemapList(children, url, `${indent}    `)}\n${indent}  </li>`);
+    }
+  }
+  
+  return `${indent}<ul>\n${items.join('\n')}\n${indent}</ul>`;
+}
+
+module.exports = {
+  getSitemapPages,
+  getLastModified,
+  generateSitemapXml,
+  generateSitemapHtml
+};
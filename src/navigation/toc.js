@@ -0,0 +1,74 @@
+const { escapeHtml } = require('../utils/html');
+const { getText } = require('./search');
+
+/**
+ * Headings listed in the table of contents; the page title is the h1
+ */
+const TOC_HEADINGS = 'h2, h3, h4';
+
+/**
+ * Collect the headings of a rendered page for its table of contents.
+ * Tab names are left out, as they become tabs in the browser, and so are
+ * headings without an ID, which can't be linked to.
+ * @param {HTMLElement} root - Parsed page content (node-html-parser)
+ * @returns {Array<Object>} Headings as `{ id, text, level }`, in page order
+ */
+function getTocHeadings(root) {
+  return root.querySelectorAll(TOC_HEADINGS)
+    .filter(heading => heading.id && !heading.classList.contains('tab-heading'))
+    .map(heading => ({ id: heading.id, text: getText(heading), level: Number(heading.tagName.charAt(1)) }))
+    .filter(heading => heading.text);
+}
+
+/**
+ * Render the table of contents as nested lists following the heading
+ * levels. A heading that skips a level is nested under the closest heading
+ * above it.
+ * @param {Array<Object>} headings - Headings from `getTocHeadings`
+ * @param {string} indent - Indentation for readability of the output
+ * @returns {string} HTML list
+ */
+function renderTableOfContents(headings, indent = '') {
+  const root = { children: [] };
+  const stack = [{ level: 0, entry: root }];
+  
+  for (const heading of headings) {
+    while (stack[stack.length - 1].level >= heading.level) stack.pop();
+    
+    const entry = { heading, children: [] };
+    stack[stack.length - 1].entry.children.push(entry);
+    stack.push({ level: heading.level, entry });
+  }
+  
+  return renderEntries(root.children, indent);
+}
+
+/**
+ * Render one level of the table of contents
+ * @param {Array<Object>} entries - Headings and the headings nested under them
+ * @param {string} indent - Indentation for readability of the output
+ * @returns {string} HTML list
+ */
+function renderEntries(entries, indent) {
+  const listItems = entries.map(({ heading, children }) => {
+    const link = `<a class="toc-link" href="#${escapeHtml(heading.id)}" data-level="${heading.level}">${escapeHtml(heading.text)}</a>`;
+    
+    if (children.length === 0) {
+      return `${indent}  <li>${link}</li>`;
+    }
+    
+    return [
+      `${indent}  <li>${link}`,
+      renderEntries(children, `${indent}    `),
+      `${indent}  </li>`
+    ].join('\n');
+  });
+  
+  // The list style is removed, which drops list semantics in Safari
+  return `${indent}<ul role="list">\n${listItems.join('\n')}\n${indent}</ul>`;
+}
+
+module.exports = {
+  getTocHeadings,
+  renderTableOfContents
+};
@@ -0,0 +1,120 @@
+const path = require('path');
+
+/**
+ * Load the plugins listed in the `plugins` config option
+ *
+ * Each entry is a local path (relative to the working directory), a package
+ * name, a `[nameOrPath, options]` pair or an inline plugin object. Modules
+ * may export a plugin object or a factory `(options, config) => plugin`.
+ * @param {Array} entries - Plugin entries from the configuration
+ * @param {Object} config - Configuration object
+ * @returns {Array<Object>} Normalized plugin objects
+ */
+function loadPlugins(entries = [], config = {}) {
+  return entries.map((entry) => {
+    const [specifier, options] = Array.isArray(entry) ? entry : [entry, {}];
+    let plugin = specifier;
+    let name = 'inline plugin';
+    
+    if (typeof specifier === 'string') {
+      name = specifier;
+      plugin = require(resolvePlugin(specifier));
+    }
+    
+    if (typeof plugin === 'function') {
+      plugin = plugin(options || {}, config);
+    }
+    
+    if (!plugin || typeof plugin !== 'object') {
+      throw new Error(`Plugin "${name}" must export an object or a function returning one`);
+    }
+    
+    return { name: plugin.name || name, ...plugin };
+  });
+}
+
+/**
+ * Resolve a plugin specifier to a module path
+ * @param {string} specifier - Local path or package name
+ * @returns {string} Resolved module path
+ */
+function resolvePlugin(specifier) {
+  const isLocal = specifier.startsWith('.') || path.isAbsolute(specifier);
+  
+  try {
+    return isLocal
+      ? require.resolve(path.resolve(process.cwd(), specifier))
+      : require.resolve(specifier, { paths: [process.cwd()] });
+  } catch (error) {
+    throw new Error(`Cannot find plugin "${specifier}": ${error.message}`);
+  }
+}
+
+/**
+ * Register each plugin's markdown-it extensions
+ * @param {Array<Object>} plugins - Loaded plugins
+ * @param {MarkdownIt} md - markdown-it instance
+ * @param {Object} config - Configuration object
+ */
+function applyMarkdownPlugins(plugins, md, config) {
+  for (const plugin of plugins) {
+    for (const markdownPlugin of plugin.markdownItPlugins || []) {
+      const [fn, options] = Array.isArray(markdownPlugin) ? markdownPlugin : [markdownPlugin];
+      md.use(fn, options);
+    }
+    
+    if (typeof plugin.markdownIt === 'function') {
+      plugin.markdownIt(md, config);
+    }
+  }
+}
+
+/**
+ * Run a lifecycle hook on every plugin in order
+ *
+ * A hook receives the context object and may mutate it. Returning a string
+ * replaces `context.html`; returning an object replaces the matching fields.
+ * @param {Array<Object>} plugins - Loaded plugins
+ * @param {string} hook - Hook name
+ * @param {Object} context - Hook context
+ * @returns {Promise<Object>} The (possibly updated) context
+ */
+async function runHook(plugins, hook, context) {
+  for (const plugin of plugins) {
+    if (typeof plugin[hook] !== 'function') continue;
+    
+    let value;
+    try {
+      value = await plugin[hook](context);
+    } catch (error) {
+      throw new Error(`Plugin "${plugin.name}" failed in ${hook}: ${error.message}`);
+    }
+    
+    if (typeof value === 'string') {
+      context.html = value;
+    } else if (value && typeof value === 'object') {
+      Object.assign(context, value);
+    }
+  }
+  
+  return context;
+}
+
+/**
+ * Collect the custom checker rules contributed by plugins
+ * @param {Array<Object>} plugins - Loaded plugins
+ * @returns {Array<Object>} Checker rules with `id` and `check(document, context)`
+ */
+function getCheckerRules(plugins) {
+  return plugins.flatMap(plugin => (plugin.checkerRules || []).map(rule => ({
+    plugin: plugin.name,
+    ...rule
+  })));
+}
+
+module.exports = {
+  loadPlugins,
+  applyMarkdownPlugins,
+  runHook,
+  getCheckerRules
+};
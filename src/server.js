@@ -4,6 +4,7 @@ const socketIo = require('socket.io');
 const path = require('path');
 const chalk = require('chalk');
 const { checkAccessibility } = require('./accessibility/checker');
+const { normalizeBasePath } = require('./utils/urls');
 
 let server = null;
 let io = null;
@@ -12,17 +13,28 @@ let io = null;
  * Start the preview server
  * @param {string} docRoot - Documentation root directory
  * @param {number} port - Port to listen on
+ * @param {Object} options - Server options
+ * @param {string} options.basePath - Path to mount the documentation at
  */
-function start(docRoot, port = 3000) {
+function start(docRoot, port = 3000, options = {}) {
   const app = express();
+  const basePath = normalizeBasePath(options.basePath);
+  const site = express.Router();
   server = http.createServer(app);
   io = socketIo(server);
   
+  // Mount the site under the base path, as it will be deployed
+  app.use(basePath, site);
+  
+  if (basePath !== '/') {
+    app.get('/', (req, res) => res.redirect(basePath));
+  }
+  
   // Serve static files
-  app.use(express.static(path.resolve(docRoot)));
+  site.use(express.static(path.resolve(docRoot)));
   
   // Inject socket.io client
-  app.use((req, res, next) => {
+  site.use((req, res, next) => {
     if (req.path.endsWith('.html')) {
       res.sendFile(path.resolve(docRoot, req.path), {}, (err) => {
         if (err) next(err);
@@ -33,7 +45,7 @@ function start(docRoot, port = 3000) {
   });
   
   // Fallback to index.html for SPA-like navigation
-  app.use((req, res, next) => {
+  site.use((req, res, next) => {
     if (req.method === 'GET' && !req.path.includes('.')) {
       res.sendFile(path.resolve(docRoot, 'index.html'), {}, (err) => {
         if (err) next(err);
@@ -76,7 +88,7 @@ function start(docRoot, port = 3000) {
   
   // Start server
   server.listen(port, () => {
-    console.log(chalk.green(`Server running at http://localhost:${port}`));
+    console.log(chalk.green(`Server running at http://localhost:${port}${basePath}`));
   });
   
   // Handle server errors
@@ -1,44 +1,83 @@
 /**
  * Default template for accessible documentation
  */
+const { createUrlBuilder, normalizeBasePath } = require('../utils/urls');
+const { renderNavTree, getAdjacentPages } = require('../navigation/nav-tree');
+const { renderTableOfContents } = require('../navigation/toc');
+const { escapeHtml } = require('../utils/html');
+const { getDraftStatus } = require('../build/drafts');
+const { getUiStrings, getClientStrings, formatString } = require('../i18n/strings');
+const { getTextDirection } = require('../i18n/direction');
 
 /**
  * Apply template to HTML content
  * @param {string} content - HTML content
  * @param {Object} frontmatter - Document frontmatter
  * @param {Object} config - Configuration options
+ * @param {Object} page - Page being rendered
+ * @param {string} page.outputPath - Output path relative to the site root
+ * @param {Array<Object>} page.navigation - Site navigation tree, used for the
+ * sidebar and the pagination links
+ * @param {Array<Object>} page.toc - Headings for the table of contents, from
+ * `getTocHeadings`; the table of contents is left out without them
+ * @param {Object} page.readability - Reading level and time, from
+ * `summarizeReadability`, added to the page metadata
+ * @param {string} page.variant - `'simplified'` for the simplified version of
+ * a page, which has a single column and a notice linking to the full page
+ * @param {string} page.alternate - Output path of the page's other version:
+ * the simplified page, or the full page from a simplified one
+ * @param {boolean} page.hasMath - Whether the content has MathML formulas
+ * @param {boolean} page.hasFootnotes - Whether the content has footnotes
+ * @param {boolean} page.hasGlossary - Whether the site has a glossary page
+ * @param {boolean} page.hasGlossaryTerms - Whether the content links to glossary terms
  * @returns {string} Complete HTML document
  */
-function applyTemplate(content, frontmatter, config) {
-  const title = frontmatter.title || 'Documentation';
+function applyTemplate(content, frontmatter, config, page = {}) {
+  const url = createUrlBuilder(config, page.outputPath);
+  const strings = getUiStrings(config);
+  const title = frontmatter.title || strings.defaultTitle;
   const description = frontmatter.description || '';
-  const language = frontmatter.language || 'en';
+  const language = frontmatter.language || config.locale || 'en';
   const theme = frontmatter.theme || config.theme || 'light';
+  const draftStatus = getDraftStatus(frontmatter);
+  const simplified = page.variant === 'simplified';
+  // Simplified pages are placed in the site as their full page
+  const pagePath = simplified ? page.alternate : page.outputPath;
+  const adjacent = config.pagination && page.navigation
+    ? getAdjacentPages(page.navigation, pagePath)
+    : { previous: null, next: null };
   
   return `<!DOCTYPE html>
-<html lang="${language}">
+<html lang="${language}" dir="${getTextDirection(language)}"${simplified ? ' class="simplified-view"' : ''}>
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
     <meta name="description" content="${description}">
-    <title>${title}</title>
+    <title>${draftStatus ? `[${strings.draft}] ` : ''}${title}${simplified ? ` (${strings.simplifiedView})` : ''}</title>
+    ${page.readability && page.readability.words > 0 ? renderReadabilityMeta(page.readability) : ''}
+    ${page.alternate ? renderVariantLinks(page, url, strings) : ''}
+    ${config.paginationRelLinks ? renderRelLinks(adjacent, url) : ''}
+    ${config.localization && !simplified ? renderHreflangLinks(config, pagePath) : ''}
     
     <!-- Preload fonts -->
-    <link rel="preload" href="/assets/fonts/roboto-v30-latin-regular.woff2" as="font" type="font/woff2" crossorigin>
-    <link rel="preload" href="/assets/fonts/roboto-v30-latin-700.woff2" as="font" type="font/woff2" crossorigin>
+    <link rel="preload" href="${url('assets/fonts/roboto-v30-latin-regular.woff2')}" as="font" type="font/woff2" crossorigin>
+    <link rel="preload" href="${url('assets/fonts/roboto-v30-latin-700.woff2')}" as="font" type="font/woff2" crossorigin>
     
     <!-- Base styles -->
-    <link rel="stylesheet" href="/assets/css/normalize.css">
-    <link rel="stylesheet" href="/assets/css/base.css">
+    <link rel="stylesheet" href="${url('assets/css/normalize.css')}">
+    <link rel="stylesheet" href="${url('assets/css/base.css')}">
     
     <!-- Theme styles -->
-    <link rel="stylesheet" href="/assets/css/themes/${theme}.css">
+    <link rel="stylesheet" href="${url(`assets/css/themes/${theme}.css`)}">
     
     <!-- High contrast theme (optional) -->
-    <link rel="stylesheet" href="/assets/css/themes/high-contrast.css" disabled id="high-contrast-stylesheet">
+    <link rel="stylesheet" href="${url('assets/css/themes/high-contrast.css')}" disabled id="high-contrast-stylesheet">
     
     <!-- Code highlighting -->
-    <link rel="stylesheet" href="/assets/css/highlight.css">
+    <link rel="stylesheet" href="${url('assets/css/highlight.css')}">
+    ${page.hasMath ? `
+    <!-- Math -->
+    <link rel="stylesheet" href="${url('assets/css/math/Temml-Local.css')}">` : ''}
     
     <!-- Accessibility enhancements -->
     <script>
@@ -72,76 +111,108 @@ function applyTemplate(content, frontmatter, config) {
     </script>
 </head>
 <body>
-    <a href="#main-content" class="skip-link">Skip to main content</a>
+    <a href="#main-content" class="skip-link">${strings.skipToContent}</a>
     
     <header role="banner">
         <div class="container">
-            <nav aria-label="Main Navigation">
+            <nav aria-label="${escapeHtml(strings.mainNavigation)}">
                 <ul>
-                    <li><a href="/">Home</a></li>
-                    <li><a href="/docs/">Documentation</a></li>
+                    <li><a href="${url('')}">${strings.home}</a></li>
+                    ${config.generateIndex ? `<li><a href="${url('index.html')}">${strings.documentation}</a></li>` : ''}
                     ${config.navLinks ? config.navLinks.map(link => 
-                      `<li><a href="${link.url}">${link.title}</a></li>`
+                      `<li><a href="${url(link.url)}">${link.title}</a></li>`
                     ).join('\n                    ') : ''}
                 </ul>
             </nav>
             
+            ${config.search ? renderSearchForm(url, strings) : ''}
+            
             <div class="a11y-controls">
+                ${config.localization ? renderLanguageSelector(config, pagePath, strings) : ''}
+                ${config.versioning ? renderVersionSelector(config, pagePath, strings) : ''}
                 <button id="toggle-high-contrast" aria-pressed="false">
-                    High Contrast
+                    ${strings.highContrast}
                 </button>
                 <div class="font-size-controls">
-                    <button id="decrease-font" aria-label="Decrease font size">A-</button>
-                    <button id="reset-font" aria-label="Reset font size">A</button>
-                    <button id="increase-font" aria-label="Increase font size">A+</button>
+                    <button id="decrease-font" aria-label="${escapeHtml(strings.decreaseFontSize)}">A-</button>
+                    <button id="reset-font" aria-label="${escapeHtml(strings.resetFontSize)}">A</button>
+                    <button id="increase-font" aria-label="${escapeHtml(strings.increaseFontSize)}">A+</button>
                 </div>
-                <select id="theme-selector" aria-label="Select theme">
-                    <option value="light">Light</option>
-                    <option value="dark">Dark</option>
-                    <option value="sepia">Sepia</option>
+                <select id="theme-selector" aria-label="${escapeHtml(strings.selectTheme)}">
+                    <option value="light">${strings.themeLight}</option>
+                    <option value="dark">${strings.themeDark}</option>
+                    <option value="sepia">${strings.themeSepia}</option>
                 </select>
             </div>
         </div>
     </header>
     
     <div class="container">
-        <aside class="sidebar" role="complementary" aria-label="Table of Contents">
-            <nav aria-label="Table of Contents">
+        ${!simplified ? `<aside class="sidebar" role="complementary" aria-label="${escapeHtml(strings.sidebar)}">
+            ${config.siteNavigation && page.navigation ? `<nav class="site-nav" aria-label="${escapeHtml(strings.siteNavigation)}">
+${renderNavTree(page.navigation, url, page.outputPath, '                ')}
+            </nav>` : ''}
+            
+            ${page.toc && page.toc.length > 0 ? `<nav class="toc" aria-labelledby="toc-title">
                 <div id="toc">
-                    <!-- Table of contents will be generated here by JavaScript -->
+                    <h2 id="toc-title">${escapeHtml(strings.tableOfContents)}</h2>
+${renderTableOfContents(page.toc, '                    ')}
                 </div>
-            </nav>
-        </aside>
+            </nav>` : ''}
+        </aside>` : ''}
         
         <main id="main-content" tabindex="-1">
             <article>
+                ${draftStatus ? renderDraftBanner(draftStatus, strings) : ''}
+                ${simplified ? renderSimplifiedNotice(page, url, strings) : ''}
+                ${config.versioning && config.versioning.current !== config.versioning.latest
+                  ? renderVersionNotice(config, pagePath, strings)
+                  : ''}
                 <h1>${title}</h1>
                 ${content}
             </article>
+            ${renderPagination(adjacent, url, config, strings)}
         </main>
     </div>
     
     <footer role="contentinfo">
         <div class="container">
-            <p>Created with AccessDocs - Accessible Documentation Generator</p>
+            ${config.generateSitemap ? `<p><a href="${url('sitemap.html')}">${strings.siteMap}</a></p>` : ''}
+            ${page.hasGlossary ? `<p><a href="${url('glossary.html')}">${strings.glossaryTitle}</a></p>` : ''}
+            <p>${strings.createdWith}</p>
             ${config.footerText ? `<p>${config.footerText}</p>` : ''}
         </div>
     </footer>
     
+    <!-- Interface text for the scripts -->
+    <script>window.ACCESSDOCS_STRINGS = ${JSON.stringify(getClientStrings(strings)).replace(/</g, '\\u003c')};</script>
+    
+    <!-- Tab groups -->
+    <script src="${url('assets/js/tabs.js')}"></script>
+    
     <!-- Accessibility enhancement scripts -->
-    <script src="/assets/js/accessibility.js"></script>
+    <script src="${url('assets/js/accessibility.js')}"></script>
     
-    <!-- Table of contents generator -->
-    <script src="/assets/js/toc.js"></script>
+    <!-- Table of contents keyboard navigation and scroll tracking -->
+    <script src="${url('assets/js/toc.js')}"></script>
     
     <!-- Code highlighting -->
-    <script src="/assets/js/highlight.js"></script>
+    <script src="${url('assets/js/highlight.js')}"></script>
+    
+    ${config.search ? `<!-- Offline search -->
+    <script src="${url('assets/js/search.js')}"></script>` : ''}
+    
+    ${page.hasFootnotes ? `<!-- Footnote back links -->
+    <script src="${url('assets/js/footnotes.js')}"></script>` : ''}
+    
+    ${page.hasGlossaryTerms ? `<!-- Glossary definition popups -->
+    <script src="${url('assets/js/glossary.js')}"></script>` : ''}
     
     <script>
         // Initialize accessibility features
         document.addEventListener('DOMContentLoaded', function() {
-            // Generate table of contents
-            generateTableOfContents('main h2, main h3, main h4', '#toc');
+            // Enhance table of contents
+            initTableOfContents('#toc');
             
             // Initialize high contrast toggle
             initHighContrastToggle('toggle-high-contrast', 'high-contrast-stylesheet');
@@ -160,6 +231,278 @@ function applyTemplate(content, frontmatter, config) {
 </html>`;
 }
 
+/**
+ * Render the banner marking a page that isn't published yet
+ * @param {Object} status - Status from `getDraftStatus`
+ * @param {Object} strings - Interface strings
+ * @returns {string} Banner HTML
+ */
+function renderDraftBanner(status, strings) {
+  const message = status.type === 'scheduled'
+    ? formatString(strings.scheduledMessage, { date: status.publishDate })
+    : strings.draftMessage;
+  
+  return `<div class="draft-banner" role="note" aria-label="${escapeHtml(strings.draft)}">
+                    <strong>${strings.draft}:</strong> ${message}
+                </div>`;
+}
+
+/**
+ * Create a URL builder relative to the root of a site built as sub-sites,
+ * where each version or language is a sub-directory
+ * @param {Object} config - Configuration options
+ * @param {Object} variants - `config.versioning` or `config.localization`
+ * @param {string} outputPath - Output path of the current page within its sub-site
+ * @returns {Function} URL builder taking paths such as "v2/guide/setup.html"
+ */
+function createSiteUrlBuilder(config, variants, outputPath = 'index.html') {
+  return createUrlBuilder(
+    { ...config, basePath: variants.basePath },
+    `${variants.current}/${outputPath}`
+  );
+}
+
+/**
+ * Get the URL of the current page in another version or language, falling
+ * back to the home page of that sub-site
+ * @param {Function} siteUrl - URL builder from `createSiteUrlBuilder`
+ * @param {string} directory - Directory of the target sub-site
+ * @param {Array<string>} pages - Output paths of the target's pages
+ * @param {string} outputPath - Output path of the current page
+ * @returns {Object} `{ href, exists }`, where exists is false for the fallback
+ */
+function getVariantUrl(siteUrl, directory, pages, outputPath = 'index.html') {
+  const exists = pages.includes(outputPath);
+  
+  return {
+    href: siteUrl(exists ? `${directory}/${encodeURI(outputPath)}` : `${directory}/`),
+    exists
+  };
+}
+
+/**
+ * Render the version selector. Choosing a version doesn't navigate until
+ * the button is pressed, so browsing the options never changes the page.
+ * @param {Object} config - Configuration options, with `versioning` set
+ * @param {string} outputPath - Output path of the current page
+ * @param {Object} strings - Interface strings
+ * @returns {string} Version selector form
+ */
+function renderVersionSelector(config, outputPath, strings) {
+  const { versioning } = config;
+  const siteUrl = createSiteUrlBuilder(config, versioning, outputPath);
+  
+  const options = versioning.versions.map(target => {
+    const { href } = getVariantUrl(siteUrl, target.label, target.pages, outputPath);
+    const label = target.label === versioning.latest ? `${target.label} (${strings.latest})` : target.label;
+    const selected = target.label === versioning.current ? ' selected' : '';
+    
+    return `<option value="${escapeHtml(href)}"${selected}>${escapeHtml(label)}</option>`;
+  });
+  
+  return `<form class="version-selector" id="version-selector-form">
+                    <select id="version-selector" aria-label="${escapeHtml(strings.selectVersion)}">
+                        ${options.join('\n                        ')}
+                    </select>
+                    <button type="submit">${strings.go}</button>
+                </form>`;
+}
+
+/**
+ * Render the notice shown on pages of versions other than the latest
+ * @param {Object} config - Configuration options, with `versioning` set
+ * @param {string} outputPath - Output path of the current page
+ * @param {Object} strings - Interface strings
+ * @returns {string} Notice HTML
+ */
+function renderVersionNotice(config, outputPath, strings) {
+  const { versioning } = config;
+  const latest = versioning.versions.find(version => version.label === versioning.latest);
+  const siteUrl = createSiteUrlBuilder(config, versioning, outputPath);
+  const { href, exists } = getVariantUrl(siteUrl, latest.label, latest.pages, outputPath);
+  const latestLabel = { version: escapeHtml(versioning.latest) };
+  
+  const link = exists
+    ? `<a href="${escapeHtml(href)}">${formatString(strings.viewInLatest, latestLabel)}</a>.`
+    : `${strings.notInLatest} <a href="${escapeHtml(href)}">${formatString(strings.goToLatest, latestLabel)}</a>.`;
+  const message = formatString(strings.oldVersionMessage, { version: escapeHtml(versioning.current) });
+  
+  return `<div class="version-notice" role="note" aria-label="${escapeHtml(strings.oldVersion)}">
+                    <p>${message} ${link}</p>
+                </div>`;
+}
+
+/**
+ * Render the notice at the top of a simplified page, linking to the full page
+ * @param {Object} page - Page being rendered, with `alternate` set
+ * @param {Function} url - URL builder
+ * @param {Object} strings - Interface strings
+ * @returns {string} Notice HTML
+ */
+function renderSimplifiedNotice(page, url, strings) {
+  const href = url(encodeURI(page.alternate));
+  
+  return `<div class="simplified-notice" role="note" aria-label="${escapeHtml(strings.simplifiedView)}">
+                    <p>${strings.simplifiedNotice} <a href="${escapeHtml(href)}" data-variant-link="full">${strings.viewFullPage}</a>.</p>
+                </div>`;
+}
+
+/**
+ * Render the language selector. Each option is marked up in its own
+ * language so screen readers pronounce the language names correctly.
+ * @param {Object} config - Configuration options, with `localization` set
+ * @param {string} outputPath - Output path of the current page
+ * @param {Object} strings - Interface strings
+ * @returns {string} Language selector form
+ */
+function renderLanguageSelector(config, outputPath, strings) {
+  const { localization } = config;
+  const siteUrl = createSiteUrlBuilder(config, localization, outputPath);
+  
+  const options = localization.locales.map(target => {
+    const { href } = getVariantUrl(siteUrl, target.code, target.pages, outputPath);
+    const selected = target.code === localization.current ? ' selected' : '';
+    
+    const dir = getTextDirection(target.code);
+    
+    return `<option value="${escapeHtml(href)}" lang="${escapeHtml(target.code)}" dir="${dir}"${selected}>${escapeHtml(target.label)}</option>`;
+  });
+  
+  return `<form class="language-selector" id="language-selector-form">
+                    <select id="language-selector" aria-label="${escapeHtml(strings.selectLanguage)}">
+                        ${options.join('\n                        ')}
+                    </select>
+                    <button type="submit">${strings.go}</button>
+                </form>`;
+}
+
+/**
+ * Render `<link rel="alternate" hreflang>` elements for the translations of
+ * the current page, so search engines offer readers their own language.
+ * URLs are absolute when `siteUrl` is set, as search engines expect.
+ * @param {Object} config - Configuration options, with `localization` set
+ * @param {string} outputPath - Output path of the current page
+ * @returns {string} Link elements
+ */
+function renderHreflangLinks(config, outputPath) {
+  const { localization } = config;
+  const siteUrl = config.siteUrl
+    ? target => config.siteUrl.replace(/\/+$/, '') + normalizeBasePath(localization.basePath) + target
+    : createSiteUrlBuilder(config, localization, outputPath);
+  const translations = localization.locales.filter(locale => locale.pages.includes(outputPath));
+  
+  if (translations.length < 2) {
+    return '';
+  }
+  
+  const links = translations.map(locale => {
+    const href = siteUrl(`${locale.code}/${encodeURI(outputPath)}`);
+    return `<link rel="alternate" hreflang="${escapeHtml(locale.code)}" href="${escapeHtml(href)}">`;
+  });
+  
+  if (translations.some(locale => locale.code === localization.default)) {
+    const href = siteUrl(`${localization.default}/${encodeURI(outputPath)}`);
+    links.push(`<link rel="alternate" hreflang="x-default" href="${escapeHtml(href)}">`);
+  }
+  
+  return links.join('\n    ');
+}
+
+/**
+ * Render the header search form. Suggestions appear in a combobox; submitting
+ * the form opens the search results page instead.
+ * @param {Function} url - URL builder
+ * @param {Object} strings - Interface strings
+ * @returns {string} Search form
+ */
+function renderSearchForm(url, strings) {
+  return `<form role="search" class="site-search" action="${url('search.html')}" method="get" data-index="${url('search-index.js')}">
+                <label for="site-search-input" class="sr-only">${strings.searchLabel}</label>
+                <div class="search-combobox">
+                    <input type="search" id="site-search-input" name="q" role="combobox"
+                           aria-autocomplete="list" aria-expanded="false" aria-controls="site-search-listbox"
+                           autocomplete="off">
+                    <ul id="site-search-listbox" role="listbox" aria-label="${escapeHtml(strings.searchSuggestions)}" hidden></ul>
+                </div>
+                <button type="submit">${strings.searchButton}</button>
+            </form>`;
+}
+
+/**
+ * Render the previous/next page links at the end of a page
+ * @param {Object} adjacent - Previous and next pages from `getAdjacentPages`
+ * @param {Function} url - URL builder
+ * @param {Object} config - Configuration options
+ * @param {Object} strings - Interface strings
+ * @returns {string} Pagination landmark, or an empty string
+ */
+function renderPagination({ previous, next }, url, config, strings) {
+  if (!previous && !next) {
+    return '';
+  }
+  
+  // The visible direction label is part of each link's accessible name
+  const renderLink = (item, direction, label) => `<li class="pagination-${direction}">
+                    <a href="${escapeHtml(url(encodeURI(item.outputPath)))}" data-pagination="${direction}">
+                        <span class="pagination-label">${label}:</span> ${escapeHtml(item.title)}
+                    </a>
+                </li>`;
+  
+  return `<nav class="pagination" aria-label="${escapeHtml(strings.pagination)}"${config.paginationShortcuts ? ' data-shortcuts="true"' : ''}>
+                <ul>
+                ${[
+                  previous ? renderLink(previous, 'previous', strings.previous) : '',
+                  next ? renderLink(next, 'next', strings.next) : ''
+                ].filter(Boolean).join('\n                ')}
+                </ul>
+            </nav>`;
+}
+
+/**
+ * Render `rel="prev"` and `rel="next"` link elements for the document head
+ * @param {Object} adjacent - Previous and next pages from `getAdjacentPages`
+ * @param {Function} url - URL builder
+ * @returns {string} Link elements
+ */
+function renderRelLinks({ previous, next }, url) {
+  return [
+    previous ? `<link rel="prev" href="${escapeHtml(url(encodeURI(previous.outputPath)))}">` : '',
+    next ? `<link rel="next" href="${escapeHtml(url(encodeURI(next.outputPath)))}">` : ''
+  ].filter(Boolean).join('\n    ');
+}
+
+/**
+ * Render the link to a page's other version: from the full page to its
+ * simplified version, which the Simplified View button follows, and back.
+ * The full page is the canonical one.
+ * @param {Object} page - Page being rendered, with `alternate` set
+ * @param {Function} url - URL builder
+ * @param {Object} strings - Interface strings
+ * @returns {string} Link elements
+ */
+function renderVariantLinks(page, url, strings) {
+  const href = escapeHtml(url(encodeURI(page.alternate)));
+  
+  if (page.variant === 'simplified') {
+    return `<link rel="alternate" href="${href}" title="${escapeHtml(strings.fullView)}" data-variant="full">
+    <link rel="canonical" href="${href}">`;
+  }
+  
+  return `<link rel="alternate" href="${href}" title="${escapeHtml(strings.simplifiedView)}" data-variant="simplified">`;
+}
+
+/**
+ * Render the reading level and reading time of a page as meta elements
+ * @param {Object} readability - Summary from `summarizeReadability`
+ * @returns {string} Meta elements
+ */
+function renderReadabilityMeta({ grade, readingTime }) {
+  return [
+    grade !== null ? `<meta name="reading-level" content="grade ${grade}">` : '',
+    `<meta name="reading-time" content="${readingTime} min">`
+  ].filter(Boolean).join('\n    ');
+}
+
 module.exports = {
   applyTemplate
 };
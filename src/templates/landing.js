@@ -0,0 +1,48 @@
+/**
+ * Landing page for sites built as several sub-sites (versions or locales)
+ */
+const { escapeHtml } = require('../utils/html');
+const { getTextDirection } = require('../i18n/direction');
+
+/**
+ * Generate the landing page at the root of the site, which sends readers
+ * straight on to one sub-site and lists all of them for readers whose
+ * browser doesn't follow the redirect
+ * @param {Object} page - Page content
+ * @param {string} page.title - Page title
+ * @param {string} page.language - Language of the page
+ * @param {string} page.redirect - URL readers are sent to
+ * @param {Array<Object>} page.links - Sub-sites as `{ href, label, lang }`
+ * @returns {string} Complete HTML document
+ */
+function generateLandingPage({ title, language = 'en', redirect, links }) {
+  const items = links.map(link => {
+    const lang = link.lang
+      ? ` lang="${escapeHtml(link.lang)}" hreflang="${escapeHtml(link.lang)}" dir="${getTextDirection(link.lang)}"`
+      : '';
+    return `      <li><a href="${escapeHtml(link.href)}"${lang}>${escapeHtml(link.label)}</a></li>`;
+  });
+  
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(language || 'en')}" dir="${getTextDirection(language)}">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <meta http-equiv="refresh" content="0; url=${escapeHtml(redirect)}">
+  <title>${escapeHtml(title)}</title>
+</head>
+<body>
+  <main>
+    <h1>${escapeHtml(title)}</h1>
+    <ul>
+${items.join('\n')}
+    </ul>
+  </main>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  generateLandingPage
+};
@@ -0,0 +1,72 @@
+const path = require('path');
+
+/**
+ * Normalize a base path to start and end with a slash
+ * @param {string} basePath - Base path, e.g. "product/docs/v2"
+ * @returns {string} Normalized base path, e.g. "/product/docs/v2/"
+ */
+function normalizeBasePath(basePath) {
+  const trimmed = (basePath || '').replace(/^\/+|\/+$/g, '');
+  return trimmed ? `/${trimmed}/` : '/';
+}
+
+/**
+ * Check whether a URL points outside the generated site or is page-local
+ * @param {string} url - URL to check
+ * @returns {boolean} True for absolute URLs (with a scheme or protocol-relative) and fragments
+ */
+function isExternalUrl(url) {
+  return /^([a-z][a-z0-9+.-]*:|\/\/|#)/i.test(url);
+}
+
+/**
+ * Create a function that turns site-relative output paths into URLs.
+ *
+ * URLs are prefixed with the `basePath` option, or, with `relativeLinks`
+ * enabled, written relative to the current page so the built site also
+ * works when opened straight from disk.
+ * @param {Object} config - Configuration object
+ * @param {string} currentPath - Output path of the page the URLs appear on,
+ * relative to the site root, e.g. "guide/setup.html"
+ * @returns {Function} `(target) => url`, where target is a path relative to
+ * the site root such as "assets/css/base.css" or "" for the home page
+ */
+function createUrlBuilder(config, currentPath = 'index.html') {
+  const basePath = normalizeBasePath(config.basePath);
+  const currentDir = path.posix.dirname(currentPath);
+  
+  return (target = '') => {
+    if (isExternalUrl(target)) {
+      return target;
+    }
+    
+    const sitePath = target.replace(/^\/+/, '');
+    
+    if (config.relativeLinks) {
+      // file:// URLs don't resolve directories to their index page
+      const [filePath, suffix] = splitSuffix(sitePath);
+      const file = filePath === '' || filePath.endsWith('/') ? `${filePath}index.html` : filePath;
+      const relative = path.posix.relative(currentDir, file) || path.posix.basename(file);
+      
+      return relative + suffix;
+    }
+    
+    return basePath + sitePath;
+  };
+}
+
+/**
+ * Split a URL path from its query string and fragment
+ * @param {string} url - URL path
+ * @returns {Array<string>} The path and the suffix (query and fragment, if any)
+ */
+function splitSuffix(url) {
+  const index = url.search(/[?#]/);
+  return index < 0 ? [url, ''] : [url.slice(0, index), url.slice(index)];
+}
+
+module.exports = {
+  normalizeBasePath,
+  isExternalUrl,
+  createUrlBuilder
+};
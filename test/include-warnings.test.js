@@ -0,0 +1,66 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AccessibleDocGenerator = require('../src/generator');
+
+describe('warnings in included files', () => {
+  let dir;
+  let inputDir;
+  let warn;
+  
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'accessdocs-include-test-'));
+    inputDir = path.join(dir, 'docs');
+    
+    fs.mkdirSync(path.join(inputDir, '_partials'), { recursive: true });
+    fs.writeFileSync(path.join(inputDir, '_partials', 'prereqs.md'), [
+      'Before you start:',
+      '',
+      '::: aside',
+      'Back up your data.',
+      ':::',
+      '',
+      'See the ![](diagram.png) first.',
+      ''
+    ].join('\n'));
+    fs.writeFileSync(path.join(inputDir, 'guide.md'), [
+      '---',
+      'title: Guide',
+      '---',
+      '',
+      '{% include "/_partials/prereqs.md" %}',
+      '',
+      '::: hint',
+      'Read the steps first.',
+      ':::',
+      ''
+    ].join('\n'));
+    
+    warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+  
+  afterEach(() => {
+    warn.mockRestore();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  
+  test('reports the included file and line', async () => {
+    const generator = new AccessibleDocGenerator({
+      inputDir,
+      outputDir: path.join(dir, 'out'),
+      quiet: true,
+      config: { concurrency: 1, checkAccessibility: false }
+    });
+    
+    const result = await generator.generateDocs();
+    expect(result.success).toBe(true);
+    
+    const warnings = warn.mock.calls.map(([message]) => message).filter(message => /^Warning in .*guide\.md:/.test(message));
+    
+    expect(warnings).toEqual(expect.arrayContaining([
+      expect.stringMatching(/Unknown admonition type "aside", shown as a note \(_partials\/prereqs\.md line 3\)$/),
+      expect.stringMatching(/Image has empty alt text \(_partials\/prereqs\.md line 7\)$/),
+      expect.stringMatching(/Unknown admonition type "hint", shown as a note \(guide\.md line 7\)$/)
+    ]));
+  });
+});
@@ -0,0 +1,78 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AccessibleDocGenerator = require('../src/generator');
+const { MANIFEST_FILE } = require('../src/build/manifest');
+
+describe('index.md with a generated index', () => {
+  let dir;
+  let inputDir;
+  let outputDir;
+  
+  const build = async () => {
+    const generator = new AccessibleDocGenerator({
+      inputDir,
+      outputDir,
+      quiet: true,
+      config: { generateIndex: true, checkAccessibility: false }
+    });
+    
+    const result = await generator.generateDocs();
+    expect(result.success).toBe(true);
+    return result;
+  };
+  
+  const readIndex = () => fs.readFileSync(path.join(outputDir, 'index.html'), 'utf8');
+  const readManifest = () => JSON.parse(fs.readFileSync(path.join(outputDir, MANIFEST_FILE), 'utf8'));
+  
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'accessdocs-index-test-'));
+    inputDir = path.join(dir, 'docs');
+    outputDir = path.join(dir, 'out');
+    
+    fs.mkdirSync(inputDir);
+    fs.writeFileSync(path.join(inputDir, 'index.md'), '---\ntitle: Home\n---\n\nWelcome to the handbook.\n');
+    fs.writeFileSync(path.join(inputDir, 'guide.md'), '---\ntitle: Guide\n---\n\nFollow the steps.\n');
+  });
+  
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  
+  test('keeps index.md as the index', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    
+    try {
+      await build();
+      expect(warn.mock.calls.some(([message]) => /index\.md is the site index/.test(message))).toBe(true);
+    } finally {
+      warn.mockRestore();
+    }
+    
+    expect(readIndex()).toMatch(/Welcome to the handbook/);
+    expect(readManifest().outputs['index.html'].source).toBe('index.md');
+  });
+  
+  test('rebuilds nothing when nothing changed', async () => {
+    await build();
+    const { mtimeMs } = fs.statSync(path.join(outputDir, 'index.html'));
+    const manifest = readManifest();
+    
+    const result = await build();
+    
+    expect(result.filesBuilt).toBe(0);
+    expect(fs.statSync(path.join(outputDir, 'index.html')).mtimeMs).toBe(mtimeMs);
+    expect(readManifest().outputs['index.html']).toEqual(manifest.outputs['index.html']);
+    expect(readIndex()).toMatch(/Welcome to the handbook/);
+  });
+  
+  test('generates the index once index.md is removed', async () => {
+    await build();
+    fs.unlinkSync(path.join(inputDir, 'index.md'));
+    await build();
+    
+    expect(readIndex()).not.toMatch(/Welcome to the handbook/);
+    expect(readIndex()).toMatch(/guide\.html/);
+    expect(readManifest().outputs['index.html'].source).toBe(null);
+  });
+});
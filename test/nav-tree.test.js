@@ -0,0 +1,35 @@
+const { renderNavTree } = require('../src/navigation/nav-tree');
+
+const url = target => `/${target}`;
+
+const items = [
+  { title: 'Intro', outputPath: 'intro.html' },
+  {
+    id: 'nav-section-1',
+    title: 'Guides',
+    children: [{ title: 'Install', outputPath: 'guides/install.html' }]
+  },
+  {
+    id: 'nav-section-2',
+    title: 'Reference',
+    children: [{ title: 'API', outputPath: 'reference/api.html' }]
+  }
+];
+
+describe('renderNavTree', () => {
+  test('renders sections as disclosures that work without JavaScript', () => {
+    const html = renderNavTree(items, url, 'guides/install.html');
+    
+    expect(html).not.toMatch(/\bhidden\b/);
+    expect(html).not.toMatch(/<button/);
+    expect(html).toMatch(/<details id="nav-section-1" open>\s*<summary class="nav-section-toggle">Guides<\/summary>/);
+    expect(html).toMatch(/<details id="nav-section-2">\s*<summary class="nav-section-toggle">Reference<\/summary>/);
+  });
+  
+  test('lists the pages of collapsed sections', () => {
+    const html = renderNavTree(items, url, 'intro.html');
+    
+    expect(html).toContain('<a href="/reference/api.html">API</a>');
+    expect(html).toContain('<a href="/intro.html" aria-current="page">Intro</a>');
+  });
+});
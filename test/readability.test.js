@@ -0,0 +1,37 @@
+const HTMLParser = require('node-html-parser');
+const { scoreReadability } = require('../src/accessibility/readability');
+
+const score = html => scoreReadability(HTMLParser.parse(html), 'en');
+
+describe('scoreReadability', () => {
+  test('keeps inline code in the sentence text', () => {
+    const { sections } = score('<p>Issues default to <code>custom</code> and set <kbd>Ctrl</kbd> to the rule’s <code>id</code>.</p>');
+    
+    expect(sections[0].sentences.map(sentence => sentence.text)).toEqual([
+      'Issues default to custom and set Ctrl to the rule’s id.'
+    ]);
+  });
+  
+  test('counts inline code as one short word', () => {
+    const withCode = score('<p>Set <code>config.readabilityTarget</code> in the file.</p>');
+    const withWord = score('<p>Set it in the file.</p>');
+    
+    expect(withCode.words).toBe(5);
+    expect(withCode.grade).toBe(withWord.grade);
+  });
+  
+  test('starts a sentence at inline code', () => {
+    const { sections } = score('<p>Open a terminal. <code>npm</code> installs the package.</p>');
+    
+    expect(sections[0].sentences.map(sentence => sentence.text)).toEqual([
+      'Open a terminal.',
+      'npm installs the package.'
+    ]);
+  });
+  
+  test('leaves out code blocks', () => {
+    const { sections } = score('<p>Run the command.</p><pre><code>npm install accessdocs</code></pre>');
+    
+    expect(sections[0].sentences.map(sentence => sentence.text)).toEqual(['Run the command.']);
+  });
+});
@@ -0,0 +1,85 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AccessibleDocGenerator = require('../src/generator');
+
+const baseConfig = {
+  generateIndex: true,
+  generateSitemap: true,
+  siteUrl: 'https://docs.example.com',
+  search: true,
+  glossary: true,
+  checkAccessibility: false
+};
+
+describe('generated outputs that are turned off', () => {
+  let dir;
+  let inputDir;
+  let outputDir;
+  
+  const build = async (config) => {
+    const generator = new AccessibleDocGenerator({
+      inputDir,
+      outputDir,
+      quiet: true,
+      config: { ...baseConfig, ...config }
+    });
+    
+    const result = await generator.generateDocs();
+    expect(result.success).toBe(true);
+  };
+  
+  const exists = outputPath => fs.existsSync(path.join(outputDir, outputPath));
+  
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'accessdocs-stale-test-'));
+    inputDir = path.join(dir, 'docs');
+    outputDir = path.join(dir, 'out');
+    
+    fs.mkdirSync(inputDir);
+    fs.writeFileSync(path.join(inputDir, 'guide.md'), '---\ntitle: Guide\n---\n\nCall the API.\n');
+    fs.writeFileSync(path.join(inputDir, '_glossary.md'), '## API (Application Programming Interface)\n\nA way for programs to talk.\n');
+  });
+  
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  
+  test.each([
+    ['generateIndex', { generateIndex: false }, ['index.html']],
+    ['generateSitemap', { generateSitemap: false }, ['sitemap.html', 'sitemap.xml']],
+    ['siteUrl', { siteUrl: null }, ['sitemap.xml']],
+    ['search', { search: false }, ['search.html', 'search-index.js']],
+    ['glossary', { glossary: false }, ['glossary.html']]
+  ])('removes the outputs of %s', async (name, config, removed) => {
+    await build({});
+    
+    for (const outputPath of removed) {
+      expect(exists(outputPath)).toBe(true);
+    }
+    
+    await build(config);
+    
+    for (const outputPath of removed) {
+      expect(exists(outputPath)).toBe(false);
+    }
+    expect(exists('guide.html')).toBe(true);
+  });
+  
+  test('removes the glossary page with its glossary file', async () => {
+    await build({});
+    fs.unlinkSync(path.join(inputDir, '_glossary.md'));
+    await build({});
+    
+    expect(exists('glossary.html')).toBe(false);
+  });
+  
+  test('keeps generated outputs that are still generated', async () => {
+    await build({});
+    await build({ generateIndex: false });
+    
+    for (const outputPath of ['sitemap.html', 'sitemap.xml', 'search.html', 'search-index.js', 'glossary.html']) {
+      expect(exists(outputPath)).toBe(true);
+    }
+  });
+});
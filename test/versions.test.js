@@ -0,0 +1,72 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AccessibleDocGenerator = require('../src/generator');
+const { getVersions, getLatestVersion } = require('../src/build/versions');
+
+describe('getVersions', () => {
+  test('keeps the order of numeric labels given as an array', () => {
+    const versions = getVersions({
+      versions: [
+        { label: '2', inputDir: 'docs' },
+        { label: 1, ref: 'v1' }
+      ],
+      inputDir: 'docs'
+    });
+    
+    expect(versions).toEqual([
+      { label: '2', inputDir: 'docs' },
+      { label: '1', ref: 'v1', dir: 'docs' }
+    ]);
+    expect(getLatestVersion({}, versions)).toBe('2');
+  });
+  
+  test('rejects numeric labels in the object form, whose order is lost', () => {
+    expect(() => getVersions({ versions: { 2: 'docs', 1: 'old' } })).toThrow(/array/);
+  });
+  
+  test('rejects repeated labels', () => {
+    expect(() => getVersions({ versions: [{ label: 'v1', inputDir: 'a' }, { label: 'v1', inputDir: 'b' }] }))
+      .toThrow(/more than once/);
+  });
+});
+
+describe('versioned builds', () => {
+  let dir;
+  
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'accessdocs-versions-test-'));
+    
+    for (const label of ['1', '2']) {
+      fs.mkdirSync(path.join(dir, `docs${label}`));
+      fs.writeFileSync(path.join(dir, `docs${label}`, 'guide.md'), `---\ntitle: Guide ${label}\n---\n\nVersion ${label}.\n`);
+    }
+  });
+  
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  
+  test('treats the first of numeric labels as the latest version', async () => {
+    const outputDir = path.join(dir, 'out');
+    const generator = new AccessibleDocGenerator({
+      inputDir: path.join(dir, 'docs2'),
+      outputDir,
+      quiet: true,
+      config: {
+        versions: [
+          { label: '2', inputDir: path.join(dir, 'docs2') },
+          { label: '1', inputDir: path.join(dir, 'docs1') }
+        ],
+        checkAccessibility: false
+      }
+    });
+    
+    const result = await generator.generateDocs();
+    expect(result.success).toBe(true);
+    
+    expect(fs.readFileSync(path.join(outputDir, 'index.html'), 'utf8')).toMatch(/url=[^"]*2\//);
+    expect(fs.readFileSync(path.join(outputDir, '2', 'guide.html'), 'utf8')).not.toMatch(/class="version-notice"/);
+    expect(fs.readFileSync(path.join(outputDir, '1', 'guide.html'), 'utf8')).toMatch(/class="version-notice"/);
+  });
+});